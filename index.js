@@ -3,6 +3,13 @@
  * 
  * A serverless web automation handler that demonstrates:
  * - Playwright automation without UI components (headless)
+ * - Multi-step action workflows (navigate, click, fill, select, wait, extract, screenshot, assert)
+ * - Batch mode: many URLs per invocation on one shared browser
+ * - Deadline-aware execution (partial results instead of runtime timeouts)
+ * - Screenshot, PDF and download artifacts (inline base64 or file references)
+ * - Async jobs with a pluggable job store, status lookups and callbacks
+ * - Session state (cookies, web storage) restored before and returned after a run
+ * - Optional warm browser reuse across invocations of a warm container
  * - Configuration management via environment variables or config files
  * - Structured logging and error handling
  * - JSON response formatting for API Gateway integration
@@ -17,16 +24,52 @@ const path = require('path');
 const logger = require('./src/common/utils/logger');
 const ConfigManager = require('./src/common/utils/configManager');
 const PlaywrightDriver = require('./src/automator/playwright/drivers/playwrightDriver');
+const BasePlaywrightParser = require('./src/automator/playwright/parsers/basePlaywrightParser');
+const { runSteps } = require('./src/lambda/stepRunner');
+const { applyConfigOverrides } = require('./src/lambda/configOverrides');
+const { resolveTargets, runBatch } = require('./src/lambda/batchRunner');
+const { DeadlineBudget, createDeadlineError } = require('./src/lambda/deadline');
+const {
+    RequestError,
+    InvalidRequestError,
+    ValidationError,
+    JobNotFoundError,
+    StepFailedError,
+    classifyError,
+    serializeError
+} = require('./src/common/utils/automationErrors');
+const { normalizeEvent } = require('./src/lambda/eventNormalizer');
+const { EVENT_SCHEMA, validateEvent } = require('./src/lambda/eventSchema');
+const WarmBrowserManager = require('./src/lambda/warmBrowser');
+const { ArtifactCollector } = require('./src/lambda/artifacts');
+const { createJobStore } = require('./src/lambda/jobStore');
+const { submitJob, invokeJobWorker, executeJob, checkCallbackUrl } = require('./src/lambda/asyncJobs');
+const { normalizeSessionState, protectSessionState } = require('./src/common/utils/sessionState');
+
+// Time budget of a background job (it is not bound to the invocation that queued it)
+const DEFAULT_JOB_TIMEOUT = 15 * 60 * 1000;
+// Invocation time a job worker keeps for recording the result and posting the callback
+const JOB_WORKER_RESERVE = 15000;
+
+// Browser kept alive between invocations of a warm container (opt-in, see getWarmBrowser)
+let warmBrowser = null;
 
 /**
  * Lambda handler function
  * @param {Object} event - Lambda event object
  * @param {Object} context - Lambda context object
+ * @param {Function} [context.reportProgress] - Progress hook (set when running as an async job)
  * @returns {Promise<Object>} JSON response with status and data
  */
 async function lambda_handler(event, context) {
+    // Async job handed over by the invocation that accepted it (see invokeJobWorker)
+    if (event?.asyncJob) {
+        return runJobWorker(event.asyncJob, context);
+    }
+
     const startTime = Date.now();
     const requestId = context?.requestId || `req-${Date.now()}`;
+    const deadline = new DeadlineBudget(context);
     
     // Initialize response structure
     let response = {
@@ -41,78 +84,220 @@ async function lambda_handler(event, context) {
             timestamp: new Date().toISOString(),
             data: null,
             error: null,
+            truncated: false,
             executionTime: 0
         }
     };
 
     let driver = null;
+    // Driver still starting (or session still being created) - a deadline can hit meanwhile
+    let pendingDriver = null;
+    // Partial results stay reachable when the deadline is reached mid-run
+    const partial = { data: null };
 
     try {
         logger.info(`Starting web automation handler (Request: ${requestId})`);
 
+        // Direct invocation, API Gateway (v1/v2) or Function URL event -> automation payload
+        const { payload } = normalizeEvent(event);
+
+        const validation = validateEvent(payload);
+        if (!validation.valid) {
+            throw new ValidationError(`Invalid event: ${validation.errors.length} validation error(s)`, {
+                details: validation.errors
+            });
+        }
+
+        if (payload.dryRun === true) {
+            // Validation only: no configuration, no browser
+            logger.info('Dry run: event is valid');
+            response.body.data = { dryRun: true, valid: true };
+            return;
+        }
+
         // Load configuration (supports both file-based and environment variables)
-        const config = await loadConfiguration(event);
+        const config = await loadConfiguration(payload);
+        if (payload.config) {
+            response.body.configOverrides = config.overrides;
+        }
+
+        // Async jobs: status lookup, or queue the automation and return right away
+        if (payload.jobId) {
+            const job = await createJobStore(config.get('automation.jobs', {})).get(payload.jobId);
+            if (!job) {
+                throw new JobNotFoundError(`Job not found: ${payload.jobId}`);
+            }
+            response.body.data = job;
+            return;
+        }
+
+        if (payload.async === true) {
+            const jobsConfig = config.get('automation.jobs', {});
+            if (payload.callbackUrl) {
+                checkCallbackUrl(payload.callbackUrl, jobsConfig);
+            }
+
+            // Lambda freezes the environment after returning: run the job in its own invocation there
+            const runner = jobsConfig.runner || process.env.ASYNC_JOB_RUNNER || (context?.invokedFunctionArn ? 'invoke' : 'process');
+            const job = await submitJob(
+                createJobStore(jobsConfig),
+                (hooks) => runAsyncJob(payload, hooks, config),
+                {
+                    callbackUrl: payload.callbackUrl,
+                    callbackPolicy: jobsConfig,
+                    dispatch: runner === 'invoke'
+                        ? (queued) => invokeJobWorker(context.invokedFunctionArn, queued, payload)
+                        : null
+                }
+            );
+            response.statusCode = 202;
+            response.body.status = 'accepted';
+            response.body.data = { jobId: job.jobId, status: job.status, createdAt: job.createdAt };
+            return;
+        }
         
-        // Get target URL from event or use default
-        const targetUrl = event?.url || event?.body?.url || config.get('automation.defaultUrl', 'https://example.com');
-        const extractConfig = event?.extract || event?.body?.extract || config.get('automation.extract', {});
+        // Get target URL from the payload or use default
+        const explicitUrl = payload.url;
+        const targetUrl = explicitUrl || config.get('automation.defaultUrl', 'https://example.com');
+        const extractConfig = payload.extract || config.get('automation.extract', {});
+        const steps = payload.steps || null;
+        const targets = resolveTargets(payload);
+
+        if (steps && !Array.isArray(steps)) {
+            throw new InvalidRequestError('Invalid event: "steps" must be an array');
+        }
 
-        logger.info(`Target URL: ${targetUrl}`);
-        logger.info(`Extract configuration: ${JSON.stringify(extractConfig)}`);
+        // Decrypted (SESSION_STATE_KEY) and checked before a browser is started
+        const sessionState = payload.sessionState ? normalizeSessionState(payload.sessionState) : null;
 
         // Create Playwright driver with serverless-optimized settings
-        const driverOptions = createDriverOptions(config, event);
-        driver = new PlaywrightDriver(driverOptions);
+        const driverOptions = createDriverOptions(config, payload);
+        const warm = getWarmBrowser(config);
+
+        const targetOptions = {
+            userAgent: driverOptions.userAgent,
+            continueOnError: payload.continueOnError === true,
+            sessionState: sessionState,
+            returnSessionState: payload.returnSessionState === true,
+            deadline: deadline,
+            artifacts: new ArtifactCollector(payload.artifactOptions),
+            baseTimeouts: {
+                timeout: driverOptions.timeout,
+                navigationTimeout: driverOptions.navigationTimeout
+            }
+        };
 
-        // Start browser and navigate
-        logger.info('Starting headless browser...');
-        await driver.start();
+        const automation = async () => {
+            // Start browser (or reuse the warm one) and navigate
+            let browser;
+            if (warm) {
+                await warm.prepare(driverOptions);
+                response.body.browser = warm.getStats();
+                browser = warm;
+            } else {
+                logger.info('Starting headless browser...');
+                driver = new PlaywrightDriver(driverOptions);
+                pendingDriver = driver.start().then(() => driver);
+                await pendingDriver;
+                browser = driver;
+            }
+            context?.reportProgress?.({ stage: 'running' });
+
+            if (targets) {
+                // Batch mode: every target gets its own session on the shared browser
+                const completed = [];
+                partial.data = { mode: 'batch', total: targets.length, results: completed };
+
+                const batch = await runBatch(browser, targets, {
+                    sessionOptions: driverOptions,
+                    concurrency: payload.concurrency || config.get('automation.batch.concurrency'),
+                    shouldSkip: () => deadline.isExpired(),
+                    onResult: (result) => {
+                        completed.push(result);
+                        context?.reportProgress?.({ stage: 'batch', completed: completed.length, total: targets.length });
+                    },
+                    processTarget: (session, target) => processTarget(session, {
+                        url: target.url,
+                        extract: target.extract || extractConfig,
+                        steps: target.steps || null,
+                        artifacts: target.artifacts || payload.artifacts
+                    }, { ...targetOptions, startTime: Date.now() })
+                });
+
+                response.body.status = batch.failed > 0 || batch.truncated > 0 ? 'partial' : 'success';
+                response.body.truncated = batch.truncated > 0;
+                return { mode: 'batch', ...batch };
+            }
 
-        logger.info(`Navigating to: ${targetUrl}`);
-        const navigationResult = await driver.navigateTo(targetUrl);
+            logger.info(`Target URL: ${targetUrl}`);
+            logger.info(`Extract configuration: ${JSON.stringify(extractConfig)}`);
 
-        if (!navigationResult.success) {
-            throw new Error(`Navigation failed: ${navigationResult.error || 'Unknown error'}`);
-        }
-
-        // Extract data from the page
-        logger.info('Extracting data from page...');
-        const extractedData = await extractPageData(driver, extractConfig, targetUrl);
-
-        // Prepare successful response
-        response.body.data = {
-            url: targetUrl,
-            pageTitle: navigationResult.title,
-            currentUrl: navigationResult.url,
-            extractedData: extractedData,
-            pageMetadata: {
-                loadTime: `${Date.now() - startTime}ms`,
-                userAgent: driverOptions.userAgent || 'Playwright-Headless'
+            if (warm) {
+                // Fresh context per request; quitting it leaves the warm browser running
+                pendingDriver = warm.createSession(driverOptions);
+                driver = await pendingDriver;
+                response.body.browser = warm.getStats();
             }
+
+            // With a workflow, the initial navigation is optional (the first step may navigate)
+            partial.data = {};
+            return await processTarget(driver, {
+                url: targetUrl,
+                extract: extractConfig,
+                steps: steps,
+                artifacts: payload.artifacts,
+                skipNavigation: Boolean(steps) && !explicitUrl
+            }, { ...targetOptions, startTime, result: partial.data });
         };
 
+        const outcome = await deadline.race(automation());
+        if (outcome.timedOut) {
+            throw createDeadlineError('Execution deadline reached before automation completed');
+        }
+        response.body.data = outcome.value;
+
         logger.info('Web automation completed successfully');
 
     } catch (error) {
-        logger.error(`Web automation failed: ${error.message}`);
-        logger.error(`Stack trace: ${error.stack}`);
-
-        // Prepare error response
-        response.statusCode = 500;
-        response.body.status = 'error';
-        response.body.error = {
-            message: error.message,
-            type: error.constructor.name,
-            code: error.code || 'AUTOMATION_ERROR'
-        };
-
-        // Don't expose internal details in production
-        if (process.env.NODE_ENV !== 'production') {
-            response.body.error.stack = error.stack;
+        if (error.code === 'DEADLINE_EXCEEDED') {
+            // Out of time: return what we have instead of being killed by the runtime
+            logger.warn(`Returning truncated result: ${error.message}`);
+            response.body.status = 'partial';
+            response.body.truncated = true;
+            response.body.data = error.data || partial.data;
+            response.body.error = serializeError(error);
+        } else if (error instanceof RequestError) {
+            // Bad request: the caller has to fix the event, no stack trace needed
+            logger.warn(`Rejected request: ${error.message}`);
+            response.statusCode = error.statusCode;
+            response.body.status = 'error';
+            response.body.error = serializeError(error);
+        } else {
+            logger.error(`Web automation failed: ${error.message}`);
+            logger.error(`Stack trace: ${error.stack}`);
+
+            // Prepare error response (keeping partial results such as per-step outcomes);
+            // the status code and retryable flag follow the error type
+            const classified = classifyError(error);
+            response.statusCode = classified.statusCode;
+            response.body.status = 'error';
+            response.body.data = error.data || null;
+            response.body.error = serializeError(classified);
+
+            // Don't expose internal details in production
+            if (process.env.NODE_ENV !== 'production') {
+                response.body.error.stack = error.stack;
+            }
         }
 
     } finally {
-        // Always cleanup browser resources
+        // After a deadline the automation keeps running in the background; a browser it
+        // was still starting is only quit here once the start has finished
+        if (pendingDriver) {
+            driver = await settleDriver(pendingDriver, deadline.safetyMargin) || driver;
+        }
+
+        // Always cleanup browser resources (only the session context when the browser is warm)
         if (driver && driver.getIsStarted()) {
             try {
                 logger.info('Cleaning up browser resources...');
@@ -134,32 +319,265 @@ async function lambda_handler(event, context) {
     }
 }
 
+/**
+ * Wait for a driver that may still be starting
+ * A start that takes longer than waitMs is not waited for; that driver is quit
+ * in the background as soon as it is up, so no browser is left running.
+ * @param {Promise<PlaywrightDriver>} pendingDriver - Start (or session creation) in progress
+ * @param {number} waitMs - Longest time to wait for it
+ * @returns {Promise<PlaywrightDriver|null>} The started driver, or null when it failed or is still starting
+ */
+async function settleDriver(pendingDriver, waitMs) {
+    let timer = null;
+    const stillStarting = Symbol('stillStarting');
+    const settled = await Promise.race([
+        pendingDriver.catch(() => null),
+        new Promise(resolve => {
+            timer = setTimeout(() => resolve(stillStarting), waitMs);
+        })
+    ]);
+    clearTimeout(timer);
+
+    if (settled === stillStarting) {
+        logger.warn('Browser still starting at cleanup; it is quit once started');
+        pendingDriver
+            .then(driver => driver.quit())
+            .catch(error => logger.debug(`Late browser cleanup: ${error.message}`));
+        return null;
+    }
+    return settled;
+}
+
+/**
+ * Run an async job handed over by invokeJobWorker in this invocation
+ * @param {{job: Object, payload: Object}} asyncJob - Queued job record and payload of the submitting request
+ * @param {Object} context - Lambda context object of the worker invocation
+ * @returns {Promise<Object>} Final job record
+ */
+async function runJobWorker({ job, payload }, context) {
+    const config = await loadConfiguration(payload);
+    const jobsConfig = config.get('automation.jobs', {});
+    const store = createJobStore(jobsConfig);
+
+    // Shared stores already hold the record; keep workers invoked without one working
+    if (!await store.get(job.jobId)) {
+        await store.create(job);
+    }
+
+    return executeJob(store, job, (hooks) => runAsyncJob(payload, hooks, config, context), {
+        callbackPolicy: jobsConfig
+    });
+}
+
+/**
+ * Run an async job: the same automation as a synchronous request, without the async flags
+ * @param {Object} payload - Validated event payload of the submitting request
+ * @param {{jobId: string, reportProgress: Function}} hooks - Job id and progress hook
+ * @param {ConfigManager} config - Configuration manager
+ * @param {Object} [workerContext] - Lambda context of the worker invocation; caps the job time
+ * @returns {Promise<Object>} Response body of the automation
+ */
+async function runAsyncJob(payload, hooks, config, workerContext) {
+    const jobPayload = { ...payload };
+    delete jobPayload.async;
+    delete jobPayload.callbackUrl;
+
+    let jobTimeout = config.get('automation.jobs.timeoutMs', DEFAULT_JOB_TIMEOUT);
+    if (workerContext?.getRemainingTimeInMillis) {
+        jobTimeout = Math.min(jobTimeout, workerContext.getRemainingTimeInMillis() - JOB_WORKER_RESERVE);
+    }
+    const jobDeadline = Date.now() + jobTimeout;
+
+    const response = await lambda_handler(jobPayload, {
+        requestId: hooks.jobId,
+        getRemainingTimeInMillis: () => jobDeadline - Date.now(),
+        reportProgress: hooks.reportProgress
+    });
+    return JSON.parse(response.body);
+}
+
+/**
+ * Run navigation, workflow steps and extraction for a single target
+ * @param {PlaywrightDriver} driver - Started driver (or batch session)
+ * @param {Object} target - Target definition
+ * @param {string} target.url - URL to navigate to
+ * @param {Object} target.extract - Extraction configuration
+ * @param {Array<Object>|null} [target.steps] - Workflow steps to run after navigation
+ * @param {boolean} [target.skipNavigation=false] - Skip the initial navigation (first step navigates)
+ * @param {Object} options - Processing options
+ * @param {number} options.startTime - Start timestamp used for the reported load time
+ * @param {string} [options.userAgent] - User agent reported in the page metadata
+ * @param {boolean} [options.continueOnError=false] - Keep running steps after a failure
+ * @param {Object} [options.sessionState] - Normalized session state restored before navigation
+ * @param {boolean} [options.returnSessionState=false] - Add the session state after the run as data.sessionState
+ * @param {DeadlineBudget} [options.deadline] - Time budget used to shrink timeouts and stop early
+ * @param {{timeout: number, navigationTimeout: number}} [options.baseTimeouts] - Configured timeouts before budgeting
+ * @param {Object} [options.result] - Object filled in place, so partial data survives a deadline
+ * @param {ArtifactCollector} [options.artifacts] - Captures target.artifacts and error screenshots
+ * @returns {Promise<Object>} Target data (url, page info, steps, extractedData, artifacts, sessionState, pageMetadata)
+ */
+async function processTarget(driver, target, options) {
+    const result = options.result || {};
+
+    try {
+        return await runTarget(driver, target, { ...options, result });
+    } catch (error) {
+        // Evidence for failed scrapes (not for deadline truncation: there is no time left)
+        if (options.artifacts?.captureOnError && error.code !== 'DEADLINE_EXCEEDED') {
+            error.data = error.data || result;
+            error.data.errorArtifacts = await options.artifacts.captureErrorEvidence(driver);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Target processing behind processTarget (navigation, steps, extraction, artifacts)
+ * @private
+ */
+async function runTarget(driver, target, options) {
+    const { deadline, baseTimeouts } = options;
+    const applyBudget = () => deadline?.applyTo(driver, baseTimeouts);
+
+    const data = options.result;
+    data.url = target.url;
+    data.pageTitle = null;
+    data.currentUrl = null;
+    let navigation = {};    // Main document response details for pageMetadata
+
+    const stopAtDeadline = (stage) => {
+        if (deadline?.isExpired()) {
+            const deadlineError = createDeadlineError(`Execution deadline reached before ${stage}`);
+            deadlineError.data = data;
+            throw deadlineError;
+        }
+    };
+
+    if (options.sessionState) {
+        stopAtDeadline('session state restore');
+        applyBudget();
+        data.sessionStateRestored = await driver.loadSessionState(options.sessionState);
+    }
+
+    if (!target.skipNavigation) {
+        stopAtDeadline('navigation');
+        applyBudget();
+
+        logger.info(`Navigating to: ${target.url}`);
+        // 4xx/5xx pages are extracted like any page; with failOnHttpError they throw HttpErrorStatusError
+        const navigationResult = await driver.navigateTo(target.url);
+        navigation = {
+            status: navigationResult.status,
+            statusText: navigationResult.statusText,
+            headers: navigationResult.headers,
+            redirectChain: navigationResult.redirectChain,
+            timing: navigationResult.timing
+        };
+
+        data.pageTitle = navigationResult.title;
+        data.currentUrl = navigationResult.url;
+    }
+
+    // Run workflow steps in order
+    if (target.steps) {
+        const workflow = await runSteps(driver, target.steps, {
+            continueOnError: options.continueOnError,
+            deadline: deadline,
+            beforeStep: applyBudget,
+            extractData: (stepExtractConfig) => extractPageData(driver, stepExtractConfig, target.url, { deadline, baseTimeouts })
+        });
+        data.steps = workflow.steps;
+
+        if (workflow.truncated) {
+            stopAtDeadline('all workflow steps completed');
+        }
+
+        if (!workflow.success) {
+            // Keep the per-step results in the error response
+            // with the status code and retryable flag of the error that failed the step
+            const { failedStep, failedError } = workflow;
+            const stepError = new StepFailedError(`Step ${failedStep.index + 1} (${failedStep.name}) failed: ${failedError.message}`, {
+                cause: failedError,
+                statusCode: failedError.statusCode,
+                retryable: failedError.retryable,
+                details: { step: failedStep.index + 1, name: failedStep.name, cause: failedError.code }
+            });
+            stepError.data = data;
+            throw stepError;
+        }
+
+        data.pageTitle = await driver.getTitle();
+        data.currentUrl = await driver.getCurrentUrl();
+    }
+
+    // Extract data from the page
+    stopAtDeadline('extraction');
+    logger.info('Extracting data from page...');
+    data.extractedData = {};
+    try {
+        await extractPageData(driver, target.extract, target.url, { deadline, baseTimeouts, result: data.extractedData });
+    } catch (error) {
+        if (error.code === 'DEADLINE_EXCEEDED') {
+            error.data = data;
+        }
+        throw error;
+    }
+
+    // Capture requested screenshots/PDFs (optional work, skipped near the deadline)
+    if (target.artifacts?.length && options.artifacts) {
+        if (deadline?.isNearDeadline()) {
+            logger.warn('Skipping artifacts: close to the execution deadline');
+            data.extractedData.skipped = [...(data.extractedData.skipped || []), 'artifacts'];
+        } else {
+            applyBudget();
+            data.artifacts = await options.artifacts.captureAll(driver, target.artifacts);
+        }
+    }
+
+    if (options.returnSessionState) {
+        // Encrypted when SESSION_STATE_KEY is set, so the response can be stored as-is
+        data.sessionState = protectSessionState(await driver.getSessionState());
+    }
+
+    data.pageMetadata = {
+        loadTime: `${Date.now() - options.startTime}ms`,
+        userAgent: options.userAgent || 'Playwright-Headless',
+        ...navigation
+    };
+
+    return data;
+}
+
 /**
  * Load configuration from file or environment variables
- * @param {Object} event - Lambda event (may contain config overrides)
- * @returns {ConfigManager} Configuration manager instance
+ * Allowlisted `event.config` values are deep-merged on top of the loaded configuration.
+ * @param {Object} event - Normalized event payload (may contain config overrides)
+ * @returns {{get: Function, overrides: {applied: string[], rejected: string[]}}} Configuration with override report
  */
 async function loadConfiguration(event) {
+    let baseConfig;
+
     try {
         // Try to load from config file first
         const configPath = process.env.CONFIG_PATH || './config/lambda-config.json';
-        const config = new ConfigManager(configPath);
-
-        // Allow event-based config overrides
-        if (event?.config) {
-            logger.info('Applying event-based configuration overrides');
-            // Note: In a real implementation, you might want to merge configurations
-        }
-
-        return config;
+        baseConfig = new ConfigManager(configPath);
 
     } catch (error) {
         logger.warn(`Config file not found: ${error.message}. Using environment variables.`);
         
         // Fallback to environment-based config
-        const envConfig = createEnvironmentConfig();
-        return envConfig;
+        baseConfig = createEnvironmentConfig();
+    }
+
+    // Allow event-based config overrides
+    if (event?.config) {
+        logger.info('Applying event-based configuration overrides');
     }
+
+    const { config, applied, rejected } = applyConfigOverrides(baseConfig, event?.config || {});
+    config.overrides = { applied, rejected };
+
+    return config;
 }
 
 /**
@@ -194,10 +612,31 @@ function createEnvironmentConfig() {
     };
 }
 
+/**
+ * Get the module-scope warm browser manager when browser reuse is enabled
+ * Enabled with WARM_BROWSER=true or `automation.warmBrowser.enabled` in the configuration.
+ * @param {ConfigManager} config - Configuration manager
+ * @returns {WarmBrowserManager|null} Shared manager, or null when every request launches its own browser
+ */
+function getWarmBrowser(config) {
+    const settings = config.get('automation.warmBrowser', {});
+    if (process.env.WARM_BROWSER !== 'true' && settings.enabled !== true) {
+        return null;
+    }
+
+    if (!warmBrowser) {
+        warmBrowser = new WarmBrowserManager({
+            maxInvocations: settings.maxInvocations,
+            maxMemoryMb: settings.maxMemoryMb
+        });
+    }
+    return warmBrowser;
+}
+
 /**
  * Create optimized driver options for serverless environment
  * @param {ConfigManager} config - Configuration manager
- * @param {Object} event - Lambda event
+ * @param {Object} event - Normalized event payload
  * @returns {Object} Driver options
  */
 function createDriverOptions(config, event) {
@@ -219,7 +658,9 @@ function createDriverOptions(config, event) {
         recordVideo: false, // No video in serverless
         disableImages: event?.optimizations?.disableImages || false,
         disableJavaScript: event?.optimizations?.disableJavaScript || false,
-        userAgent: event?.userAgent || playwright.userAgent
+        userAgent: event?.userAgent || playwright.userAgent,
+        failOnHttpError: event?.failOnHttpError ?? playwright.failOnHttpError ?? false,
+        waitFor: { ...playwright.waitFor, ...event?.waitFor }
     };
 }
 
@@ -228,10 +669,29 @@ function createDriverOptions(config, event) {
  * @param {PlaywrightDriver} driver - Playwright driver instance
  * @param {Object} extractConfig - Configuration for data extraction
  * @param {string} url - Current page URL
+ * @param {Object} [options={}] - Extraction options
+ * @param {DeadlineBudget} [options.deadline] - Time budget (optional extractions are skipped near the deadline)
+ * @param {{timeout: number, navigationTimeout: number}} [options.baseTimeouts] - Configured timeouts before budgeting
+ * @param {Object} [options.result] - Object filled in place, so partial data survives a deadline
  * @returns {Promise<Object>} Extracted data
  */
-async function extractPageData(driver, extractConfig, url) {
-    const data = {};
+async function extractPageData(driver, extractConfig, url, options = {}) {
+    const data = options.result || {};
+    const { deadline, baseTimeouts } = options;
+    const applyBudget = () => {
+        if (deadline?.isExpired()) {
+            throw createDeadlineError('Execution deadline reached during extraction');
+        }
+        deadline?.applyTo(driver, baseTimeouts);
+    };
+    const skipOptional = (name) => {
+        if (!deadline?.isNearDeadline()) {
+            return false;
+        }
+        logger.warn(`Skipping optional ${name} extraction: close to the execution deadline`);
+        data.skipped = [...(data.skipped || []), name];
+        return true;
+    };
 
     try {
         // Default extractions
@@ -240,6 +700,7 @@ async function extractPageData(driver, extractConfig, url) {
         
         // Extract main heading if configured or as default
         if (extractConfig.heading !== false) {
+            applyBudget();
             try {
                 const selector = extractConfig.headingSelector || 'h1';
                 data.mainHeading = await driver.getText(selector);
@@ -253,32 +714,35 @@ async function extractPageData(driver, extractConfig, url) {
         // Extract custom selectors if provided
         if (extractConfig.selectors && Array.isArray(extractConfig.selectors)) {
             data.customData = {};
+            // Single values, lists and nested records (relative to each match) are all read by the parser,
+            // inside the frame entered with switchToFrame() like the driver's own lookups
+            const parser = new BasePlaywrightParser(driver.getScope());
             
             for (const selectorConfig of extractConfig.selectors) {
-                const { name, selector, attribute = 'textContent' } = selectorConfig;
+                const { name, selector } = selectorConfig;
+                
+                const defaultValue = selectorConfig.default !== undefined ? selectorConfig.default : null;
                 
+                applyBudget();
                 try {
-                    let value;
-                    if (attribute === 'textContent') {
-                        value = await driver.getText(selector);
+                    const value = await parser.extractField(selectorConfig);
+                    if (selectorConfig.multiple || selectorConfig.fields) {
+                        logger.info(`Extracted ${name}: ${Array.isArray(value) ? `${value.length} item(s)` : 'record'}`);
                     } else {
-                        // For other attributes, we'd need to extend the driver
-                        // This is a placeholder for more complex extraction
-                        value = await driver.getText(selector);
+                        logger.info(`Extracted ${name}: "${value}"`);
                     }
                     
-                    data.customData[name] = value;
-                    logger.info(`Extracted ${name}: "${value}"`);
+                    data.customData[name] = value === null || value === undefined ? defaultValue : value;
                     
                 } catch (error) {
                     logger.warn(`Could not extract ${name} with selector ${selector}: ${error.message}`);
-                    data.customData[name] = null;
+                    data.customData[name] = defaultValue;
                 }
             }
         }
 
         // Extract page metadata
-        if (extractConfig.metadata !== false) {
+        if (extractConfig.metadata !== false && !skipOptional('metadata')) {
             try {
                 const pageSource = await driver.getPageSource();
                 data.metadata = {
@@ -294,7 +758,7 @@ async function extractPageData(driver, extractConfig, url) {
         }
 
         // Custom JavaScript execution if configured
-        if (extractConfig.customScript) {
+        if (extractConfig.customScript && !skipOptional('customScript')) {
             try {
                 logger.info('Executing custom JavaScript...');
                 const customResult = await driver.executeScript(extractConfig.customScript);
@@ -306,6 +770,9 @@ async function extractPageData(driver, extractConfig, url) {
         }
 
     } catch (error) {
+        if (error.code === 'DEADLINE_EXCEEDED') {
+            throw error;
+        }
         logger.error(`Data extraction failed: ${error.message}`);
         throw new Error(`Data extraction failed: ${error.message}`);
     }
@@ -316,9 +783,13 @@ async function extractPageData(driver, extractConfig, url) {
 // Export for Lambda
 module.exports = {
     lambda_handler,
+    // Event schema, so clients can validate payloads before sending them
+    EVENT_SCHEMA,
+    validateEvent,
     // Export utilities for testing
     loadConfiguration,
     createDriverOptions,
+    processTarget,
     extractPageData
 };
 
@@ -344,7 +815,7 @@ if (require.main === module) {
     const testContext = {
         requestId: 'test-' + Date.now(),
         functionName: 'web-automation-test',
-        remainingTimeInMillis: () => 30000
+        getRemainingTimeInMillis: () => 30000
     };
 
     lambda_handler(testEvent, testContext)
@@ -0,0 +1,92 @@
+/**
+ * Automation Driver - The contract shared by the Playwright and Selenium drivers
+ *
+ * PlaywrightDriver and BaseSeleniumDriver both extend AutomationDriver, so code
+ * written against this contract runs on either engine (see driverFactory.js to
+ * pick one from configuration).
+ *
+ * Portable behaviour (checked by tests/conformance):
+ * - navigateTo(url) resolves to at least {url, title, success}
+ * - selectors are CSS or XPath (starting with '//'); a missing element rejects
+ *   with a SelectorNotFoundError (code SELECTOR_NOT_FOUND)
+ * - 'frame >> selector' looks inside an iframe and 'host >>> selector' inside a
+ *   shadow root (see selectorChain.js); switchToFrame scopes later calls to a frame
+ * - executeScript(fn, arg) runs a function with at most one argument;
+ *   script strings are engine-specific (expression vs. function body)
+ * - takeScreenshot(filename) resolves to the saved file path
+ * - tabs are {index, url, title, active}; every other method acts on the
+ *   active tab, which switchToTab, newTab and waitForPopup change
+ * - session state (cookies, localStorage, sessionStorage) is saved and loaded
+ *   in one format, so either engine can restore the other's login
+ * - waitForDownload(action) resolves once the file is complete, to
+ *   {path, suggestedFilename, size, mimeType, sha256}
+ */
+
+class AutomationDriver {
+  // Methods every engine has to implement
+  static METHODS = [
+    'start',
+    'quit',
+    'navigateTo',
+    'findElement',
+    'findElements',
+    'click',
+    'sendKeys',
+    'clearText',
+    'uploadFile',
+    'getText',
+    'waitForElement',
+    'waitForVisible',
+    'waitForClickable',
+    'takeScreenshot',
+    'getPageSource',
+    'getTitle',
+    'getCurrentUrl',
+    'goBack',
+    'goForward',
+    'refresh',
+    'getTabs',
+    'switchToTab',
+    'newTab',
+    'waitForPopup',
+    'waitForDownload',
+    'closeTab',
+    'switchToFrame',
+    'switchToMainFrame',
+    'getSessionState',
+    'saveSessionState',
+    'loadSessionState',
+    'executeScript',
+    'wait',
+    'getIsStarted',
+    'getOptions',
+    'getOutputDirectoryConfig',
+    'getDownloadDirectory'
+  ];
+
+  constructor() {
+    if (new.target === AutomationDriver) {
+      throw new TypeError('AutomationDriver is abstract. Use createDriver() or an engine driver class.');
+    }
+  }
+
+  /**
+   * List the contract methods a driver class does not implement
+   * @param {Function} DriverClass - Driver class (or subclass) to check
+   * @returns {string[]} Missing method names (empty when the class conforms)
+   */
+  static getMissingMethods(DriverClass) {
+    return AutomationDriver.METHODS.filter(method =>
+      typeof DriverClass.prototype[method] !== 'function'
+      || DriverClass.prototype[method] === AutomationDriver.prototype[method]);
+  }
+}
+
+// Placeholders, so a missing implementation fails loudly instead of with "is not a function"
+for (const method of AutomationDriver.METHODS) {
+  AutomationDriver.prototype[method] = function () {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  };
+}
+
+module.exports = AutomationDriver;
\ No newline at end of file
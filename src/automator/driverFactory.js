@@ -0,0 +1,102 @@
+/**
+ * Driver Factory - Create an AutomationDriver for the configured engine
+ *
+ * Callers choose the engine with data instead of importing a concrete class,
+ * so a script switches between Playwright and Selenium with a config change:
+ *
+ *   const { createDriver } = require('./src/automator/driverFactory');
+ *   const driver = createDriver({ engine: 'selenium', browser: 'firefox', headless: true });
+ *   await driver.start();
+ *
+ * Engine modules are loaded on first use, so only the engine that is actually
+ * used has to be installed (both are optional dependencies).
+ */
+
+const AutomationDriver = require('./automationDriver');
+
+// Browser names accepted by each engine (aliases map to the engine's own name)
+const ENGINE_BROWSERS = {
+  playwright: {
+    chromium: 'chromium',
+    chrome: 'chromium',
+    firefox: 'firefox',
+    webkit: 'webkit',
+    safari: 'webkit'
+  },
+  selenium: {
+    chrome: 'chrome',
+    chromium: 'chrome',
+    firefox: 'firefox',
+    edge: 'edge'
+  }
+};
+
+// Driver factories by engine (see registerDriverEngine)
+const DRIVER_ENGINES = {
+  playwright: (options) => {
+    const PlaywrightDriver = require('./playwright/drivers/playwrightDriver');
+    return new PlaywrightDriver(options);
+  },
+  selenium: (options) => {
+    const SeleniumDrivers = {
+      chrome: () => require('./selenium/drivers/chromeSeleniumDriver'),
+      firefox: () => require('./selenium/drivers/firefoxSeleniumDriver'),
+      edge: () => require('./selenium/drivers/edgeSeleniumDriver')
+    };
+    const SeleniumDriver = SeleniumDrivers[options.browser]();
+    return new SeleniumDriver(options);
+  }
+};
+
+/**
+ * Register a driver engine
+ * @param {string} engine - Engine name used in `createDriver({engine})`
+ * @param {Function} factory - (options) => driver extending AutomationDriver
+ * @param {Object<string, string>} [browsers] - Accepted browser names (alias -> engine name); any name when omitted
+ */
+function registerDriverEngine(engine, factory, browsers = null) {
+  DRIVER_ENGINES[engine] = factory;
+  if (browsers) {
+    ENGINE_BROWSERS[engine] = browsers;
+  } else {
+    delete ENGINE_BROWSERS[engine];
+  }
+}
+
+/**
+ * Create a driver (not started yet)
+ * @param {Object} [options={}] - Engine selection plus driver options
+ * @param {string} [options.engine='playwright'] - 'playwright' or 'selenium'
+ * @param {string} [options.browser] - Browser name (defaults to chromium/chrome)
+ * @returns {AutomationDriver} Driver for the requested engine
+ * @throws {Error} When the engine or browser is unknown
+ */
+function createDriver(options = {}) {
+  const { engine = 'playwright', ...driverOptions } = options;
+  const factory = DRIVER_ENGINES[engine];
+
+  if (!factory) {
+    throw new Error(`Unknown driver engine: ${engine} (available: ${Object.keys(DRIVER_ENGINES).join(', ')})`);
+  }
+
+  const browsers = ENGINE_BROWSERS[engine];
+  if (browsers) {
+    const requested = (driverOptions.browser || Object.keys(browsers)[0]).toLowerCase();
+    if (!browsers[requested]) {
+      throw new Error(`Browser ${requested} is not supported by ${engine} (supported: ${Object.keys(browsers).join(', ')})`);
+    }
+    driverOptions.browser = browsers[requested];
+  }
+
+  const driver = factory(driverOptions);
+  if (!(driver instanceof AutomationDriver)) {
+    throw new TypeError(`Driver engine ${engine} did not return an AutomationDriver`);
+  }
+  return driver;
+}
+
+module.exports = {
+  DRIVER_ENGINES,
+  registerDriverEngine,
+  createDriver
+};
\ No newline at end of file
@@ -2,6 +2,12 @@ const { chromium, firefox, webkit } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../../../common/utils/logger');
+const AutomationDriver = require('../../automationDriver');
+const { classifyError, HttpErrorStatusError, InvalidRequestError } = require('../../../common/utils/automationErrors');
+const { resolveWaitStrategy } = require('../../../common/utils/waitStrategy');
+const PlaywrightUtils = require('../helpers/playwrightUtils');
+const { normalizeSessionState, readSessionState, writeSessionState } = require('../../../common/utils/sessionState');
+const { getAvailablePath, getFileInfo } = require('../../../common/utils/fileInfo');
 
 /**
  * Unified Playwright Driver - Modern browser automation with unified API
@@ -10,17 +16,20 @@ const logger = require('../../../common/utils/logger');
  * (Chromium, Firefox, WebKit) using Playwright's unified API.
  * Unlike Selenium, Playwright handles all browsers through a single driver.
  */
-class PlaywrightDriver {
+class PlaywrightDriver extends AutomationDriver {
   // Constants
   static DEFAULT_OUTPUT_DIRECTORY = './output';
   static DEFAULT_DOWNLOADS_DIRECTORY = './downloads';
   static DEFAULT_SCREENSHOTS_DIRECTORY = 'screenshots';
   static DEFAULT_VIDEOS_DIRECTORY = 'videos';
+  static DEFAULT_PDFS_DIRECTORY = 'pdfs';
 
   constructor(options = {}) {
+    super();
     this.browser = null;
     this.context = null;
     this.page = null;
+    this.frame = null;              // Frame entered with switchToFrame() (null = main frame)
     this.options = {
       browser: 'chromium',          // 'chromium', 'firefox', 'webkit'
       headless: true,               // Run without visible window
@@ -37,12 +46,19 @@ class PlaywrightDriver {
       disableJavaScript: false,     // Disable JavaScript
       acceptInsecureCerts: true,    // Accept self-signed certificates
       recordVideo: false,           // Enable video recording
+      failOnHttpError: false,       // Throw from navigateTo when the page answers 4xx/5xx
+      waitFor: null,                // Default navigateTo wait strategy (see waitStrategy.js)
+      wsEndpoint: process.env.PLAYWRIGHT_WS_ENDPOINT || null,    // Playwright server to connect to instead of launching
+      cdpEndpoint: process.env.PLAYWRIGHT_CDP_ENDPOINT || null,  // Running Chromium (CDP) to connect to instead of launching
+      connectOptions: {},           // Extra connect()/connectOverCDP() options (headers, timeout)
       slowMo: 0,                   // Slow down operations (for debugging)
       ...options
     };
     
     this.isStarted = false;
     this.currentUrl = null;
+    this.ownsBrowser = true;        // Sessions created by createSession() share the browser
+    this.connection = null;         // {mode, endpoint} when connected to a remote browser
     
     // Initialize directory state from options (resolve to absolute paths from project base directory)
     const projectRoot = path.resolve(__dirname, '../../../../'); // Go up to project root from src/automator/playwright/drivers/
@@ -54,6 +70,7 @@ class PlaywrightDriver {
       : path.resolve(projectRoot, this.options.downloadsPath);
     this.screenshotsDirectory = PlaywrightDriver.DEFAULT_SCREENSHOTS_DIRECTORY;
     this.videosDirectory = PlaywrightDriver.DEFAULT_VIDEOS_DIRECTORY;
+    this.pdfsDirectory = PlaywrightDriver.DEFAULT_PDFS_DIRECTORY;
   }
 
   /**
@@ -86,124 +103,223 @@ class PlaywrightDriver {
           throw new Error(`Unsupported browser: ${this.options.browser}`);
       }
 
-      // Launch browser
-      const launchOptions = {
-        headless: this.options.headless,
-        slowMo: this.options.slowMo,
-        args: []
-      };
+      if (this.options.wsEndpoint || this.options.cdpEndpoint) {
+        // Use a browser run by another process; quit() only disconnects from it
+        this.browser = await this._connectBrowser(browserEngine);
+      } else {
+        this.browser = await browserEngine.launch(await this._getLaunchOptions());
+      }
 
-      // Detect AWS Lambda environment (works for dev, staging, prod)
-      const isLambda = process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.AWS_EXECUTION_ENV;
-      
-      if (isLambda) {
-        try {
-          // Try serverless Chromium first (for real AWS Lambda)
-          const chromium = require('@sparticuz/chromium');
-          launchOptions.executablePath = await chromium.executablePath();
-          launchOptions.args = [
-            ...launchOptions.args,
-            ...chromium.args
-          ];
-          logger.info('Using serverless Chromium for AWS Lambda environment');
-        } catch (error) {
-          logger.warn(`Serverless Chromium not available in Lambda: ${error.message}`);
-          // In Lambda without @sparticuz/chromium, we'll fail fast with a clear error
-          throw new Error('Lambda environment detected but serverless Chromium not available. Install @sparticuz/chromium package.');
-        }
+      await this._initializeContext();
+
+      this.isStarted = true;
+      logger.info('Browser driver started successfully');
+
+    } catch (error) {
+      logger.error('Failed to start browser driver:', error.message);
+      throw classifyError(error, { operation: 'launch', message: `Driver startup failed: ${error.message}` });
+    }
+  }
+
+  /**
+   * Build the launch options for a local browser
+   * Uses serverless Chromium in AWS Lambda and a custom executable when configured.
+   * @private
+   */
+  async _getLaunchOptions() {
+    const launchOptions = {
+      headless: this.options.headless,
+      slowMo: this.options.slowMo,
+      args: []
+    };
+
+    // Detect AWS Lambda environment (works for dev, staging, prod)
+    const isLambda = process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.AWS_EXECUTION_ENV;
+    
+    if (isLambda) {
+      try {
+        // Try serverless Chromium first (for real AWS Lambda)
+        const chromium = require('@sparticuz/chromium');
+        launchOptions.executablePath = await chromium.executablePath();
+        launchOptions.args = [
+          ...launchOptions.args,
+          ...chromium.args
+        ];
+        logger.info('Using serverless Chromium for AWS Lambda environment');
+      } catch (error) {
+        logger.warn(`Serverless Chromium not available in Lambda: ${error.message}`);
+        // In Lambda without @sparticuz/chromium, we'll fail fast with a clear error
+        throw new Error('Lambda environment detected but serverless Chromium not available. Install @sparticuz/chromium package.');
+      }
+    } else {
+      // Local/Docker environment
+      const executablePath = process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH;
+      if (executablePath && (this.options.browser === 'chromium' || this.options.browser === 'chrome')) {
+        launchOptions.executablePath = executablePath;
+        logger.info(`Using custom Chromium executable: ${executablePath}`);
       } else {
-        // Local/Docker environment
-        const executablePath = process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH;
-        if (executablePath && (this.options.browser === 'chromium' || this.options.browser === 'chrome')) {
-          launchOptions.executablePath = executablePath;
-          logger.info(`Using custom Chromium executable: ${executablePath}`);
-        } else {
-          // Use default Playwright browser installation
-          logger.info('Using default Playwright browser installation');
-        }
+        // Use default Playwright browser installation
+        logger.info('Using default Playwright browser installation');
       }
+    }
+
+    // Add browser-specific launch arguments
+    if (this.options.browser === 'chromium' || this.options.browser === 'chrome') {
+      launchOptions.args.push(
+        '--no-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-web-security',
+        '--allow-running-insecure-content'
+      );
+    }
+
+    return launchOptions;
+  }
+
+  /**
+   * Connect to a browser run by another process
+   * wsEndpoint: Playwright server (`launchServer()` / `npx playwright run-server`), any engine.
+   * cdpEndpoint: Chrome DevTools Protocol endpoint of a running Chromium (`--remote-debugging-port`).
+   * Either may list several endpoints (array or comma-separated); they are tried
+   * in turn from a random starting point so drivers spread over a browser pool.
+   * @private
+   */
+  async _connectBrowser(browserEngine) {
+    if (this.options.wsEndpoint && this.options.cdpEndpoint) {
+      throw new Error('Set either wsEndpoint or cdpEndpoint, not both');
+    }
+
+    const overCDP = Boolean(this.options.cdpEndpoint);
+    if (overCDP && browserEngine !== chromium) {
+      throw new Error(`cdpEndpoint requires chromium (current: ${this.options.browser})`);
+    }
 
-      // Add browser-specific launch arguments
-      if (this.options.browser === 'chromium' || this.options.browser === 'chrome') {
-        launchOptions.args.push(
-          '--no-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-web-security',
-          '--allow-running-insecure-content'
-        );
+    const endpoints = [].concat(this.options.cdpEndpoint || this.options.wsEndpoint)
+      .flatMap(endpoint => String(endpoint).split(','))
+      .map(endpoint => endpoint.trim())
+      .filter(Boolean);
+    const offset = Math.floor(Math.random() * endpoints.length);
+    const errors = [];
+
+    for (let index = 0; index < endpoints.length; index++) {
+      const endpoint = endpoints[(offset + index) % endpoints.length];
+      try {
+        const browser = overCDP
+          ? await browserEngine.connectOverCDP(endpoint, { slowMo: this.options.slowMo, ...this.options.connectOptions })
+          : await browserEngine.connect(endpoint, { slowMo: this.options.slowMo, ...this.options.connectOptions });
+
+        this.connection = { mode: overCDP ? 'cdp' : 'connect', endpoint: endpoint };
+        logger.info(`Connected to remote ${this.options.browser} ${browser.version()} at ${endpoint}${overCDP ? ' (CDP)' : ''}`);
+        return browser;
+      } catch (error) {
+        logger.warn(`Could not connect to ${endpoint}: ${error.message.split('\n')[0]}`);
+        errors.push(`${endpoint}: ${error.message.split('\n')[0]}`);
       }
+    }
+
+    throw new Error(`No remote browser reachable (${errors.join('; ')})`);
+  }
+
+  /**
+   * Create the browser context and page for this driver
+   * Applies viewport, user agent, video, downloads and page-level settings.
+   */
+  async _initializeContext() {
+    // Create browser context with options
+    const contextOptions = {
+      viewport: {
+        width: this.options.windowSize.width,
+        height: this.options.windowSize.height
+      },
+      ignoreHTTPSErrors: this.options.acceptInsecureCerts
+    };
 
-      this.browser = await browserEngine.launch(launchOptions);
+    // Only set userAgent if it's a valid string
+    if (typeof this.options.userAgent === 'string' && this.options.userAgent.trim()) {
+      contextOptions.userAgent = this.options.userAgent;
+    }
 
-      // Create browser context with options
-      const contextOptions = {
-        viewport: {
+    // Configure video recording if enabled
+    if (this.options.recordVideo) {
+      const videoDirInfo = await this.createVideosDirectory();
+      contextOptions.recordVideo = {
+        dir: videoDirInfo.videosPath,
+        size: {
           width: this.options.windowSize.width,
           height: this.options.windowSize.height
-        },
-        ignoreHTTPSErrors: this.options.acceptInsecureCerts
+        }
       };
+    }
 
-      // Only set userAgent if it's a valid string
-      if (typeof this.options.userAgent === 'string' && this.options.userAgent.trim()) {
-        contextOptions.userAgent = this.options.userAgent;
-      }
+    // Configure download directory
+    if (this.options.downloadsPath) {
+      contextOptions.acceptDownloads = true;
+      contextOptions.downloadsPath = this.downloadDirectoryBasePath;
+      
+      // Ensure download directory exists
+      await fs.mkdir(this.downloadDirectoryBasePath, { recursive: true });
+      logger.info(`Download directory set to: ${this.downloadDirectoryBasePath}`);
+    }
 
-      // Configure video recording if enabled
-      if (this.options.recordVideo) {
-        const videoDirInfo = await this.createVideosDirectory();
-        contextOptions.recordVideo = {
-          dir: videoDirInfo.videosPath,
-          size: {
-            width: this.options.windowSize.width,
-            height: this.options.windowSize.height
-          }
-        };
-      }
+    this.context = await this.browser.newContext(contextOptions);
+    
+    // Set timeouts
+    this.context.setDefaultTimeout(this.options.timeout);
+    this.context.setDefaultNavigationTimeout(this.options.navigationTimeout);
 
-      // Configure download directory
-      if (this.options.downloadsPath) {
-        contextOptions.acceptDownloads = true;
-        contextOptions.downloadsPath = this.downloadDirectoryBasePath;
-        
-        // Ensure download directory exists
-        await fs.mkdir(this.downloadDirectoryBasePath, { recursive: true });
-        logger.info(`Download directory set to: ${this.downloadDirectoryBasePath}`);
-      }
+    // Every tab and popup of the context is tracked, so the active page can follow them
+    this.context.on('page', (page) => this._trackPage(page));
 
-      this.context = await this.browser.newContext(contextOptions);
-      
-      // Set timeouts
-      this.context.setDefaultTimeout(this.options.timeout);
-      this.context.setDefaultNavigationTimeout(this.options.navigationTimeout);
-
-      // Create page
-      this.page = await this.context.newPage();
-
-      // Configure page-level settings
-      if (this.options.disableImages) {
-        await this.page.route('**/*', (route) => {
-          const resourceType = route.request().resourceType();
-          if (resourceType === 'image') {
-            route.abort();
-          } else {
-            route.continue();
-          }
-        });
-      }
+    // Create page
+    this.page = await this.context.newPage();
 
-      if (this.options.disableJavaScript) {
-        await this.context.addInitScript('window.addEventListener = () => {};');
-      }
+    // Configure context-level settings (apply to popups too)
+    if (this.options.disableImages) {
+      await this.context.route('**/*', (route) => {
+        const resourceType = route.request().resourceType();
+        if (resourceType === 'image') {
+          route.abort();
+        } else {
+          route.continue();
+        }
+      });
+    }
 
-      this.isStarted = true;
-      logger.info('Browser driver started successfully');
+    if (this.options.disableJavaScript) {
+      await this.context.addInitScript('window.addEventListener = () => {};');
+    }
+  }
+
+  /**
+   * Create an isolated session that shares this driver's browser
+   * 
+   * The session is a PlaywrightDriver with its own context and page, so every
+   * driver method works on it. Quitting the session only closes its context;
+   * the shared browser stays open until this driver quits.
+   * @param {Object} [options={}] - Context-level option overrides (userAgent, windowSize, timeout...)
+   * @returns {Promise<PlaywrightDriver>} Started session driver
+   */
+  async createSession(options = {}) {
+    if (!this.isStarted || !this.browser) {
+      throw new Error('Driver not started. Call start() first.');
+    }
 
+    const session = new PlaywrightDriver({ ...this.options, ...options });
+    session.browser = this.browser;
+    session.ownsBrowser = false;
+    session.connection = this.connection;
+
+    try {
+      await session._initializeContext();
     } catch (error) {
-      logger.error('Failed to start browser driver:', error.message);
-      throw new Error(`Driver startup failed: ${error.message}`);
+      logger.error('Failed to create browser session:', error.message);
+      throw classifyError(error, { operation: 'launch', message: `Session creation failed: ${error.message}` });
     }
+
+    session.isStarted = true;
+    logger.info('Browser session created');
+    return session;
   }
 
   /**
@@ -227,8 +343,16 @@ class PlaywrightDriver {
       }
       
       if (this.browser) {
-        await this.browser.close();
+        // Sessions leave the shared browser to the driver that launched it.
+        // For a connected browser close() only drops the connection; the remote browser keeps running.
+        if (this.ownsBrowser) {
+          await this.browser.close();
+          if (this.connection) {
+            logger.info(`Disconnected from remote browser at ${this.connection.endpoint}`);
+          }
+        }
         this.browser = null;
+        this.connection = null;
       }
 
       this.isStarted = false;
@@ -242,31 +366,126 @@ class PlaywrightDriver {
 
   /**
    * Navigate to a URL
+   * The result describes the main document response: status, headers, the
+   * redirect chain that led to it and request timing (milliseconds).
+   * Same-document navigations have no response (status and headers are null).
+   * @param {string} url - URL to open
+   * @param {Object} [options={}] - Navigation options
+   * @param {boolean} [options.failOnHttpError] - Throw HttpErrorStatusError on 4xx/5xx (defaults to the driver option)
+   * @param {Object} [options.waitFor] - Wait strategy ({loadState, selector, state, predicate, domStable, timeout}),
+   *   merged over the driver option; timeout defaults to navigationTimeout and covers all conditions
+   * @returns {Promise<{url: string, title: string, success: boolean, status: number|null, statusText: string|null, headers: Object|null, redirectChain: Array<{url: string, status: number|null}>, timing: Object}>} Navigation result
    */
-  async navigateTo(url) {
+  async navigateTo(url, options = {}) {
     this._ensureStarted();
     
     logger.info(`Navigating to: ${url}`);
     
+    const failOnHttpError = options.failOnHttpError ?? this.options.failOnHttpError;
+    const strategy = resolveWaitStrategy(options.waitFor, this.options.waitFor, this.options.navigationTimeout);
+    const startTime = Date.now();
+    let result;
+
+    this.frame = null;
+
     try {
       const response = await this.page.goto(url, { 
-        waitUntil: 'domcontentloaded',
-        timeout: this.options.navigationTimeout 
+        waitUntil: strategy.loadState,
+        timeout: strategy.timeout 
       });
       
       this.currentUrl = url;
+      await this._waitForReady(strategy, startTime + strategy.timeout);
       logger.info('Navigation completed successfully');
       
-      return {
+      result = {
         url: this.page.url(),
         title: await this.page.title(),
-        success: response.ok(),
-        status: response.status()
+        success: response ? response.ok() : true,
+        status: response ? response.status() : null,
+        statusText: response ? response.statusText() : null,
+        headers: response ? response.headers() : null,
+        redirectChain: response ? await this._getRedirectChain(response.request()) : [],
+        timing: this._getNavigationTiming(response?.request(), Date.now() - startTime)
       };
     } catch (error) {
       logger.error(`Navigation failed: ${error.message}`);
-      throw new Error(`Failed to navigate to ${url}: ${error.message}`);
+      throw classifyError(error, { operation: 'navigation', message: `Failed to navigate to ${url}: ${error.message}` });
+    }
+
+    if (!result.success) {
+      logger.warn(`Page answered HTTP ${result.status}: ${result.url}`);
+      if (failOnHttpError) {
+        throw new HttpErrorStatusError(`Failed to navigate to ${url}: HTTP ${result.status} ${result.statusText}`.trim(), {
+          status: result.status,
+          details: { url: result.url, redirectChain: result.redirectChain }
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Wait for the content conditions of a wait strategy (the load state is handled by goto)
+   * @private
+   */
+  async _waitForReady(strategy, deadline) {
+    const remaining = () => Math.max(deadline - Date.now(), 1);
+
+    if (strategy.selector) {
+      // Frames along the way can only be waited for when the target has to be present
+      const present = strategy.state === 'attached' || strategy.state === 'visible';
+      const locator = await PlaywrightUtils.locate(this.page, strategy.selector, present ? remaining() : null);
+      await locator.first().waitFor({ state: strategy.state, timeout: remaining() });
+    }
+    if (strategy.predicate) {
+      await this.page.waitForFunction(strategy.predicate, null, { timeout: remaining() });
     }
+    if (strategy.domStable) {
+      await PlaywrightUtils.waitForStableDOM(this.page, { stabilityTimeout: strategy.domStable, maxWait: remaining() });
+    }
+  }
+
+  /**
+   * Collect the redirects that led to a request (oldest first)
+   * @private
+   */
+  async _getRedirectChain(request) {
+    const chain = [];
+    let redirected = request.redirectedFrom();
+
+    while (redirected) {
+      const response = await redirected.response();
+      chain.unshift({ url: redirected.url(), status: response ? response.status() : null });
+      redirected = redirected.redirectedFrom();
+    }
+
+    return chain;
+  }
+
+  /**
+   * Summarize the resource timing of the main document request
+   * Phases Playwright could not measure (reused connections, cached responses) are null.
+   * @private
+   */
+  _getNavigationTiming(request, total) {
+    const timing = request ? request.timing() : null;
+    const phase = (start, end) => {
+      if (!timing || timing[start] < 0 || timing[end] < 0) {
+        return null;
+      }
+      return Math.round(timing[end] - timing[start]);
+    };
+
+    return {
+      total: total,
+      dns: phase('domainLookupStart', 'domainLookupEnd'),
+      connect: phase('connectStart', 'connectEnd'),
+      tls: phase('secureConnectionStart', 'connectEnd'),
+      ttfb: phase('requestStart', 'responseStart'),
+      download: phase('responseStart', 'responseEnd')
+    };
   }
 
   /**
@@ -279,10 +498,8 @@ class PlaywrightDriver {
       const timeoutMs = timeout || this.options.timeout;
       
       // Playwright has powerful built-in selectors
-      const element = await this.page.waitForSelector(selector, {
-        timeout: timeoutMs,
-        state: 'attached'
-      });
+      const locator = await this._locate(selector, timeoutMs);
+      const element = await locator.first().elementHandle({ timeout: timeoutMs });
       
       if (!element) {
         throw new Error(`Element not found: ${selector}`);
@@ -291,7 +508,7 @@ class PlaywrightDriver {
       return element;
     } catch (error) {
       logger.error(`Element not found: ${selector}`, error.message);
-      throw new Error(`Element not found: ${selector}`);
+      throw classifyError(error, { operation: 'element', message: `Element not found: ${selector}` });
     }
   }
 
@@ -302,7 +519,7 @@ class PlaywrightDriver {
     this._ensureStarted();
     
     try {
-      return await this.page.locator(selector).all();
+      return await (await this._locate(selector)).all();
     } catch (error) {
       logger.error(`Elements not found: ${selector}`, error.message);
       return [];
@@ -319,13 +536,13 @@ class PlaywrightDriver {
       const timeoutMs = timeout || this.options.timeout;
       
       // Playwright has smart waiting built-in
-      await this.page.click(selector, { timeout: timeoutMs });
+      await (await this._locate(selector, timeoutMs)).first().click({ timeout: timeoutMs });
       logger.info(`Clicked element: ${selector}`);
       
       return { success: true, selector };
     } catch (error) {
       logger.error(`Click failed: ${selector}`, error.message);
-      throw new Error(`Failed to click ${selector}: ${error.message}`);
+      throw classifyError(error, { operation: 'element', message: `Failed to click ${selector}: ${error.message}` });
     }
   }
 
@@ -338,13 +555,13 @@ class PlaywrightDriver {
     try {
       const timeoutMs = timeout || this.options.timeout;
       
-      await this.page.fill(selector, text, { timeout: timeoutMs });
+      await (await this._locate(selector, timeoutMs)).first().fill(text, { timeout: timeoutMs });
       logger.info(`Sent keys to element: ${selector}`);
       
       return { success: true, selector, text };
     } catch (error) {
       logger.error(`Send keys failed: ${selector}`, error.message);
-      throw new Error(`Failed to send keys to ${selector}: ${error.message}`);
+      throw classifyError(error, { operation: 'element', message: `Failed to send keys to ${selector}: ${error.message}` });
     }
   }
 
@@ -357,13 +574,67 @@ class PlaywrightDriver {
     try {
       const timeoutMs = timeout || this.options.timeout;
       
-      await this.page.fill(selector, '', { timeout: timeoutMs });
+      await (await this._locate(selector, timeoutMs)).first().fill('', { timeout: timeoutMs });
       logger.info(`Cleared text from element: ${selector}`);
       
       return { success: true, selector };
     } catch (error) {
       logger.error(`Clear text failed: ${selector}`, error.message);
-      throw new Error(`Failed to clear text from ${selector}: ${error.message}`);
+      throw classifyError(error, { operation: 'element', message: `Failed to clear text from ${selector}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Select one or more options in a <select> element (by value or label)
+   */
+  async selectOption(selector, value, timeout = null) {
+    this._ensureStarted();
+
+    try {
+      const timeoutMs = timeout || this.options.timeout;
+
+      const selected = await (await this._locate(selector, timeoutMs)).first().selectOption(value, { timeout: timeoutMs });
+      logger.info(`Selected option(s) in element: ${selector}`);
+
+      return { success: true, selector, selected };
+    } catch (error) {
+      logger.error(`Select option failed: ${selector}`, error.message);
+      throw classifyError(error, { operation: 'element', message: `Failed to select option in ${selector}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Set the files of a file input, or of the file chooser an element opens when clicked
+   * Custom upload widgets (buttons, drop zones) hide the input; their file chooser is used instead.
+   * @param {string} selector - <input type=file>, or the element that opens the file chooser
+   * @param {string|Buffer|Object|Array} files - Paths, Buffers or {name, buffer, mimeType} (see uploadFiles.js); [] clears the input
+   * @param {number} [timeout] - Time to wait for the element and the file chooser (default: driver timeout)
+   * @returns {Promise<{success: boolean, selector: string, files: string[]}>} Uploaded file names
+   */
+  async uploadFile(selector, files, timeout = null) {
+    this._ensureStarted();
+
+    try {
+      const timeoutMs = timeout || this.options.timeout;
+      const { inputFiles, names } = await PlaywrightUtils.toInputFiles(files);
+
+      const element = (await this._locate(selector, timeoutMs)).first();
+      const isFileInput = await element.evaluate(node => node.tagName === 'INPUT' && node.type === 'file', null, { timeout: timeoutMs });
+      if (isFileInput) {
+        await element.setInputFiles(inputFiles, { timeout: timeoutMs });
+      } else {
+        const [fileChooser] = await Promise.all([
+          this.page.waitForEvent('filechooser', { timeout: timeoutMs }),
+          element.click({ timeout: timeoutMs })
+        ]);
+        await fileChooser.setFiles(inputFiles, { timeout: timeoutMs });
+      }
+      logger.info(`Uploaded ${names.length} file(s) to element: ${selector}`);
+
+      return { success: true, selector, files: names };
+    } catch (error) {
+      logger.error(`Upload file failed: ${selector}`, error.message);
+      throw classifyError(error, { operation: 'element', message: `Failed to upload files to ${selector}: ${error.message}` });
     }
   }
 
@@ -376,11 +647,94 @@ class PlaywrightDriver {
     try {
       const timeoutMs = timeout || this.options.timeout;
       
-      const text = await this.page.textContent(selector, { timeout: timeoutMs });
+      const text = await (await this._locate(selector, timeoutMs)).first().textContent({ timeout: timeoutMs });
       return text || '';
     } catch (error) {
       logger.error(`Get text failed: ${selector}`, error.message);
-      throw new Error(`Failed to get text from ${selector}: ${error.message}`);
+      throw classifyError(error, { operation: 'element', message: `Failed to get text from ${selector}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Get an HTML attribute value from an element (null if the attribute is missing)
+   */
+  async getAttribute(selector, attributeName, timeout = null) {
+    this._ensureStarted();
+
+    try {
+      const timeoutMs = timeout || this.options.timeout;
+
+      return await (await this._locate(selector, timeoutMs)).first().getAttribute(attributeName, { timeout: timeoutMs });
+    } catch (error) {
+      logger.error(`Get attribute failed: ${selector}.${attributeName}`, error.message);
+      throw classifyError(error, { operation: 'element', message: `Failed to get attribute ${attributeName} from ${selector}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Get a DOM property value from an element (e.g. value, checked, href as resolved URL)
+   */
+  async getProperty(selector, propertyName, timeout = null) {
+    this._ensureStarted();
+
+    try {
+      const element = await this.findElement(selector, timeout);
+      const property = await element.getProperty(propertyName);
+      return await property.jsonValue();
+    } catch (error) {
+      logger.error(`Get property failed: ${selector}.${propertyName}`, error.message);
+      throw classifyError(error, { operation: 'element', message: `Failed to get property ${propertyName} from ${selector}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Get the inner HTML of an element
+   */
+  async getInnerHTML(selector, timeout = null) {
+    this._ensureStarted();
+
+    try {
+      const timeoutMs = timeout || this.options.timeout;
+
+      return await (await this._locate(selector, timeoutMs)).first().innerHTML({ timeout: timeoutMs });
+    } catch (error) {
+      logger.error(`Get inner HTML failed: ${selector}`, error.message);
+      throw classifyError(error, { operation: 'element', message: `Failed to get inner HTML from ${selector}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Get the outer HTML of an element (the element itself included)
+   */
+  async getOuterHTML(selector, timeout = null) {
+    this._ensureStarted();
+
+    try {
+      const element = await this.findElement(selector, timeout);
+      return await element.evaluate(node => node.outerHTML);
+    } catch (error) {
+      logger.error(`Get outer HTML failed: ${selector}`, error.message);
+      throw classifyError(error, { operation: 'element', message: `Failed to get outer HTML from ${selector}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Get a computed CSS style value from an element (e.g. 'color', 'display')
+   */
+  async getComputedStyle(selector, styleProperty, timeout = null) {
+    this._ensureStarted();
+
+    try {
+      const element = await this.findElement(selector, timeout);
+      // getPropertyValue expects CSS names, so accept camelCase too (backgroundColor -> background-color)
+      const cssProperty = styleProperty.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+      return await element.evaluate(
+        (node, property) => window.getComputedStyle(node).getPropertyValue(property),
+        cssProperty
+      );
+    } catch (error) {
+      logger.error(`Get computed style failed: ${selector}.${styleProperty}`, error.message);
+      throw classifyError(error, { operation: 'element', message: `Failed to get computed style ${styleProperty} from ${selector}: ${error.message}` });
     }
   }
 
@@ -393,13 +747,13 @@ class PlaywrightDriver {
     const timeoutMs = timeout || this.options.timeout;
     
     try {
-      await this.page.waitForSelector(selector, { 
+      await (await this._locate(selector, timeoutMs)).first().waitFor({
         timeout: timeoutMs,
         state: 'attached'
       });
       return { success: true, selector };
     } catch (error) {
-      throw new Error(`Element not found within ${timeoutMs}ms: ${selector}`);
+      throw classifyError(error, { operation: 'element', message: `Element not found within ${timeoutMs}ms: ${selector}` });
     }
   }
 
@@ -412,13 +766,13 @@ class PlaywrightDriver {
     const timeoutMs = timeout || this.options.timeout;
     
     try {
-      await this.page.waitForSelector(selector, { 
+      await (await this._locate(selector, timeoutMs)).first().waitFor({
         timeout: timeoutMs,
         state: 'visible'
       });
       return { success: true, selector };
     } catch (error) {
-      throw new Error(`Element not visible within ${timeoutMs}ms: ${selector}`);
+      throw classifyError(error, { operation: 'element', message: `Element not visible within ${timeoutMs}ms: ${selector}` });
     }
   }
 
@@ -431,20 +785,21 @@ class PlaywrightDriver {
     const timeoutMs = timeout || this.options.timeout;
     
     try {
-      await this.page.waitForSelector(selector, { 
+      const element = (await this._locate(selector, timeoutMs)).first();
+      await element.waitFor({
         timeout: timeoutMs,
         state: 'visible'
       });
       
       // Check if element is enabled
-      const isEnabled = await this.page.isEnabled(selector);
+      const isEnabled = await element.isEnabled();
       if (!isEnabled) {
         throw new Error('Element is disabled');
       }
       
       return { success: true, selector };
     } catch (error) {
-      throw new Error(`Element not clickable within ${timeoutMs}ms: ${selector}`);
+      throw classifyError(error, { operation: 'element', message: `Element not clickable within ${timeoutMs}ms: ${selector}` });
     }
   }
 
@@ -470,11 +825,18 @@ class PlaywrightDriver {
 
   /**
    * Take a screenshot with configured output directory
+   * @param {Object} [options={}] - Capture options
+   * @param {boolean} [options.fullPage=true] - Capture the full scrollable page instead of the viewport
+   * @param {string} [options.selector=null] - Capture only the first element matching this selector
    */
-  async takeScreenshot(filename = null, includeTimestamp = true, baseDirectory = null, screenshotsDirectory = null) {
+  async takeScreenshot(filename = null, includeTimestamp = true, baseDirectory = null, screenshotsDirectory = null, options = {}) {
     this._ensureStarted();
     
     try {
+      // Element screenshots are always clipped to the element
+      const target = options.selector ? (await this._locate(options.selector, this.options.timeout)).first() : this.page;
+      const captureOptions = options.selector ? {} : { fullPage: options.fullPage !== false };
+
       if (filename) {
         // Use provided values or fall back to class variables
         const actualBaseDirectory = baseDirectory || this.outputDirectoryBasePath;
@@ -494,9 +856,9 @@ class PlaywrightDriver {
         const finalPath = ext ? filepath : `${filepath}.png`;
         
         // Playwright screenshot - much simpler than Selenium!
-        await this.page.screenshot({ 
-          path: finalPath,
-          fullPage: true // Capture full page by default
+        await target.screenshot({ 
+          ...captureOptions,
+          path: finalPath
         });
         
         logger.info(`Screenshot saved: ${finalPath}`);
@@ -504,7 +866,7 @@ class PlaywrightDriver {
       }
       
       // Return screenshot buffer
-      return await this.page.screenshot({ fullPage: true });
+      return await target.screenshot(captureOptions);
       
     } catch (error) {
       logger.error('Screenshot failed:', error.message);
@@ -512,6 +874,54 @@ class PlaywrightDriver {
     }
   }
 
+  /**
+   * Render the current page as a PDF (Chromium only, headless)
+   * @param {string} [filename=null] - File name; without one the PDF buffer is returned
+   * @param {boolean} [includeTimestamp=true] - Append a timestamp to the file name
+   * @param {string} [baseDirectory=null] - Override output base directory
+   * @param {string} [pdfsDirectory=null] - Override PDFs subdirectory
+   * @param {Object} [options={}] - Render options
+   * @param {string} [options.format='A4'] - Paper format (e.g. 'A4', 'Letter')
+   * @param {boolean} [options.landscape=false] - Landscape orientation
+   * @param {boolean} [options.printBackground=true] - Include background graphics
+   * @returns {Promise<string|Buffer>} Saved file path, or the PDF buffer
+   */
+  async savePdf(filename = null, includeTimestamp = true, baseDirectory = null, pdfsDirectory = null, options = {}) {
+    this._ensureStarted();
+
+    // The launched engine, so aliases ('chrome') and remote browsers are covered
+    const engine = this.browser.browserType().name();
+    if (engine !== 'chromium') {
+      throw new Error(`Failed to save PDF: PDF rendering is only supported in chromium (current: ${engine})`);
+    }
+
+    try {
+      const pdfOptions = {
+        format: options.format || 'A4',
+        landscape: options.landscape === true,
+        printBackground: options.printBackground !== false
+      };
+
+      if (filename) {
+        const paths = await this.createPdfsDirectory(baseDirectory || this.outputDirectoryBasePath, pdfsDirectory || this.pdfsDirectory);
+        const filepath = path.join(paths.pdfsPath, this._generateFilename(filename, includeTimestamp));
+        const finalPath = path.extname(filepath) ? filepath : `${filepath}.pdf`;
+
+        await this.page.pdf({ ...pdfOptions, path: finalPath });
+
+        logger.info(`PDF saved: ${finalPath}`);
+        return finalPath;
+      }
+
+      // Return PDF buffer
+      return await this.page.pdf(pdfOptions);
+
+    } catch (error) {
+      logger.error('PDF rendering failed:', error.message);
+      throw new Error(`Failed to save PDF: ${error.message}`);
+    }
+  }
+
   /**
    * Create the screenshots output directory
    */
@@ -566,6 +976,33 @@ class PlaywrightDriver {
     }
   }
 
+  /**
+   * Create PDFs output directory
+   */
+  async createPdfsDirectory(baseDirectory = this.outputDirectoryBasePath, pdfsDirectory = this.pdfsDirectory, createDirectories = true) {
+    try {
+      // Use provided values to resolve final paths (don't modify class state here)
+      const projectRoot = path.resolve(__dirname, '../../../../'); // Go up to project root
+      const resolvedBaseDirectory = path.isAbsolute(baseDirectory) 
+        ? baseDirectory 
+        : path.resolve(projectRoot, baseDirectory);
+      const pdfsPath = path.resolve(resolvedBaseDirectory, pdfsDirectory);
+
+      if (createDirectories) {
+        await fs.mkdir(pdfsPath, { recursive: true });
+        logger.info(`PDFs output directory created: ${pdfsPath}`);
+      }
+
+      return {
+        pdfsPath,
+        baseDirectory: resolvedBaseDirectory
+      };
+    } catch (error) {
+      logger.error('PDF directory creation failed:', error.message);
+      throw new Error(`Failed to create PDF directory: ${error.message}`);
+    }
+  }
+
   /**
    * Start video recording (Playwright has built-in support!)
    */
@@ -611,7 +1048,7 @@ class PlaywrightDriver {
     this._ensureStarted();
     
     try {
-      return await this.page.content();
+      return await this._scope().content();
     } catch (error) {
       logger.error('Get page source failed:', error.message);
       throw new Error(`Failed to get page source: ${error.message}`);
@@ -653,13 +1090,15 @@ class PlaywrightDriver {
   async goBack() {
     this._ensureStarted();
     
+    this.frame = null;
+
     try {
       await this.page.goBack();
       this.currentUrl = this.page.url();
       logger.info('Navigated back');
     } catch (error) {
       logger.error('Go back failed:', error.message);
-      throw new Error(`Failed to go back: ${error.message}`);
+      throw classifyError(error, { operation: 'navigation', message: `Failed to go back: ${error.message}` });
     }
   }
 
@@ -669,13 +1108,15 @@ class PlaywrightDriver {
   async goForward() {
     this._ensureStarted();
     
+    this.frame = null;
+
     try {
       await this.page.goForward();
       this.currentUrl = this.page.url();
       logger.info('Navigated forward');
     } catch (error) {
       logger.error('Go forward failed:', error.message);
-      throw new Error(`Failed to go forward: ${error.message}`);
+      throw classifyError(error, { operation: 'navigation', message: `Failed to go forward: ${error.message}` });
     }
   }
 
@@ -685,13 +1126,427 @@ class PlaywrightDriver {
   async refresh() {
     this._ensureStarted();
     
+    this.frame = null;
+
     try {
       await this.page.reload();
       logger.info('Page refreshed');
     } catch (error) {
       logger.error('Refresh failed:', error.message);
-      throw new Error(`Failed to refresh page: ${error.message}`);
+      throw classifyError(error, { operation: 'navigation', message: `Failed to refresh page: ${error.message}` });
+    }
+  }
+
+  /**
+   * List the open tabs and popups
+   * @returns {Promise<Array<{index: number, url: string, title: string, active: boolean}>>} Tabs in opening order
+   */
+  async getTabs() {
+    this._ensureStarted();
+
+    return Promise.all(this.context.pages().map(page => this._getTabInfo(page)));
+  }
+
+  /**
+   * Make another tab the active page; all driver methods act on the active page
+   * @param {number|string} target - Tab index, or text contained in the tab's url or title
+   * @returns {Promise<{index: number, url: string, title: string, active: boolean}>} The new active tab
+   */
+  async switchToTab(target) {
+    this._ensureStarted();
+
+    const page = await this._findPage(target);
+    await this._activatePage(page);
+    logger.info(`Switched to tab: ${page.url()}`);
+    return this._getTabInfo(page);
+  }
+
+  /**
+   * Open a new tab and make it the active page
+   * @param {string} [url] - Page to open in the new tab
+   * @returns {Promise<{index: number, url: string, title: string, active: boolean}>} The new tab
+   */
+  async newTab(url = null) {
+    this._ensureStarted();
+
+    try {
+      await this._activatePage(await this.context.newPage());
+    } catch (error) {
+      logger.error('Failed to open tab:', error.message);
+      throw classifyError(error, { operation: 'navigation', message: `Failed to open tab: ${error.message}` });
+    }
+
+    if (url) {
+      await this.navigateTo(url);
+    }
+    return this._getTabInfo(this.page);
+  }
+
+  /**
+   * Run an action that opens a popup or `target=_blank` tab and wait for it
+   * @param {Function|string} action - Async function, or a selector to click
+   * @param {Object} [options={}]
+   * @param {number} [options.timeout] - Time to wait for the popup (default: driver timeout)
+   * @param {boolean} [options.switchTo=true] - Make the popup the active page
+   * @returns {Promise<{index: number, url: string, title: string, active: boolean}>} The popup tab
+   */
+  async waitForPopup(action, options = {}) {
+    this._ensureStarted();
+
+    const timeout = options.timeout || this.options.timeout;
+    const popupPromise = this.context.waitForEvent('page', { timeout });
+    popupPromise.catch(() => {});   // Handled below; avoids an unhandled rejection when the action fails
+
+    if (typeof action === 'string') {
+      await this.click(action);
+    } else if (typeof action === 'function') {
+      await action();
+    }
+
+    try {
+      const popup = await popupPromise;
+      await popup.waitForLoadState('domcontentloaded', { timeout });
+      if (options.switchTo !== false) {
+        await this._activatePage(popup);
+      }
+      logger.info(`Popup opened: ${popup.url()}`);
+      return this._getTabInfo(popup);
+    } catch (error) {
+      logger.error('Wait for popup failed:', error.message);
+      throw classifyError(error, { operation: 'navigation', message: `No popup opened within ${timeout}ms: ${error.message}` });
+    }
+  }
+
+  /**
+   * Run an action that starts a download and wait until the file is saved
+   * The file is saved in the download directory under its suggested name
+   * (with a counter when the name is taken).
+   * @param {Function|string} action - Async function, or a selector to click
+   * @param {Object} [options={}]
+   * @param {number} [options.timeout] - Time to wait for the download to start and finish (default: driver timeout)
+   * @returns {Promise<{path: string, suggestedFilename: string, size: number, mimeType: string, sha256: string}>} The saved file
+   */
+  async waitForDownload(action, options = {}) {
+    this._ensureStarted();
+    if (!this.options.downloadsPath) {
+      throw new InvalidRequestError('Downloads are disabled: set the downloadsPath option');
+    }
+
+    const timeout = options.timeout || this.options.timeout;
+    const deadline = Date.now() + timeout;
+    const downloadPromise = this.page.waitForEvent('download', { timeout });
+    downloadPromise.catch(() => {});   // Handled below; avoids an unhandled rejection when the action fails
+
+    if (typeof action === 'string') {
+      await this.click(action);
+    } else if (typeof action === 'function') {
+      await action();
+    }
+
+    let timer;
+    try {
+      const download = await downloadPromise;
+      const filePath = await getAvailablePath(this.downloadDirectoryBasePath, download.suggestedFilename());
+
+      // saveAs() waits for the download to finish (and throws when it failed)
+      const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timeout ${timeout}ms exceeded waiting for ${download.suggestedFilename()} to finish`)), Math.max(0, deadline - Date.now()));
+      });
+      await Promise.race([download.saveAs(filePath), timedOut]).catch(async (error) => {
+        await download.cancel().catch(() => {});
+        throw error;
+      });
+      await download.delete().catch(() => {});   // Drop Playwright's copy under its generated name
+
+      const file = await getFileInfo(filePath);
+      logger.info(`Download finished: ${filePath} (${file.size} bytes)`);
+      return { path: filePath, suggestedFilename: download.suggestedFilename(), size: file.size, mimeType: file.mimeType, sha256: file.sha256 };
+    } catch (error) {
+      logger.error('Wait for download failed:', error.message);
+      throw classifyError(error, { operation: 'navigation', message: `No download finished within ${timeout}ms: ${error.message}` });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Close a tab; when it was the active page, the last remaining tab becomes active
+   * @param {number|string} [target] - Tab index or url/title text (default: the active tab)
+   * @returns {Promise<Array<{index: number, url: string, title: string, active: boolean}>>} Remaining tabs
+   */
+  async closeTab(target = null) {
+    this._ensureStarted();
+
+    const page = target === null ? this.page : await this._findPage(target);
+    if (this.context.pages().length === 1) {
+      throw new Error('Cannot close the last tab. Use quit() instead.');
     }
+
+    // The close listener (see _trackPage) activates another tab
+    await page.close();
+    logger.info('Tab closed');
+    return this.getTabs();
+  }
+
+  /**
+   * Follow the active page when it closes (e.g. a popup calling window.close())
+   * @private
+   */
+  _trackPage(page) {
+    page.once('close', () => {
+      if (this.page === page && this.context) {
+        const pages = this.context.pages();
+        if (pages.length > 0) {
+          this.page = pages[pages.length - 1];
+          this.currentUrl = this.page.url();
+          logger.info(`Active tab closed; switched to: ${this.currentUrl}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _getTabInfo(page) {
+    return {
+      index: this.context.pages().indexOf(page),
+      url: page.url(),
+      title: await page.title().catch(() => ''),
+      active: page === this.page
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _activatePage(page) {
+    this.page = page;
+    this.frame = null;
+    this.currentUrl = page.url();
+    await page.bringToFront();
+  }
+
+  /**
+   * Resolve a tab index or url/title text to a page
+   * @private
+   */
+  async _findPage(target) {
+    const pages = this.context.pages();
+
+    if (typeof target === 'number') {
+      if (!pages[target]) {
+        throw new Error(`No tab at index ${target} (open tabs: ${pages.length})`);
+      }
+      return pages[target];
+    }
+
+    for (const page of pages) {
+      if (page.url().includes(target) || (await page.title().catch(() => '')).includes(target)) {
+        return page;
+      }
+    }
+    throw new Error(`No tab matches "${target}" (open tabs: ${pages.map(page => page.url()).join(', ')})`);
+  }
+
+  /**
+   * Run later element methods, executeScript and getPageSource inside a frame
+   * Navigation, switching tabs and switchToMainFrame() return to the main frame.
+   * For one-off access, chained selectors ('iframe#pay >> input') need no switch.
+   * @param {string|Object} target - Frame element selector, {name} (name or id attribute) or {url} (substring or RegExp)
+   * @param {number} [timeout] - Time to wait for the frame (default: driver timeout)
+   * @returns {Promise<{name: string, url: string}>} The entered frame
+   */
+  async switchToFrame(target, timeout = null) {
+    this._ensureStarted();
+
+    const timeoutMs = timeout || this.options.timeout;
+    const description = typeof target === 'string' ? target : JSON.stringify(target, (key, value) => value instanceof RegExp ? String(value) : value);
+
+    try {
+      let frame;
+      if (typeof target === 'string') {
+        const element = await (await this._locate(target, timeoutMs)).first().elementHandle({ timeout: timeoutMs });
+        frame = await element.contentFrame();
+        if (!frame) {
+          throw new Error(`${target} is not a frame`);
+        }
+      } else {
+        frame = await this._waitForFrame(target, timeoutMs);
+      }
+
+      this.frame = frame;
+      logger.info(`Switched to frame: ${frame.name() || frame.url()}`);
+      return { name: frame.name(), url: frame.url() };
+    } catch (error) {
+      logger.error(`Frame not found: ${description}`, error.message);
+      throw classifyError(error, { operation: 'element', message: `Frame not found: ${description}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Return to the top-level document of the active tab
+   */
+  async switchToMainFrame() {
+    this._ensureStarted();
+    this.frame = null;
+  }
+
+  /**
+   * Poll the frames of the page (any depth) for a name or url match
+   * @private
+   */
+  async _waitForFrame({ name, url }, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      const frame = this.page.frames().find(frame => frame !== this.page.mainFrame() && (name
+        ? frame.name() === name
+        : url instanceof RegExp ? url.test(frame.url()) : frame.url().includes(url)));
+      if (frame) {
+        return frame;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out after ${timeoutMs}ms waiting for the frame`);
+      }
+      await this.wait(100);
+    }
+  }
+
+  /**
+   * Locator for a selector in the current scope (see PlaywrightUtils.locate)
+   * @private
+   */
+  async _locate(selector, timeout = null) {
+    return PlaywrightUtils.locate(this._scope(), selector, timeout);
+  }
+
+  /**
+   * The page, or the frame entered with switchToFrame() while it is still attached
+   * @private
+   */
+  _scope() {
+    if (this.frame?.isDetached()) {
+      logger.warn('Active frame was detached; continuing in the main frame');
+      this.frame = null;
+    }
+    return this.frame || this.page;
+  }
+
+  /**
+   * Cookies and web storage of the session, in the format of sessionState.js
+   * localStorage covers every origin the context has stored data for;
+   * sessionStorage covers the origins open in the tabs.
+   * @returns {Promise<Object>} Session state
+   */
+  async getSessionState() {
+    this._ensureStarted();
+
+    try {
+      const storage = await this.context.storageState();
+      const origins = new Map(storage.origins.map(entry => [entry.origin, { ...entry, sessionStorage: [] }]));
+
+      for (const page of this.context.pages()) {
+        const session = await page.evaluate(() => ({
+          origin: window.location.origin,
+          items: Object.entries(window.sessionStorage).map(([name, value]) => ({ name, value }))
+        })).catch(() => null);          // Pages without a document (closing, about:blank in Firefox)
+        if (!session || session.origin === 'null' || session.items.length === 0) {
+          continue;
+        }
+        const entry = origins.get(session.origin) || { origin: session.origin, localStorage: [] };
+        origins.set(session.origin, { ...entry, sessionStorage: session.items });
+      }
+
+      return normalizeSessionState({
+        savedAt: new Date().toISOString(),
+        cookies: storage.cookies,
+        origins: [...origins.values()]
+      }, { encryptionKey: null });
+    } catch (error) {
+      logger.error('Get session state failed:', error.message);
+      throw classifyError(error, { operation: 'script', message: `Failed to read session state: ${error.message}` });
+    }
+  }
+
+  /**
+   * Save cookies and web storage to a file (see getSessionState)
+   * @param {string} filePath - Target file
+   * @param {Object} [options={}]
+   * @param {string|null} [options.encryptionKey] - Encrypt with this passphrase (default: SESSION_STATE_KEY; null for plain JSON)
+   * @returns {Promise<{path: string, encrypted: boolean, cookies: number, origins: number}>} Saved file summary
+   */
+  async saveSessionState(filePath, options = {}) {
+    const state = await this.getSessionState();
+
+    try {
+      const saved = await writeSessionState(path.resolve(filePath), state, options);
+      logger.info(`Session state saved: ${saved.path} (${state.cookies.length} cookies, ${state.origins.length} origins${saved.encrypted ? ', encrypted' : ''})`);
+      return { ...saved, cookies: state.cookies.length, origins: state.origins.length };
+    } catch (error) {
+      logger.error(`Save session state failed: ${filePath}`, error.message);
+      throw classifyError(error, { message: `Failed to save session state: ${error.message}` });
+    }
+  }
+
+  /**
+   * Restore cookies and web storage saved by either engine
+   * Storage is written through a stub page of each origin (no request leaves the
+   * browser); the active tab then returns to the page it showed before.
+   * @param {string|Object} source - Session state file, or a (possibly encrypted) state object
+   * @param {Object} [options={}]
+   * @param {string|null} [options.encryptionKey] - Passphrase of encrypted state (default: SESSION_STATE_KEY)
+   * @returns {Promise<{cookies: number, origins: number, skipped: string[]}>} Restored counts
+   */
+  async loadSessionState(source, options = {}) {
+    this._ensureStarted();
+
+    try {
+      const state = typeof source === 'string'
+        ? await readSessionState(path.resolve(source), options)
+        : normalizeSessionState(source, options);
+
+      if (state.cookies.length > 0) {
+        await this.context.addCookies(state.cookies);
+      }
+
+      const origins = state.origins.filter(entry => entry.localStorage.length > 0 || entry.sessionStorage.length > 0);
+      if (origins.length > 0) {
+        await this._restoreWebStorage(origins);
+      }
+
+      logger.info(`Session state loaded (${state.cookies.length} cookies, ${origins.length} origins)`);
+      return { cookies: state.cookies.length, origins: origins.length, skipped: [] };
+    } catch (error) {
+      logger.error('Load session state failed:', error.message);
+      throw classifyError(error, { message: `Failed to load session state: ${error.message}` });
+    }
+  }
+
+  /**
+   * Write localStorage and sessionStorage of each origin in the active tab
+   * @private
+   */
+  async _restoreWebStorage(origins) {
+    const returnUrl = this.page.url();
+    const stubPage = (route) => route.fulfill({ status: 200, contentType: 'text/html', body: '<!DOCTYPE html><html><body></body></html>' });
+
+    await this.page.route('**/*', stubPage);
+    try {
+      for (const entry of origins) {
+        await this.page.goto(`${entry.origin}/`, { waitUntil: 'domcontentloaded' });
+        await this.page.evaluate(({ localStorage, sessionStorage }) => {
+          localStorage.forEach(item => window.localStorage.setItem(item.name, item.value));
+          sessionStorage.forEach(item => window.sessionStorage.setItem(item.name, item.value));
+        }, entry);
+      }
+    } finally {
+      await this.page.unroute('**/*', stubPage);
+    }
+
+    this.frame = null;
+    await this.page.goto(/^https?:/.test(returnUrl) ? returnUrl : 'about:blank', { waitUntil: 'domcontentloaded' });
+    this.currentUrl = this.page.url();
   }
 
   /**
@@ -701,10 +1556,10 @@ class PlaywrightDriver {
     this._ensureStarted();
     
     try {
-      return await this.page.evaluate(script, ...args);
+      return await this._scope().evaluate(script, ...args);
     } catch (error) {
       logger.error('Execute script failed:', error.message);
-      throw new Error(`Failed to execute script: ${error.message}`);
+      throw classifyError(error, { operation: 'script', message: `Failed to execute script: ${error.message}` });
     }
   }
 
@@ -715,6 +1570,24 @@ class PlaywrightDriver {
     return new Promise(resolve => setTimeout(resolve, milliseconds));
   }
 
+  /**
+   * Update default timeouts for subsequent operations
+   * @param {Object} timeouts - New timeout values in milliseconds
+   * @param {number} [timeouts.timeout] - Default timeout for element operations
+   * @param {number} [timeouts.navigationTimeout] - Default navigation timeout
+   */
+  setTimeouts({ timeout, navigationTimeout } = {}) {
+    if (timeout) {
+      this.options.timeout = timeout;
+      this.context?.setDefaultTimeout(timeout);
+    }
+
+    if (navigationTimeout) {
+      this.options.navigationTimeout = navigationTimeout;
+      this.context?.setDefaultNavigationTimeout(navigationTimeout);
+    }
+  }
+
   /**
    * Check if driver is started
    */
@@ -737,6 +1610,7 @@ class PlaywrightDriver {
       baseDirectory: this.outputDirectoryBasePath,
       screenshotsDirectory: this.screenshotsDirectory,
       videosDirectory: this.videosDirectory,
+      pdfsDirectory: this.pdfsDirectory,
       downloadDirectory: this.downloadDirectoryBasePath
     };
   }
@@ -769,6 +1643,14 @@ class PlaywrightDriver {
     }
   }
 
+  /**
+   * Get how the browser was obtained
+   * @returns {{mode: string, endpoint: string}|null} Remote connection ('connect' or 'cdp'), or null for a launched browser
+   */
+  getConnectionInfo() {
+    return this.connection ? { ...this.connection } : null;
+  }
+
   /**
    * Get the underlying Playwright Page instance for advanced operations
    * @returns {import('playwright').Page} The Playwright page instance
@@ -778,6 +1660,15 @@ class PlaywrightDriver {
     return this.page;
   }
 
+  /**
+   * Get the frame entered with switchToFrame(), or the page in the main frame
+   * @returns {import('playwright').Page|import('playwright').Frame} Scope that selectors are resolved in
+   */
+  getScope() {
+    this._ensureStarted();
+    return this._scope();
+  }
+
   /**
    * Get the underlying Playwright Browser Context for advanced operations
    * @returns {import('playwright').BrowserContext} The Playwright context instance
@@ -7,6 +7,10 @@
  */
 
 const logger = require('../../../common/utils/logger');
+const fs = require('fs').promises;
+const { parseSelectorChain } = require('../../../common/utils/selectorChain');
+const { getMimeType } = require('../../../common/utils/fileInfo');
+const { isUploadPayload, normalizeUploadFiles } = require('../../../common/utils/uploadFiles');
 
 class PlaywrightUtils {
   /**
@@ -74,6 +78,57 @@ class PlaywrightUtils {
     return info;
   }
 
+  /**
+   * Locator for a selector, possibly chained (see selectorChain.js)
+   * `>>` is also Playwright's own selector chaining (`button >> nth=0`,
+   * `.list >> text=Item`), so a segment is only entered as a frame when it
+   * matches an <iframe> or <frame>; otherwise the chain is kept as written.
+   * Shadow parts are chained too, as Playwright's CSS engine pierces open
+   * shadow roots.
+   * @param {import('playwright').Page|import('playwright').Frame|import('playwright').Locator|import('playwright').FrameLocator} scope - Where to look
+   * @param {string} selector - Selector, possibly chained
+   * @param {number} [timeout] - Time to wait for each frame element (default: no wait, frames must be attached already)
+   * @returns {Promise<import('playwright').Locator>} Locator of the target
+   */
+  static async locate(scope, selector, timeout = null) {
+    const segments = parseSelectorChain(selector).map(parts => parts.join(' >> '));
+    let current = scope;
+    let chain = [];
+
+    for (const segment of segments.slice(0, -1)) {
+      chain.push(segment);
+      const candidate = current.locator(chain.join(' >> ')).first();
+      if (timeout) {
+        await candidate.waitFor({ state: 'attached', timeout });
+      }
+      const [tagName] = await candidate.evaluateAll(nodes => nodes.map(node => node.tagName));
+      if (tagName === 'IFRAME' || tagName === 'FRAME') {
+        current = candidate.contentFrame();
+        chain = [];
+      }
+    }
+
+    chain.push(segments[segments.length - 1]);
+    return current.locator(chain.join(' >> '));
+  }
+
+  /**
+   * Files for setInputFiles() and FileChooser.setFiles()
+   * Playwright takes either paths or in-memory payloads, so a mix is read into memory.
+   * @param {string|Buffer|Object|Array} files - Paths, Buffers or {name, buffer, mimeType} (see uploadFiles.js)
+   * @returns {Promise<{inputFiles: string[]|Array<{name: string, mimeType: string, buffer: Buffer}>, names: string[]}>} Files and their names
+   */
+  static async toInputFiles(files) {
+    const uploads = await normalizeUploadFiles(files);
+    const inputFiles = uploads.every(file => file.path)
+      ? uploads.map(file => file.path)
+      : await Promise.all(uploads.map(async file => file.path
+        ? { name: file.name, mimeType: getMimeType(file.name), buffer: await fs.readFile(file.path) }
+        : file));
+
+    return { inputFiles, names: uploads.map(file => file.name) };
+  }
+
   /**
    * Smart element click with retry logic and advanced options
    * @param {import('playwright').Page} page - The Playwright page instance
@@ -241,6 +296,7 @@ class PlaywrightUtils {
    * Smart form filling with multiple field types support
    * @param {import('playwright').Page} page - The Playwright page instance
    * @param {Object<string, {selector?: string, value: any, type?: string}>} formData - Form field data object
+   *   (type 'file' takes paths, Buffers or {name, buffer, mimeType}; in-memory values imply it)
    * @param {Object} [options={}] - Form filling options
    * @param {number} [options.timeout=30000] - Timeout for each field operation
    * @returns {Promise<{success: boolean, results: Object<string, any>, errors: Object<string, string>}>} Form filling results
@@ -253,7 +309,7 @@ class PlaywrightUtils {
       for (const [fieldName, fieldData] of Object.entries(formData)) {
         const selector = fieldData.selector || `[name="${fieldName}"]`;
         const value = fieldData.value;
-        const type = fieldData.type || 'text';
+        const type = fieldData.type || (isUploadPayload(value) ? 'file' : 'text');
         
         logger.info(`Filling form field: ${fieldName}`);
         
@@ -281,14 +337,15 @@ class PlaywrightUtils {
             break;
             
           case 'file':
-            await page.setInputFiles(selector, value, { timeout });
+            await page.setInputFiles(selector, (await PlaywrightUtils.toInputFiles(value)).inputFiles, { timeout });
             break;
             
           default:
             throw new Error(`Unknown field type: ${type}`);
         }
         
-        results[fieldName] = { success: true, type, value };
+        // File contents are not echoed back
+        results[fieldName] = { success: true, type, value: type === 'file' && isUploadPayload(value) ? '[file]' : value };
       }
       
       logger.info(`Form filling completed. Fields: ${Object.keys(formData).length}`);
@@ -422,35 +479,39 @@ class PlaywrightUtils {
     const maxWait = options.maxWait || 30000;
     
     try {
-      let lastDOMChange = Date.now();
-      let domStable = false;
-      
-      // Set up mutation observer
-      await page.evaluate((stabilityTimeout) => {
+      // Set up mutation observer (gives up after maxWait on pages that never settle)
+      const stable = await page.evaluate(({ stabilityTimeout, maxWait }) => {
         return new Promise((resolve) => {
           let timer;
+          let maxTimer;
+          
+          const finish = (result) => {
+            clearTimeout(timer);
+            clearTimeout(maxTimer);
+            observer.disconnect();
+            resolve(result);
+          };
           
           const observer = new MutationObserver(() => {
             clearTimeout(timer);
-            timer = setTimeout(() => {
-              observer.disconnect();
-              resolve();
-            }, stabilityTimeout);
+            timer = setTimeout(() => finish(true), stabilityTimeout);
           });
           
-          observer.observe(document.body, {
+          observer.observe(document.body || document.documentElement, {
             childList: true,
             subtree: true,
             attributes: true
           });
           
           // Start initial timer
-          timer = setTimeout(() => {
-            observer.disconnect();
-            resolve();
-          }, stabilityTimeout);
+          timer = setTimeout(() => finish(true), stabilityTimeout);
+          maxTimer = setTimeout(() => finish(false), maxWait);
         });
-      }, stabilityTimeout);
+      }, { stabilityTimeout, maxWait });
+      
+      if (!stable) {
+        throw new Error(`Timed out after ${maxWait}ms waiting for the DOM to stop changing`);
+      }
       
       logger.info(`DOM stabilized after waiting ${stabilityTimeout}ms`);
       return { success: true, stabilityTimeout };
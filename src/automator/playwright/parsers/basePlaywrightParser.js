@@ -6,6 +6,7 @@
  */
 
 const logger = require('../../../common/utils/logger');
+const PlaywrightUtils = require('../helpers/playwrightUtils');
 
 class BasePlaywrightParser {
   constructor(page) {
@@ -77,6 +78,105 @@ class BasePlaywrightParser {
     }
   }
 
+  /**
+   * Extract data described by a declarative field definition
+   * 
+   * Field definition options:
+   * - selector: CSS/Playwright selector or selector chain, resolved relative to the scope (omit to read the scope itself)
+   * - attribute / property / style: value source (defaults to text content)
+   * - trim: trim text content (default true)
+   * - multiple: return every match as an array instead of the first match
+   * - limit: maximum number of matches when multiple is set
+   * - fields: child field definitions, producing one object per match
+   * - default: value used when nothing matches or the value is null
+   */
+  async extractField(field, scope = this.page) {
+    const fallback = field.default !== undefined ? field.default : (field.multiple ? [] : null);
+
+    // Without a selector the scope itself is read; a page through its document element
+    const locator = field.selector
+      ? await PlaywrightUtils.locate(scope, field.selector)
+      : (scope === this.page ? this.page.locator(':root') : scope);
+    let count = field.selector ? await locator.count() : 1;
+
+    if (count === 0) {
+      return fallback;
+    }
+
+    if (!field.multiple) {
+      count = 1;
+    } else if (field.limit) {
+      count = Math.min(count, field.limit);
+    }
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      const match = field.selector ? locator.nth(i) : locator;
+      values.push(field.fields
+        ? await this._extractRecord(match, field.fields)
+        : await this._readValue(match, field));
+    }
+
+    if (field.multiple) {
+      logger.info(`Extracted ${values.length} value(s) from: ${field.selector || '(scope)'}`);
+      return values;
+    }
+
+    return values[0] === null || values[0] === undefined ? fallback : values[0];
+  }
+
+  /**
+   * Build one record from child field definitions relative to a matched element
+   */
+  async _extractRecord(scope, fields) {
+    const record = {};
+
+    for (const field of fields) {
+      try {
+        record[field.name] = await this.extractField(field, scope);
+      } catch (error) {
+        logger.warn(`Field extraction failed for ${field.name}: ${error.message}`);
+        record[field.name] = field.default !== undefined ? field.default : null;
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Read a single value from a locator according to the field value source
+   */
+  async _readValue(locator, field) {
+    const { attribute = 'textContent', property, style } = field;
+
+    if (style) {
+      const cssProperty = style.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+      return await locator.evaluate(
+        (node, name) => window.getComputedStyle(node).getPropertyValue(name),
+        cssProperty
+      );
+    }
+
+    if (property) {
+      return await locator.evaluate((node, name) => node[name], property);
+    }
+
+    switch (attribute) {
+      case 'textContent': {
+        const text = await locator.textContent();
+        return field.trim !== false ? text?.trim() || '' : text || '';
+      }
+      case 'innerText':
+        return await locator.innerText();
+      case 'innerHTML':
+        return await locator.innerHTML();
+      case 'outerHTML':
+        return await locator.evaluate(node => node.outerHTML);
+      default:
+        return await locator.getAttribute(attribute);
+    }
+  }
+
   /**
    * Extract structured data from table
    */
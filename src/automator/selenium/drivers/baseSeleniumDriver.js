@@ -1,10 +1,19 @@
 const { Builder, By, until, Key } = require('selenium-webdriver');
-const chrome = require('selenium-webdriver/chrome');
-const firefox = require('selenium-webdriver/firefox');
-const edge = require('selenium-webdriver/edge');
+const remote = require('selenium-webdriver/remote');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const logger = require('../../../common/utils/logger');
+const AutomationDriver = require('../../automationDriver');
+const { classifyError, InvalidRequestError } = require('../../../common/utils/automationErrors');
+const { resolveWaitStrategy } = require('../../../common/utils/waitStrategy');
+const { parseSelectorChain } = require('../../../common/utils/selectorChain');
+const { normalizeSessionState, readSessionState, writeSessionState } = require('../../../common/utils/sessionState');
+const { normalizeUploadFiles } = require('../../../common/utils/uploadFiles');
+const { getFileInfo } = require('../../../common/utils/fileInfo');
+const SeleniumUtils = require('../helpers/seleniumUtils');
+const ScreenRecorder = require('../helpers/screenRecorder');
+const { mapBrowserOptions } = require('../helpers/browserOptionsMapper');
 
 /**
  * Base Selenium Driver - Core WebDriver wrapper with clean API
@@ -12,15 +21,25 @@ const logger = require('../../../common/utils/logger');
  * This class provides a clean, standardized interface that can be easily
  * replicated in other languages using Selenium WebDriver.
  */
-class BaseSeleniumDriver {
+class BaseSeleniumDriver extends AutomationDriver {
   // Constants
   static DEFAULT_OUTPUT_DIRECTORY = './output';
   static DEFAULT_DOWNLOADS_DIRECTORY = './downloads';
   static DEFAULT_SCREENSHOTS_DIRECTORY = 'screenshots';
   static DEFAULT_VIDEOS_DIRECTORY = 'videos';
+  static DEFAULT_SESSION_RETRIES = 3;
+  static DEFAULT_SESSION_RETRY_DELAY = 2000;   // Doubled after every attempt
+  static PARTIAL_DOWNLOAD_EXTENSIONS = ['.crdownload', '.part', '.download', '.tmp'];
+
+  // Session errors that mean "grid busy", not "bad request"
+  static CAPACITY_ERROR_PATTERN = /session request timed out|queue|capacity|no (free|available) (slot|node)|Service Unavailable|\b503\b/i;
+  // Grid still starting - or a wrong remoteUrl / dead grid, so these are retried only once
+  static UNREACHABLE_ERROR_PATTERN = /ECONNREFUSED|ECONNRESET/;
 
   constructor(options = {}) {
+    super();
     this.driver = null;
+    this.sessionId = null;
     this.options = {
       browser: 'chrome',           // 'chrome', 'firefox', 'edge'
       headless: true,              // Run without visible window
@@ -36,11 +55,23 @@ class BaseSeleniumDriver {
       disableImages: false,        // Disable image loading for performance
       disableJavaScript: false,    // Disable JavaScript
       acceptInsecureCerts: true,   // Accept self-signed certificates
+      waitFor: null,               // Default navigateTo wait strategy (see waitStrategy.js)
+      recordVideo: false,          // Record the whole session (saved on quit, see startVideoRecording)
+      videoFrameRate: ScreenRecorder.DEFAULT_FRAME_RATE,  // Screenshots per second while recording
+      remoteUrl: process.env.SELENIUM_REMOTE_URL || null,  // Selenium Grid / standalone server URL (local driver when null)
+      capabilities: {},            // Extra capabilities (e.g. platformName, browserVersion, 'se:name')
+      sessionRetries: BaseSeleniumDriver.DEFAULT_SESSION_RETRIES,        // Remote: retries when the grid has no capacity
+      sessionRetryDelay: BaseSeleniumDriver.DEFAULT_SESSION_RETRY_DELAY, // Remote: first retry delay in milliseconds
       ...options
     };
     
     this.isStarted = false;
     this.currentUrl = null;
+    this.recorder = null;
+    this.uploadDirectory = null;    // Temporary files of in-memory uploads (removed on quit)
+    this.framePath = [];            // Frame elements entered with switchToFrame(), outermost first
+    this.chainedFrameDepth = 0;     // Frames entered by the last chained selector (left on the next element call)
+    this.unsupportedOptions = [];   // Options the browser could not apply (set by start())
     
     // Initialize directory state from options (resolve to absolute paths from project base directory)
     const projectRoot = path.resolve(__dirname, '../../../../'); // Go up to project root from src/automator/selenium/drivers/
@@ -63,122 +94,53 @@ class BaseSeleniumDriver {
       return;
     }
 
-    logger.info(`Starting ${this.options.browser} browser (headless: ${this.options.headless})`);
+    const location = this.options.remoteUrl ? ` on ${this.options.remoteUrl}` : '';
+    logger.info(`Starting ${this.options.browser} browser${location} (headless: ${this.options.headless})`);
 
     try {
       const builder = new Builder();
 
-      // Configure browser-specific options
-      switch (this.options.browser.toLowerCase()) {
+      // Browser options from the driver options and the browser block (see browserOptionsMapper)
+      const browser = this.options.browser.toLowerCase();
+      const { browserOptions, unsupported } = mapBrowserOptions({ ...this.options, browser }, {
+        downloadDirectory: this.options.downloadsPath ? this.downloadDirectoryBasePath : null
+      });
+
+      this.unsupportedOptions = unsupported;
+      if (unsupported.length > 0) {
+        logger.warn(`Options not applied to ${browser}: ${unsupported.map(entry => `${entry.option} (${entry.reason})`).join(', ')}`);
+      }
+
+      if (this.options.downloadsPath) {
+        // Ensure download directory exists
+        await fs.mkdir(this.downloadDirectoryBasePath, { recursive: true });
+        logger.info(`${browser} download directory set to: ${this.downloadDirectoryBasePath}`);
+      }
+
+      switch (browser) {
         case 'chrome':
-          builder.forBrowser('chrome');
-          const chromeOptions = new chrome.Options();
-          
-          if (this.options.headless) {
-            chromeOptions.addArguments('--headless=new');
-          }
-          
-          chromeOptions.addArguments(
-            `--window-size=${this.options.windowSize.width},${this.options.windowSize.height}`,
-            '--no-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-gpu',
-            '--disable-web-security',
-            '--allow-running-insecure-content'
-          );
-          
-          if (this.options.userAgent) {
-            chromeOptions.addArguments(`--user-agent=${this.options.userAgent}`);
-          }
-          
-          if (this.options.disableImages) {
-            chromeOptions.addArguments('--blink-settings=imagesEnabled=false');
-          }
-          
-          if (this.options.disableJavaScript) {
-            chromeOptions.addArguments('--disable-javascript');
-          }
-          
-          // Configure download directory
-          if (this.options.downloadsPath) {
-            chromeOptions.setUserPreferences({
-              'download.default_directory': this.downloadDirectoryBasePath,
-              'download.prompt_for_download': false,
-              'download.directory_upgrade': true,
-              'safebrowsing.enabled': true
-            });
-            
-            // Ensure download directory exists
-            await fs.mkdir(this.downloadDirectoryBasePath, { recursive: true });
-            logger.info(`Chrome download directory set to: ${this.downloadDirectoryBasePath}`);
-          }
-          
-          builder.setChromeOptions(chromeOptions);
+          builder.forBrowser('chrome').setChromeOptions(browserOptions);
           break;
-
         case 'firefox':
-          builder.forBrowser('firefox');
-          const firefoxOptions = new firefox.Options();
-          
-          if (this.options.headless) {
-            firefoxOptions.addArguments('--headless');
-          }
-          
-          firefoxOptions.addArguments(
-            `--width=${this.options.windowSize.width}`,
-            `--height=${this.options.windowSize.height}`
-          );
-          
-          // Configure download directory
-          if (this.options.downloadsPath) {
-            firefoxOptions.setPreference('browser.download.dir', this.downloadDirectoryBasePath);
-            firefoxOptions.setPreference('browser.download.folderList', 2); // Use custom directory
-            firefoxOptions.setPreference('browser.download.useDownloadDir', true);
-            firefoxOptions.setPreference('browser.helperApps.neverAsk.saveToDisk', 
-              'application/pdf,application/zip,text/csv,application/xml,application/octet-stream');
-            
-            // Ensure download directory exists
-            await fs.mkdir(this.downloadDirectoryBasePath, { recursive: true });
-            logger.info(`Firefox download directory set to: ${this.downloadDirectoryBasePath}`);
-          }
-          
-          builder.setFirefoxOptions(firefoxOptions);
+          builder.forBrowser('firefox').setFirefoxOptions(browserOptions);
           break;
-
         case 'edge':
-          builder.forBrowser('MicrosoftEdge');
-          const edgeOptions = new edge.Options();
-          
-          if (this.options.headless) {
-            edgeOptions.addArguments('--headless');
-          }
-          
-          edgeOptions.addArguments(
-            `--window-size=${this.options.windowSize.width},${this.options.windowSize.height}`
-          );
-          
-          // Configure download directory  
-          if (this.options.downloadsPath) {
-            edgeOptions.setUserPreferences({
-              'download.default_directory': this.downloadDirectoryBasePath,
-              'download.prompt_for_download': false,
-              'download.directory_upgrade': true,
-              'safebrowsing.enabled': true
-            });
-            
-            // Ensure download directory exists
-            await fs.mkdir(this.downloadDirectoryBasePath, { recursive: true });
-            logger.info(`Edge download directory set to: ${this.downloadDirectoryBasePath}`);
-          }
-          
-          builder.setEdgeOptions(edgeOptions);
+          builder.forBrowser('MicrosoftEdge').setEdgeOptions(browserOptions);
           break;
+      }
 
-        default:
-          throw new Error(`Unsupported browser: ${this.options.browser}`);
+      // Extra capabilities (grid routing, vendor options such as 'se:recordVideo')
+      for (const [name, value] of Object.entries(this.options.capabilities || {})) {
+        builder.getCapabilities().set(name, value);
       }
 
-      this.driver = await builder.build();
+      if (this.options.remoteUrl) {
+        builder.usingServer(this.options.remoteUrl);
+        this.driver = await this._createRemoteSession(builder);
+      } else {
+        this.driver = await builder.build();
+        this.sessionId = (await this.driver.getSession()).getId();
+      }
       
       // Set timeouts
       await this.driver.manage().setTimeouts({
@@ -190,9 +152,51 @@ class BaseSeleniumDriver {
       this.isStarted = true;
       logger.info('Browser driver started successfully');
 
+      if (this.options.recordVideo) {
+        await this.startVideoRecording();
+      }
+
     } catch (error) {
       logger.error('Failed to start browser driver:', error.message);
-      throw new Error(`Driver startup failed: ${error.message}`);
+      throw classifyError(error, { operation: 'launch', message: `Driver startup failed: ${error.message}` });
+    }
+  }
+
+  /**
+   * Create a session on a remote server, retrying while the grid has no capacity
+   * An unreachable server is retried once; other session errors (unknown
+   * browser, bad capabilities) fail right away.
+   * @private
+   */
+  async _createRemoteSession(builder) {
+    const retries = this.options.sessionRetries ?? BaseSeleniumDriver.DEFAULT_SESSION_RETRIES;
+    let delay = this.options.sessionRetryDelay ?? BaseSeleniumDriver.DEFAULT_SESSION_RETRY_DELAY;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const driver = await builder.build();
+        const session = await driver.getSession();
+        this.sessionId = session.getId();
+
+        // Upload local files for sendKeys on file inputs
+        driver.setFileDetector(new remote.FileDetector());
+
+        const capabilities = session.getCapabilities();
+        logger.info(`Remote session ${this.sessionId} started (${capabilities.getBrowserName()} ${capabilities.getBrowserVersion() || ''})`.trim());
+        return driver;
+
+      } catch (error) {
+        const capacityError = BaseSeleniumDriver.CAPACITY_ERROR_PATTERN.test(error.message);
+        const unreachable = !capacityError && BaseSeleniumDriver.UNREACHABLE_ERROR_PATTERN.test(error.message);
+        const allowed = capacityError ? retries : (unreachable ? Math.min(retries, 1) : 0);
+        if (attempt >= allowed) {
+          throw error;
+        }
+
+        logger.warn(`Grid ${capacityError ? 'has no capacity' : 'unreachable'} (${error.message.split('\n')[0]}), retry ${attempt + 1}/${allowed} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay *= 2;
+      }
     }
   }
 
@@ -206,8 +210,17 @@ class BaseSeleniumDriver {
     }
 
     try {
+      if (this.recorder) {
+        await this.stopVideoRecording().catch(error => logger.warn(`Video recording lost: ${error.message}`));
+      }
+
       await this.driver.quit();
+      if (this.uploadDirectory) {
+        await fs.rm(this.uploadDirectory, { recursive: true, force: true });
+        this.uploadDirectory = null;
+      }
       this.driver = null;
+      this.sessionId = null;
       this.isStarted = false;
       this.currentUrl = null;
       logger.info('Browser driver quit successfully');
@@ -219,15 +232,26 @@ class BaseSeleniumDriver {
 
   /**
    * Navigate to a URL
+   * @param {string} url - URL to open
+   * @param {Object} [options={}] - Navigation options
+   * @param {Object} [options.waitFor] - Wait strategy ({loadState, selector, state, predicate, domStable, timeout}),
+   *   merged over the driver option; timeout defaults to the driver timeout and covers all conditions
+   * @returns {Promise<{url: string, title: string, success: boolean}>} Navigation result
    */
-  async navigateTo(url) {
+  async navigateTo(url, options = {}) {
     this._ensureStarted();
     
     logger.info(`Navigating to: ${url}`);
     
+    const strategy = resolveWaitStrategy(options.waitFor, this.options.waitFor, this.options.timeout);
+    const deadline = Date.now() + strategy.timeout;
+
+    this._resetFrameContext();
+
     try {
       await this.driver.get(url);
       this.currentUrl = url;
+      await this._waitForReady(strategy, deadline);
       logger.info('Navigation completed successfully');
       
       return {
@@ -237,7 +261,41 @@ class BaseSeleniumDriver {
       };
     } catch (error) {
       logger.error(`Navigation failed: ${error.message}`);
-      throw new Error(`Failed to navigate to ${url}: ${error.message}`);
+      throw classifyError(error, { operation: 'navigation', message: `Failed to navigate to ${url}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Wait for the conditions of a wait strategy after driver.get()
+   * driver.get() already waits for the page load strategy of the session
+   * ('normal' = load event), the remaining conditions are polled here.
+   * @private
+   */
+  async _waitForReady(strategy, deadline) {
+    const remaining = () => Math.max(deadline - Date.now(), 1);
+
+    const readyStates = strategy.loadState === 'domcontentloaded' ? ['interactive', 'complete'] : ['complete'];
+    await this.driver.wait(async () => {
+      return readyStates.includes(await this.driver.executeScript('return document.readyState'));
+    }, remaining(), `Timed out waiting for ${strategy.loadState}`);
+
+    if (strategy.loadState === 'networkidle') {
+      await SeleniumUtils.waitForNetworkIdle(this.driver, { timeout: remaining() });
+    }
+    if (strategy.selector) {
+      if (strategy.state === 'visible') {
+        await this.waitForVisible(strategy.selector, remaining());
+      } else {
+        await this.waitForElement(strategy.selector, remaining());
+      }
+    }
+    if (strategy.predicate) {
+      await this.driver.wait(async () => {
+        return await this.driver.executeScript(`return !!(${strategy.predicate});`);
+      }, remaining(), `Timed out waiting for ${strategy.predicate}`);
+    }
+    if (strategy.domStable) {
+      await SeleniumUtils.waitForStableDOM(this.driver, { stabilityTimeout: strategy.domStable, maxWait: remaining() });
     }
   }
 
@@ -249,28 +307,21 @@ class BaseSeleniumDriver {
     
     try {
       const timeoutMs = timeout || this.options.timeout;
-      
-      // Support different selector types
-      let by;
-      if (selector.startsWith('//') || selector.startsWith('(//')) {
-        by = By.xpath(selector);
-      } else if (selector.startsWith('#')) {
-        by = By.id(selector.substring(1));
-      } else if (selector.startsWith('.')) {
-        by = By.className(selector.substring(1));
-      } else if (selector.includes('=')) {
-        // Support name=value pattern
-        const [attr, value] = selector.split('=');
-        by = By.css(`[${attr}="${value}"]`);
-      } else {
-        by = By.css(selector);
+      const deadline = Date.now() + timeoutMs;
+      const segments = parseSelectorChain(selector);
+
+      await this._restoreFrameContext();
+
+      // The driver stays in the frame, so the returned element can be used
+      for (const frame of segments.slice(0, -1)) {
+        await this.driver.switchTo().frame(await this._locate(frame, Math.max(deadline - Date.now(), 1)));
+        this.chainedFrameDepth++;
       }
 
-      const element = await this.driver.wait(until.elementLocated(by), timeoutMs);
-      return element;
+      return await this._locate(segments[segments.length - 1], Math.max(deadline - Date.now(), 1));
     } catch (error) {
       logger.error(`Element not found: ${selector}`, error.message);
-      throw new Error(`Element not found: ${selector}`);
+      throw classifyError(error, { operation: 'element', message: `Element not found: ${selector}` });
     }
   }
 
@@ -281,24 +332,108 @@ class BaseSeleniumDriver {
     this._ensureStarted();
     
     try {
-      let by;
-      if (selector.startsWith('//') || selector.startsWith('(//')) {
-        by = By.xpath(selector);
-      } else if (selector.startsWith('#')) {
-        by = By.id(selector.substring(1));
-      } else if (selector.startsWith('.')) {
-        by = By.className(selector.substring(1));
-      } else {
-        by = By.css(selector);
+      const segments = parseSelectorChain(selector);
+
+      await this._restoreFrameContext();
+
+      for (const frame of segments.slice(0, -1)) {
+        const [frameElement] = await this._findAll(frame);
+        if (!frameElement) {
+          return [];
+        }
+        await this.driver.switchTo().frame(frameElement);
+        this.chainedFrameDepth++;
       }
 
-      return await this.driver.findElements(by);
+      return await this._findAll(segments[segments.length - 1]);
     } catch (error) {
       logger.error(`Elements not found: ${selector}`, error.message);
       return [];
     }
   }
 
+  /**
+   * Wait for the first element of a shadow path (see selectorChain.js)
+   * @private
+   */
+  async _locate(parts, timeoutMs) {
+    return this.driver.wait(async () => (await this._findAll(parts))[0] || null,
+      timeoutMs, `Timed out after ${timeoutMs}ms waiting for ${parts.join(' >>> ')}`);
+  }
+
+  /**
+   * Find all elements of a shadow path in the current frame
+   * Each part but the last selects a shadow host; later parts search its shadow
+   * root, where WebDriver supports CSS selectors only.
+   * @private
+   */
+  async _findAll(parts) {
+    let context = this.driver;
+
+    for (const [index, part] of parts.entries()) {
+      const elements = await context.findElements(this._getLocator(part));
+      if (index === parts.length - 1 || elements.length === 0) {
+        return elements;
+      }
+      try {
+        context = await elements[0].getShadowRoot();
+      } catch (error) {
+        return [];                  // No (open) shadow root yet
+      }
+    }
+  }
+
+  /**
+   * Leave the frames entered by the last chained selector, or re-enter the
+   * switchToFrame() frames from the top-level document
+   * @private
+   */
+  async _restoreFrameContext(fromTop = false) {
+    if (fromTop) {
+      await this.driver.switchTo().defaultContent();
+      for (const frameElement of this.framePath) {
+        await this.driver.switchTo().frame(frameElement);
+      }
+    } else {
+      for (let depth = 0; depth < this.chainedFrameDepth; depth++) {
+        await this.driver.switchTo().parentFrame();
+      }
+    }
+    this.chainedFrameDepth = 0;
+  }
+
+  /**
+   * Forget frame state after WebDriver returned to the top-level document (navigation, tab switch)
+   * @private
+   */
+  _resetFrameContext() {
+    this.framePath = [];
+    this.chainedFrameDepth = 0;
+  }
+
+  /**
+   * Convert a selector into a Selenium locator
+   * XPath starts with '//' or '(//'; a bare `#id`, `.class` or `name=value` gets a
+   * shortcut locator; anything else (compound selectors included) is CSS.
+   * @private
+   */
+  _getLocator(selector) {
+    if (selector.startsWith('//') || selector.startsWith('(//')) {
+      return By.xpath(selector);
+    }
+    if (/^#[\w-]+$/.test(selector)) {
+      return By.id(selector.substring(1));
+    }
+    if (/^\.[\w-]+$/.test(selector)) {
+      return By.className(selector.substring(1));
+    }
+    const nameValue = selector.match(/^([\w-]+)=([^\s"'\[\]]+)$/);
+    if (nameValue) {
+      return By.css(`[${nameValue[1]}="${nameValue[2]}"]`);
+    }
+    return By.css(selector);
+  }
+
   /**
    * Click an element
    */
@@ -314,7 +449,7 @@ class BaseSeleniumDriver {
       return { success: true, selector };
     } catch (error) {
       logger.error(`Click failed: ${selector}`, error.message);
-      throw new Error(`Failed to click ${selector}: ${error.message}`);
+      throw classifyError(error, { operation: 'element', message: `Failed to click ${selector}: ${error.message}` });
     }
   }
 
@@ -333,7 +468,7 @@ class BaseSeleniumDriver {
       return { success: true, selector, text };
     } catch (error) {
       logger.error(`Send keys failed: ${selector}`, error.message);
-      throw new Error(`Failed to send keys to ${selector}: ${error.message}`);
+      throw classifyError(error, { operation: 'element', message: `Failed to send keys to ${selector}: ${error.message}` });
     }
   }
 
@@ -351,10 +486,74 @@ class BaseSeleniumDriver {
       return { success: true, selector };
     } catch (error) {
       logger.error(`Clear text failed: ${selector}`, error.message);
-      throw new Error(`Failed to clear text from ${selector}: ${error.message}`);
+      throw classifyError(error, { operation: 'element', message: `Failed to clear text from ${selector}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Set the files of a file input
+   * WebDriver cannot answer file choosers, so for a button or label the file
+   * input inside it (or the one the label controls) is used. In-memory files
+   * are written to a temporary directory first; on Selenium Grid the files are
+   * uploaded to the node.
+   * @param {string} selector - <input type=file>, or an element wrapping or labelling one
+   * @param {string|Buffer|Object|Array} files - Paths, Buffers or {name, buffer, mimeType} (see uploadFiles.js); [] clears the input
+   * @param {number} [timeout] - Time to wait for the element (default: driver timeout)
+   * @returns {Promise<{success: boolean, selector: string, files: string[]}>} Uploaded file names
+   */
+  async uploadFile(selector, files, timeout = null) {
+    this._ensureStarted();
+
+    try {
+      const uploads = await normalizeUploadFiles(files);
+      const element = await this.findElement(selector, timeout);
+      const input = await this.driver.executeScript(`
+        const node = arguments[0];
+        if (node.tagName === 'INPUT' && node.type === 'file') return node;
+        return node.querySelector('input[type=file]') || (node.control && node.control.type === 'file' ? node.control : null);
+      `, element);
+      if (!input) {
+        throw new InvalidRequestError(`${selector} is not a file input and does not contain or label one`);
+      }
+
+      if (uploads.length === 0) {
+        await input.clear();
+      } else {
+        let paths = [];
+        for (const file of uploads) {
+          paths.push(file.path || await this._writeUploadFile(file));
+        }
+        if (this.options.remoteUrl) {
+          // The session's detector only handles a single path, so upload each file here
+          const detector = new remote.FileDetector();
+          paths = await Promise.all(paths.map(filePath => detector.handleFile(this.driver, filePath)));
+        }
+        await input.sendKeys(paths.join('\n'));
+      }
+      logger.info(`Uploaded ${uploads.length} file(s) to element: ${selector}`);
+
+      return { success: true, selector, files: uploads.map(file => file.name) };
+    } catch (error) {
+      logger.error(`Upload file failed: ${selector}`, error.message);
+      throw classifyError(error, { operation: 'element', message: `Failed to upload files to ${selector}: ${error.message}` });
     }
   }
 
+  /**
+   * Write an in-memory upload to a temporary file with its own name
+   * @private
+   */
+  async _writeUploadFile(file) {
+    if (!this.uploadDirectory) {
+      this.uploadDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'selenium-uploads-'));
+    }
+    // One directory per file, so equal names do not overwrite each other
+    const directory = await fs.mkdtemp(path.join(this.uploadDirectory, 'file-'));
+    const filePath = path.join(directory, file.name);
+    await fs.writeFile(filePath, file.buffer);
+    return filePath;
+  }
+
   /**
    * Get text content from an element
    */
@@ -367,7 +566,7 @@ class BaseSeleniumDriver {
       return text;
     } catch (error) {
       logger.error(`Get text failed: ${selector}`, error.message);
-      throw new Error(`Failed to get text from ${selector}: ${error.message}`);
+      throw classifyError(error, { operation: 'element', message: `Failed to get text from ${selector}: ${error.message}` });
     }
   }
 
@@ -383,7 +582,7 @@ class BaseSeleniumDriver {
       await this.findElement(selector, timeoutMs);
       return { success: true, selector };
     } catch (error) {
-      throw new Error(`Element not found within ${timeoutMs}ms: ${selector}`);
+      throw classifyError(error, { operation: 'element', message: `Element not found within ${timeoutMs}ms: ${selector}` });
     }
   }
 
@@ -400,7 +599,7 @@ class BaseSeleniumDriver {
       await this.driver.wait(until.elementIsVisible(element), timeoutMs);
       return { success: true, selector };
     } catch (error) {
-      throw new Error(`Element not visible within ${timeoutMs}ms: ${selector}`);
+      throw classifyError(error, { operation: 'element', message: `Element not visible within ${timeoutMs}ms: ${selector}` });
     }
   }
 
@@ -417,7 +616,7 @@ class BaseSeleniumDriver {
       await this.driver.wait(until.elementIsEnabled(element), timeoutMs);
       return { success: true, selector };
     } catch (error) {
-      throw new Error(`Element not clickable within ${timeoutMs}ms: ${selector}`);
+      throw classifyError(error, { operation: 'element', message: `Element not clickable within ${timeoutMs}ms: ${selector}` });
     }
   }
 
@@ -535,26 +734,58 @@ class BaseSeleniumDriver {
   }
 
   /**
-   * Start video recording (NOT YET IMPLEMENTED BUILT-IN IN SELENIUM)
-   * TODO: Implement actual video recording functionality
+   * Start video recording
+   * Selenium has no video API: screenshots are captured at `videoFrameRate` and
+   * assembled by stopVideoRecording() (see ScreenRecorder). The extension picks the
+   * format: .mp4/.webm/.gif need ffmpeg, .png writes an animated PNG.
    */
   async startVideoRecording(filename = 'recording.mp4', baseDirectory = null, videosDirectory = null, includeTimestamp = true) {
+    this._ensureStarted();
+
+    if (this.recorder) {
+      throw new Error('Video recording already in progress. Call stopVideoRecording() first.');
+    }
+
     // Use provided values or fall back to class variables
     const actualBaseDirectory = baseDirectory || this.outputDirectoryBasePath;
     const actualVideosDirectory = videosDirectory || this.videosDirectory;
     
     // Create video directory (this will update class variables if new values provided)
-    await this.createVideosDirectory(actualBaseDirectory, actualVideosDirectory);
-    
-    throw new Error('Video recording not yet implemented. Use startVideoRecording() when this feature is added.');
+    const paths = await this.createVideosDirectory(actualBaseDirectory, actualVideosDirectory);
+    const videoPath = path.join(paths.videosPath, this._generateFilename(filename, includeTimestamp));
+
+    try {
+      const recorder = new ScreenRecorder(this.driver, videoPath, { frameRate: this.options.videoFrameRate });
+      await recorder.start();
+      this.recorder = recorder;
+    } catch (error) {
+      logger.error('Failed to start video recording:', error.message);
+      throw new Error(`Failed to start video recording: ${error.message}`);
+    }
+
+    return { success: true, message: 'Video recording active', path: videoPath };
   }
 
   /**
-   * Stop video recording (NOT YET IMPLEMENTED BUILT-IN IN SELENIUM)
-   * TODO: Implement actual video recording functionality
+   * Stop video recording and get video path
+   * @returns {Promise<string>} Saved file (an animated .png instead of the requested format when ffmpeg is missing)
    */
   async stopVideoRecording() {
-    throw new Error('Video recording not yet implemented. Use stopVideoRecording() when this feature is added.');
+    if (!this.recorder) {
+      throw new Error('Video recording not started. Call startVideoRecording() first.');
+    }
+
+    const recorder = this.recorder;
+    this.recorder = null;
+
+    try {
+      const videoPath = await recorder.stop();
+      logger.info(`Video recording saved: ${videoPath}`);
+      return videoPath;
+    } catch (error) {
+      logger.error('Failed to save video recording:', error.message);
+      throw new Error(`Failed to stop video recording: ${error.message}`);
+    }
   }
 
   /**
@@ -564,6 +795,7 @@ class BaseSeleniumDriver {
     this._ensureStarted();
     
     try {
+      await this._restoreFrameContext();
       return await this.driver.getPageSource();
     } catch (error) {
       logger.error('Get page source failed:', error.message);
@@ -606,13 +838,15 @@ class BaseSeleniumDriver {
   async goBack() {
     this._ensureStarted();
     
+    this._resetFrameContext();
+
     try {
       await this.driver.navigate().back();
       this.currentUrl = await this.getCurrentUrl();
       logger.info('Navigated back');
     } catch (error) {
       logger.error('Go back failed:', error.message);
-      throw new Error(`Failed to go back: ${error.message}`);
+      throw classifyError(error, { operation: 'navigation', message: `Failed to go back: ${error.message}` });
     }
   }
 
@@ -622,13 +856,15 @@ class BaseSeleniumDriver {
   async goForward() {
     this._ensureStarted();
     
+    this._resetFrameContext();
+
     try {
       await this.driver.navigate().forward();
       this.currentUrl = await this.getCurrentUrl();
       logger.info('Navigated forward');
     } catch (error) {
       logger.error('Go forward failed:', error.message);
-      throw new Error(`Failed to go forward: ${error.message}`);
+      throw classifyError(error, { operation: 'navigation', message: `Failed to go forward: ${error.message}` });
     }
   }
 
@@ -638,15 +874,517 @@ class BaseSeleniumDriver {
   async refresh() {
     this._ensureStarted();
     
+    this._resetFrameContext();
+
     try {
       await this.driver.navigate().refresh();
       logger.info('Page refreshed');
     } catch (error) {
       logger.error('Refresh failed:', error.message);
-      throw new Error(`Failed to refresh page: ${error.message}`);
+      throw classifyError(error, { operation: 'navigation', message: `Failed to refresh page: ${error.message}` });
+    }
+  }
+
+  /**
+   * List the open tabs and popups (window handles)
+   * Reading url and title visits every window, then returns to the active one.
+   * @returns {Promise<Array<{index: number, url: string, title: string, active: boolean}>>} Tabs in opening order
+   */
+  async getTabs() {
+    this._ensureStarted();
+
+    try {
+      const handles = await this.driver.getAllWindowHandles();
+      const active = await this.driver.getWindowHandle().catch(() => null);
+      const tabs = [];
+
+      for (const [index, handle] of handles.entries()) {
+        await this.driver.switchTo().window(handle);
+        tabs.push({
+          index: index,
+          url: await this.driver.getCurrentUrl(),
+          title: await this.driver.getTitle(),
+          active: handle === active
+        });
+      }
+
+      if (active && handles.includes(active)) {
+        await this.driver.switchTo().window(active);
+        await this._restoreFrameContext(true);
+      }
+      return tabs;
+    } catch (error) {
+      logger.error('Failed to list tabs:', error.message);
+      throw classifyError(error, { operation: 'navigation', message: `Failed to list tabs: ${error.message}` });
+    }
+  }
+
+  /**
+   * Make another tab the active window; all driver methods act on the active window
+   * @param {number|string} target - Tab index, or text contained in the tab's url or title
+   * @returns {Promise<{index: number, url: string, title: string, active: boolean}>} The new active tab
+   */
+  async switchToTab(target) {
+    this._ensureStarted();
+
+    const tab = (await this.getTabs()).find(tab => typeof target === 'number'
+      ? tab.index === target
+      : tab.url.includes(target) || tab.title.includes(target));
+    if (!tab) {
+      throw new Error(`No tab matches ${typeof target === 'number' ? `index ${target}` : `"${target}"`}`);
+    }
+
+    const handles = await this.driver.getAllWindowHandles();
+    await this.driver.switchTo().window(handles[tab.index]);
+    this._resetFrameContext();
+    this.currentUrl = tab.url;
+    logger.info(`Switched to tab: ${tab.url}`);
+    return { ...tab, active: true };
+  }
+
+  /**
+   * Open a new tab and make it the active window
+   * @param {string} [url] - Page to open in the new tab
+   * @returns {Promise<{index: number, url: string, title: string, active: boolean}>} The new tab
+   */
+  async newTab(url = null) {
+    this._ensureStarted();
+
+    try {
+      await this.driver.switchTo().newWindow('tab');
+      this._resetFrameContext();
+    } catch (error) {
+      logger.error('Failed to open tab:', error.message);
+      throw classifyError(error, { operation: 'navigation', message: `Failed to open tab: ${error.message}` });
+    }
+
+    if (url) {
+      await this.navigateTo(url);
+    }
+    return (await this.getTabs()).find(tab => tab.active);
+  }
+
+  /**
+   * Run an action that opens a popup or `target=_blank` tab and wait for it
+   * @param {Function|string} action - Async function, or a selector to click
+   * @param {Object} [options={}]
+   * @param {number} [options.timeout] - Time to wait for the popup (default: driver timeout)
+   * @param {boolean} [options.switchTo=true] - Make the popup the active window
+   * @returns {Promise<{index: number, url: string, title: string, active: boolean}>} The popup tab
+   */
+  async waitForPopup(action, options = {}) {
+    this._ensureStarted();
+
+    const timeout = options.timeout || this.options.timeout;
+    const deadline = Date.now() + timeout;
+    const before = await this.driver.getAllWindowHandles();
+    const opener = await this.driver.getWindowHandle();
+    const openerFramePath = this.framePath;
+
+    if (typeof action === 'string') {
+      await this.click(action);
+    } else if (typeof action === 'function') {
+      await action();
+    }
+
+    try {
+      let popup = null;
+      await this.driver.wait(async () => {
+        const handles = await this.driver.getAllWindowHandles();
+        popup = handles.find(handle => !before.includes(handle)) || null;
+        return popup !== null;
+      }, timeout, `Timed out after ${timeout}ms waiting for a popup`);
+
+      await this.driver.switchTo().window(popup);
+      this._resetFrameContext();
+      await this._waitForReady(resolveWaitStrategy(null, null, timeout), deadline);
+      const tab = (await this.getTabs()).find(tab => tab.active);
+
+      if (options.switchTo === false) {
+        await this.driver.switchTo().window(opener);
+        this.framePath = openerFramePath;
+        await this._restoreFrameContext(true);
+        return { ...tab, active: false };
+      }
+      this.currentUrl = tab.url;
+      logger.info(`Popup opened: ${tab.url}`);
+      return tab;
+    } catch (error) {
+      logger.error('Wait for popup failed:', error.message);
+      throw classifyError(error, { operation: 'navigation', message: `No popup opened within ${timeout}ms: ${error.message}` });
+    }
+  }
+
+  /**
+   * Run an action that starts a download and wait until the file is complete
+   * WebDriver has no download events, so the download directory is polled:
+   * the download is done when no partial file (.crdownload, .part...) is
+   * left and the new file is not empty and kept its size over two polls
+   * (Firefox creates an empty file under the final name before its .part
+   * file, so empty downloads time out). The browser names the file, so
+   * suggestedFilename is the saved name. Needs a local browser; on Selenium
+   * Grid the file is saved on the node.
+   * @param {Function|string} action - Async function, or a selector to click
+   * @param {Object} [options={}]
+   * @param {number} [options.timeout] - Time to wait for the download to start and finish (default: driver timeout)
+   * @returns {Promise<{path: string, suggestedFilename: string, size: number, mimeType: string, sha256: string}>} The saved file
+   */
+  async waitForDownload(action, options = {}) {
+    this._ensureStarted();
+    if (!this.options.downloadsPath) {
+      throw new InvalidRequestError('Downloads are disabled: set the downloadsPath option');
+    }
+    if (this.options.remoteUrl) {
+      throw new InvalidRequestError('waitForDownload needs a local browser: on Selenium Grid downloads are saved on the node');
+    }
+
+    const timeout = options.timeout || this.options.timeout;
+    const directory = this.downloadDirectoryBasePath;
+    await fs.mkdir(directory, { recursive: true });
+    const before = new Set(await fs.readdir(directory));
+
+    if (typeof action === 'string') {
+      await this.click(action);
+    } else if (typeof action === 'function') {
+      await action();
+    }
+
+    try {
+      let sizes = new Map();
+      let fileName = null;
+      await this.driver.wait(async () => {
+        const previous = sizes;
+        sizes = new Map();
+        for (const name of (await fs.readdir(directory)).filter(name => !before.has(name))) {
+          const stats = await fs.stat(path.join(directory, name)).catch(() => null);
+          if (stats?.isFile()) {
+            sizes.set(name, stats);
+          }
+        }
+
+        const names = [...sizes.keys()];
+        if (names.length === 0 || names.some(name => BaseSeleniumDriver._isPartialDownload(name))) {
+          return false;
+        }
+        fileName = names.reduce((newest, name) => (sizes.get(name).mtimeMs > sizes.get(newest).mtimeMs ? name : newest));
+        const size = sizes.get(fileName).size;
+        return size > 0 && previous.get(fileName)?.size === size;
+      }, timeout, `Timed out after ${timeout}ms waiting for a download to finish`);
+
+      const file = await getFileInfo(path.join(directory, fileName));
+      logger.info(`Download finished: ${file.path} (${file.size} bytes)`);
+      return { path: file.path, suggestedFilename: fileName, size: file.size, mimeType: file.mimeType, sha256: file.sha256 };
+    } catch (error) {
+      logger.error('Wait for download failed:', error.message);
+      throw classifyError(error, { operation: 'navigation', message: `No download finished within ${timeout}ms: ${error.message}` });
+    }
+  }
+
+  /**
+   * Whether a file in the download directory is still being written
+   * Chrome and Edge use .crdownload, Firefox .part (next to an empty file
+   * under the final name), Safari .download; hidden files are browser temp files.
+   * @private
+   */
+  static _isPartialDownload(name) {
+    return name.startsWith('.') || BaseSeleniumDriver.PARTIAL_DOWNLOAD_EXTENSIONS.includes(path.extname(name).toLowerCase());
+  }
+
+  /**
+   * Close a tab; when it was the active window, the last remaining tab becomes active
+   * @param {number|string} [target] - Tab index or url/title text (default: the active tab)
+   * @returns {Promise<Array<{index: number, url: string, title: string, active: boolean}>>} Remaining tabs
+   */
+  async closeTab(target = null) {
+    this._ensureStarted();
+
+    const handles = await this.driver.getAllWindowHandles();
+    if (handles.length === 1) {
+      throw new Error('Cannot close the last tab. Use quit() instead.');
+    }
+
+    const active = await this.driver.getWindowHandle().catch(() => null);
+    const activeFramePath = this.framePath;
+    if (target !== null) {
+      await this.switchToTab(target);
+    }
+    const closing = await this.driver.getWindowHandle();
+
+    await this.driver.close();
+    const remaining = handles.filter(handle => handle !== closing);
+    // Return to the previously active tab, or the last one when that was closed
+    if (remaining.includes(active)) {
+      await this.driver.switchTo().window(active);
+      this.framePath = activeFramePath;
+      await this._restoreFrameContext(true);
+    } else {
+      await this.driver.switchTo().window(remaining[remaining.length - 1]);
+      this._resetFrameContext();
+    }
+    this.currentUrl = await this.driver.getCurrentUrl();
+    logger.info('Tab closed');
+    return this.getTabs();
+  }
+
+  /**
+   * Run later element methods, executeScript and getPageSource inside a frame
+   * A selector is resolved in the current frame, so frames can be entered one
+   * level at a time; {name} and {url} search all frames of the page.
+   * Navigation, switching tabs and switchToMainFrame() return to the top-level document.
+   * @param {string|Object} target - Frame element selector, {name} (name or id attribute) or {url} (substring or RegExp)
+   * @param {number} [timeout] - Time to wait for the frame (default: driver timeout)
+   * @returns {Promise<{name: string, url: string}>} The entered frame
+   */
+  async switchToFrame(target, timeout = null) {
+    this._ensureStarted();
+
+    const timeoutMs = timeout || this.options.timeout;
+    const description = typeof target === 'string' ? target : JSON.stringify(target, (key, value) => value instanceof RegExp ? String(value) : value);
+
+    try {
+      await this._restoreFrameContext();
+
+      if (typeof target === 'string') {
+        const deadline = Date.now() + timeoutMs;
+        for (const segment of parseSelectorChain(target)) {
+          const frameElement = await this._locate(segment, Math.max(deadline - Date.now(), 1));
+          await this.driver.switchTo().frame(frameElement);
+          this.framePath.push(frameElement);
+        }
+      } else {
+        await this.driver.wait(() => this._enterMatchingFrame(target, []), timeoutMs,
+          `Timed out after ${timeoutMs}ms waiting for the frame`);
+      }
+
+      const frame = await this.driver.executeScript('return { name: window.name, url: window.location.href };');
+      logger.info(`Switched to frame: ${frame.name || frame.url}`);
+      return frame;
+    } catch (error) {
+      logger.error(`Frame not found: ${description}`, error.message);
+      await this._restoreFrameContext(true).catch(() => {});
+      throw classifyError(error, { operation: 'element', message: `Frame not found: ${description}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Return to the top-level document of the active tab
+   */
+  async switchToMainFrame() {
+    this._ensureStarted();
+    await this.driver.switchTo().defaultContent();
+    this._resetFrameContext();
+  }
+
+  /**
+   * Depth-first search of the frames for a name or url match, entering the match
+   * @private
+   */
+  async _enterMatchingFrame({ name, url }, path) {
+    if (path.length === 0) {
+      await this.driver.switchTo().defaultContent();
+    }
+
+    for (const frameElement of await this.driver.findElements(By.css('iframe, frame'))) {
+      const frameName = name && (await frameElement.getAttribute('name') || await frameElement.getAttribute('id'));
+      try {
+        await this.driver.switchTo().frame(frameElement);
+      } catch (error) {
+        continue;                   // Detached while searching
+      }
+
+      const frameUrl = await this.driver.executeScript('return window.location.href;');
+      const matches = name
+        ? frameName === name
+        : url instanceof RegExp ? url.test(frameUrl) : frameUrl.includes(url);
+      if (matches || await this._enterMatchingFrame({ name, url }, [...path, frameElement])) {
+        if (matches) {
+          this.framePath = [...path, frameElement];
+        }
+        return true;
+      }
+      await this.driver.switchTo().parentFrame();
+    }
+
+    if (path.length === 0) {
+      await this._restoreFrameContext(true);
+    }
+    return false;
+  }
+
+  /**
+   * Cookies and web storage of the session, in the format of sessionState.js
+   * WebDriver only exposes the current document: cookies visible to it (all
+   * cookies on Chrome) and the localStorage/sessionStorage of its origin.
+   * @returns {Promise<Object>} Session state
+   */
+  async getSessionState() {
+    this._ensureStarted();
+
+    try {
+      const cookies = await this._getAllCookies();
+
+      // Storage of the top-level document, not of an entered frame
+      await this.driver.switchTo().defaultContent();
+      this.chainedFrameDepth = 0;
+      const storage = await this.driver.executeScript(`
+        const dump = (store) => Object.keys(store).map(name => ({ name: name, value: store.getItem(name) }));
+        return { origin: window.location.origin, localStorage: dump(window.localStorage), sessionStorage: dump(window.sessionStorage) };
+      `).catch(() => null);         // data: and about: pages have no storage
+      await this._restoreFrameContext(true);
+
+      const origins = storage && storage.origin !== 'null' && (storage.localStorage.length > 0 || storage.sessionStorage.length > 0)
+        ? [storage]
+        : [];
+
+      return normalizeSessionState({ savedAt: new Date().toISOString(), cookies, origins }, { encryptionKey: null });
+    } catch (error) {
+      logger.error('Get session state failed:', error.message);
+      throw classifyError(error, { operation: 'script', message: `Failed to read session state: ${error.message}` });
     }
   }
 
+  /**
+   * Save cookies and web storage to a file (see getSessionState)
+   * @param {string} filePath - Target file
+   * @param {Object} [options={}]
+   * @param {string|null} [options.encryptionKey] - Encrypt with this passphrase (default: SESSION_STATE_KEY; null for plain JSON)
+   * @returns {Promise<{path: string, encrypted: boolean, cookies: number, origins: number}>} Saved file summary
+   */
+  async saveSessionState(filePath, options = {}) {
+    const state = await this.getSessionState();
+
+    try {
+      const saved = await writeSessionState(path.resolve(filePath), state, options);
+      logger.info(`Session state saved: ${saved.path} (${state.cookies.length} cookies, ${state.origins.length} origins${saved.encrypted ? ', encrypted' : ''})`);
+      return { ...saved, cookies: state.cookies.length, origins: state.origins.length };
+    } catch (error) {
+      logger.error(`Save session state failed: ${filePath}`, error.message);
+      throw classifyError(error, { message: `Failed to save session state: ${error.message}` });
+    }
+  }
+
+  /**
+   * Restore cookies and web storage saved by either engine
+   * WebDriver sets cookies and storage for the current document only, so each
+   * origin is opened in the active tab (Chrome sets cookies without this).
+   * Origins that redirect elsewhere are skipped. Afterwards the tab returns to
+   * the page it showed before.
+   * @param {string|Object} source - Session state file, or a (possibly encrypted) state object
+   * @param {Object} [options={}]
+   * @param {string|null} [options.encryptionKey] - Passphrase of encrypted state (default: SESSION_STATE_KEY)
+   * @returns {Promise<{cookies: number, origins: number, skipped: string[]}>} Restored counts and skipped origins
+   */
+  async loadSessionState(source, options = {}) {
+    this._ensureStarted();
+
+    try {
+      const state = typeof source === 'string'
+        ? await readSessionState(path.resolve(source), options)
+        : normalizeSessionState(source, options);
+      const returnUrl = await this.driver.getCurrentUrl();
+
+      // Origins to open: the ones with storage, plus one per cookie host unless cookies are set directly
+      const visits = new Map(state.origins
+        .filter(entry => entry.localStorage.length > 0 || entry.sessionStorage.length > 0)
+        .map(entry => [entry.origin, { entry, cookies: [] }]));
+      const cookiesSet = await this._setAllCookies(state.cookies);
+      if (!cookiesSet) {
+        for (const cookie of state.cookies) {
+          const host = cookie.domain.replace(/^\./, '');
+          const known = state.origins.find(entry => new URL(entry.origin).hostname === host);
+          const origin = known ? known.origin : `https://${host}`;
+          if (!visits.has(origin)) {
+            visits.set(origin, { entry: null, cookies: [] });
+          }
+          visits.get(origin).cookies.push(cookie);
+        }
+      }
+
+      let cookies = cookiesSet ? state.cookies.length : 0;
+      let origins = 0;
+      const skipped = [];
+      this._resetFrameContext();
+
+      for (const [origin, visit] of visits) {
+        await this.driver.get(`${origin}/`);
+        if (new URL(await this.driver.getCurrentUrl()).origin !== origin) {
+          logger.warn(`Session state for ${origin} skipped: the page redirected to another origin`);
+          skipped.push(origin);
+          continue;
+        }
+
+        for (const cookie of visit.cookies) {
+          await this.driver.manage().addCookie(BaseSeleniumDriver._toWebDriverCookie(cookie));
+          cookies++;
+        }
+        if (visit.entry) {
+          await this.driver.executeScript(`
+            arguments[0].forEach(item => window.localStorage.setItem(item.name, item.value));
+            arguments[1].forEach(item => window.sessionStorage.setItem(item.name, item.value));
+          `, visit.entry.localStorage, visit.entry.sessionStorage);
+          origins++;
+        }
+      }
+
+      if (visits.size > 0) {
+        await this.driver.get(/^https?:/.test(returnUrl) ? returnUrl : 'about:blank');
+        this.currentUrl = await this.driver.getCurrentUrl();
+      }
+
+      logger.info(`Session state loaded (${cookies} cookies, ${origins} origins${skipped.length ? `, ${skipped.length} skipped` : ''})`);
+      return { cookies, origins, skipped };
+    } catch (error) {
+      logger.error('Load session state failed:', error.message);
+      throw classifyError(error, { message: `Failed to load session state: ${error.message}` });
+    }
+  }
+
+  /**
+   * Cookies visible to the current document
+   * Overridden where the browser can list the cookies of every domain.
+   * @private
+   */
+  async _getAllCookies() {
+    const cookies = await this.driver.manage().getCookies();
+    return cookies.map(cookie => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      expires: cookie.expiry ?? -1,
+      httpOnly: cookie.httpOnly,
+      secure: cookie.secure,
+      sameSite: cookie.sameSite
+    }));
+  }
+
+  /**
+   * Set cookies of any domain without opening their pages
+   * WebDriver cannot, so this returns false; overridden where the browser can.
+   * @private
+   * @returns {Promise<boolean>} True when the cookies were set
+   */
+  async _setAllCookies(cookies) {
+    return false;
+  }
+
+  /**
+   * Session state cookie -> WebDriver cookie (host-only cookies keep no domain)
+   * @private
+   */
+  static _toWebDriverCookie(cookie) {
+    return {
+      name: cookie.name,
+      value: cookie.value,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite,
+      ...(cookie.domain.startsWith('.') ? { domain: cookie.domain } : {}),
+      ...(cookie.expires > 0 ? { expiry: Math.floor(cookie.expires) } : {})
+    };
+  }
+
   /**
    * Execute JavaScript in the browser
    */
@@ -654,10 +1392,11 @@ class BaseSeleniumDriver {
     this._ensureStarted();
     
     try {
+      await this._restoreFrameContext();
       return await this.driver.executeScript(script, ...args);
     } catch (error) {
       logger.error('Execute script failed:', error.message);
-      throw new Error(`Failed to execute script: ${error.message}`);
+      throw classifyError(error, { operation: 'script', message: `Failed to execute script: ${error.message}` });
     }
   }
 
@@ -722,6 +1461,22 @@ class BaseSeleniumDriver {
     }
   }
 
+  /**
+   * Options the browser could not apply at start() (see browserOptionsMapper)
+   * @returns {Array<{option: string, reason: string}>} Option name and reason, empty when everything applied
+   */
+  getUnsupportedOptions() {
+    return [...this.unsupportedOptions];
+  }
+
+  /**
+   * Get the WebDriver session id (the grid session id when running remotely)
+   * @returns {string|null} Session id, or null when not started
+   */
+  getSessionId() {
+    return this.sessionId;
+  }
+
   /**
    * Get the underlying WebDriver instance for advanced operations
    * @returns {import('selenium-webdriver').WebDriver} The raw WebDriver instance
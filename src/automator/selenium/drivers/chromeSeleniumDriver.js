@@ -1,4 +1,6 @@
 const BaseSeleniumDriver = require('./baseSeleniumDriver');
+const logger = require('../../../common/utils/logger');
+const { classifyError, InvalidRequestError } = require('../../../common/utils/automationErrors');
 
 /**
  * Chrome-specific Selenium Driver
@@ -6,6 +8,17 @@ const BaseSeleniumDriver = require('./baseSeleniumDriver');
  * Extends BaseSeleniumDriver with Chrome-specific optimizations and features.
  */
 class ChromeSeleniumDriver extends BaseSeleniumDriver {
+  // Chrome DevTools throttling profiles (latency in ms, throughput in bytes/s)
+  static NETWORK_PRESETS = {
+    'offline': { offline: true, latency: 0, downloadThroughput: 0, uploadThroughput: 0 },
+    'slow-3g': { latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+    'fast-3g': { latency: 563, downloadThroughput: 180000, uploadThroughput: 84375 },
+    '4g': { latency: 170, downloadThroughput: 1125000, uploadThroughput: 375000 }
+  };
+
+  // Site data removed by clearBrowserData({storage: true})
+  static STORAGE_TYPES = 'local_storage,indexeddb,websql,cache_storage,service_workers,file_systems';
+
   constructor(options = {}) {
     super({
       browser: 'chrome',
@@ -58,53 +71,176 @@ class ChromeSeleniumDriver extends BaseSeleniumDriver {
       }
     } catch (error) {
       // Non-critical - log but don't fail
-      this.logger?.warn('Chrome performance configuration failed:', error.message);
+      logger.warn('Chrome performance configuration failed:', error.message);
     }
   }
 
   /**
-   * Chrome-specific method to clear browser data
+   * Send a Chrome DevTools Protocol command through the WebDriver session
+   * Works locally and on Selenium Grid (chromedriver's goog/cdp/execute endpoint).
+   * @param {string} command - CDP method, e.g. 'Network.clearBrowserCache'
+   * @param {Object} [params={}] - Method parameters
+   * @returns {Promise<Object>} The CDP result object
+   * @see https://chromedevtools.github.io/devtools-protocol/
    */
-  async clearBrowserData() {
+  async executeDevToolsCommand(command, params = {}) {
     this._ensureStarted();
     
     try {
-      // Navigate to Chrome's clear browsing data page
-      await this.driver.get('chrome://settings/clearBrowserData');
-      await this.wait(1000);
-      
-      // This is a simplified approach - in practice, you might use CDP
-      await this.executeScript(`
-        chrome.settingsPrivate.clearBrowsingData({
-          dataTypes: ['cookies', 'cache', 'localStorage'],
-          timePeriod: 'all'
-        });
-      `);
-      
-      return { success: true };
+      return await this.driver.sendAndGetDevToolsCommand(command, params) || {};
     } catch (error) {
-      throw new Error(`Failed to clear browser data: ${error.message}`);
+      logger.error(`DevTools command ${command} failed:`, error.message);
+      throw classifyError(error, { operation: 'script', message: `DevTools command ${command} failed: ${error.message}` });
     }
   }
 
   /**
-   * Chrome DevTools Protocol access (if supported)
+   * Clear cookies, HTTP cache and site storage
+   * Cookies and cache are cleared for the whole browser; storage (localStorage,
+   * IndexedDB, Cache Storage, service workers) for the given origins, by default
+   * the origin of the current page. sessionStorage of the current page is cleared too.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.cookies=true] - Clear all cookies
+   * @param {boolean} [options.cache=true] - Clear the HTTP cache
+   * @param {boolean} [options.storage=true] - Clear site storage
+   * @param {string[]} [options.origins] - Origins whose storage is cleared (default: current page origin)
+   * @returns {Promise<{success: boolean, cleared: string[], origins: string[]}>} What was cleared
    */
-  async executeDevToolsCommand(command, params = {}) {
+  async clearBrowserData({ cookies = true, cache = true, storage = true, origins = null } = {}) {
     this._ensureStarted();
     
-    try {
-      // This would require chrome-remote-interface or similar
-      // For now, return a placeholder
-      return { 
-        success: false, 
-        message: 'CDP not implemented in this version',
-        command,
-        params
-      };
-    } catch (error) {
-      throw new Error(`DevTools command failed: ${error.message}`);
+    const cleared = [];
+
+    if (cookies) {
+      await this.executeDevToolsCommand('Network.clearBrowserCookies');
+      cleared.push('cookies');
+    }
+
+    if (cache) {
+      await this.executeDevToolsCommand('Network.clearBrowserCache');
+      cleared.push('cache');
+    }
+
+    if (storage) {
+      if (!origins) {
+        const origin = new URL(await this.getCurrentUrl()).origin;
+        // about:blank, data: and file: pages have no storage origin
+        origins = origin === 'null' ? [] : [origin];
+        if (origins.length > 0) {
+          await this.executeScript('try { window.sessionStorage.clear(); } catch (error) {}');
+        }
+      }
+      for (const origin of origins) {
+        await this.executeDevToolsCommand('Storage.clearDataForOrigin', {
+          origin: origin,
+          storageTypes: ChromeSeleniumDriver.STORAGE_TYPES
+        });
+      }
+      cleared.push('storage');
+    }
+
+    logger.info(`Browser data cleared: ${cleared.join(', ') || 'nothing'}`);
+    return { success: true, cleared, origins: origins || [] };
+  }
+
+  /**
+   * Emulate a slow or offline network
+   * @param {string|Object} conditions - Preset name ('offline', 'slow-3g', 'fast-3g', '4g') or
+   *   {offline, latency, downloadThroughput, uploadThroughput} (latency in ms, throughput in bytes/s, -1 = unlimited)
+   * @returns {Promise<Object>} The applied conditions
+   */
+  async setNetworkThrottling(conditions) {
+    this._ensureStarted();
+
+    const preset = typeof conditions === 'string' ? ChromeSeleniumDriver.NETWORK_PRESETS[conditions.toLowerCase()] : null;
+    if (typeof conditions === 'string' && !preset) {
+      throw new InvalidRequestError(`Unknown network preset: ${conditions} (available: ${Object.keys(ChromeSeleniumDriver.NETWORK_PRESETS).join(', ')})`);
+    }
+
+    const applied = {
+      offline: false,
+      latency: 0,
+      downloadThroughput: -1,
+      uploadThroughput: -1,
+      ...(preset || conditions)
+    };
+
+    await this.executeDevToolsCommand('Network.enable');
+    await this.executeDevToolsCommand('Network.emulateNetworkConditions', applied);
+    logger.info(`Network throttling: ${applied.offline ? 'offline' : `${applied.latency}ms latency, ${applied.downloadThroughput} B/s down, ${applied.uploadThroughput} B/s up`}`);
+    return applied;
+  }
+
+  /**
+   * Remove network throttling
+   */
+  async clearNetworkThrottling() {
+    this._ensureStarted();
+
+    await this.executeDevToolsCommand('Network.emulateNetworkConditions', {
+      offline: false,
+      latency: 0,
+      downloadThroughput: -1,
+      uploadThroughput: -1
+    });
+    logger.info('Network throttling removed');
+  }
+
+  /**
+   * Report a fixed position to navigator.geolocation and grant the permission
+   * @param {Object} position
+   * @param {number} position.latitude - -90 to 90
+   * @param {number} position.longitude - -180 to 180
+   * @param {number} [position.accuracy=100] - Accuracy in meters
+   */
+  async setGeolocation({ latitude, longitude, accuracy = 100 } = {}) {
+    this._ensureStarted();
+
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90
+      || typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+      throw new InvalidRequestError(`Invalid geolocation: latitude ${latitude}, longitude ${longitude}`);
+    }
+
+    await this.executeDevToolsCommand('Browser.grantPermissions', { permissions: ['geolocation'] });
+    await this.executeDevToolsCommand('Emulation.setGeolocationOverride', { latitude, longitude, accuracy });
+    logger.info(`Geolocation set to ${latitude}, ${longitude} (accuracy ${accuracy}m)`);
+  }
+
+  /**
+   * Remove the geolocation override (the browser reports its real position again)
+   */
+  async clearGeolocation() {
+    this._ensureStarted();
+
+    await this.executeDevToolsCommand('Emulation.clearGeolocationOverride');
+    logger.info('Geolocation override removed');
+  }
+
+  /**
+   * Cookies of every domain (WebDriver only lists those of the current page)
+   * @private
+   */
+  async _getAllCookies() {
+    const { cookies = [] } = await this.executeDevToolsCommand('Network.getAllCookies');
+    return cookies;
+  }
+
+  /**
+   * Set cookies of any domain without opening their pages
+   * Host-only cookies are set through their URL, so they do not become domain cookies.
+   * @private
+   */
+  async _setAllCookies(cookies) {
+    if (cookies.length > 0) {
+      await this.executeDevToolsCommand('Network.setCookies', {
+        cookies: cookies.map(({ domain, expires, ...cookie }) => ({
+          ...cookie,
+          ...(domain.startsWith('.') ? { domain } : { url: `${cookie.secure ? 'https' : 'http'}://${domain}${cookie.path}` }),
+          ...(expires > 0 ? { expires } : {})
+        }))
+      });
     }
+    return true;
   }
 }
 
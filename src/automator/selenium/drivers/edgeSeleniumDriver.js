@@ -1,4 +1,5 @@
 const BaseSeleniumDriver = require('./baseSeleniumDriver');
+const logger = require('../../../common/utils/logger');
 
 /**
  * Edge-specific Selenium Driver
@@ -55,7 +56,7 @@ class EdgeSeleniumDriver extends BaseSeleniumDriver {
       }
     } catch (error) {
       // Non-critical - log but don't fail
-      this.logger?.warn('Edge performance configuration failed:', error.message);
+      logger.warn('Edge performance configuration failed:', error.message);
     }
   }
 }
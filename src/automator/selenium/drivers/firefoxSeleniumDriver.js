@@ -1,4 +1,5 @@
 const BaseSeleniumDriver = require('./baseSeleniumDriver');
+const logger = require('../../../common/utils/logger');
 
 /**
  * Firefox-specific Selenium Driver
@@ -46,7 +47,7 @@ class FirefoxSeleniumDriver extends BaseSeleniumDriver {
       `);
     } catch (error) {
       // Non-critical - log but don't fail
-      this.logger?.warn('Firefox performance configuration failed:', error.message);
+      logger.warn('Firefox performance configuration failed:', error.message);
     }
   }
 }
@@ -0,0 +1,246 @@
+/**
+ * Browser Options Mapper - Driver options to Chrome, Edge and Firefox options
+ *
+ * Translates the engine-neutral driver options (headless, windowSize, userAgent,
+ * disableImages, disableJavaScript, acceptInsecureCerts, downloads) and the
+ * browser block (chromeSpecific, edgeSpecific, firefoxSpecific) into the
+ * selenium-webdriver Options object of the browser.
+ *
+ * Browser block keys:
+ * - arguments: extra command line arguments
+ * - preferences: user preferences (Chromium) / about:config preferences (Firefox)
+ * - profileDirectory: user data directory (Chromium) / profile to copy (Firefox)
+ * - extensions: .crx files or unpacked directories (Chromium) / .xpi files (Firefox)
+ * - binaryPath: browser executable
+ * - enableLogging: browser logging to stderr
+ * - disableExtensions, disablePlugins, disableBackgroundTimer,
+ *   disableRendererBackgrounding, disableBackgroundNetworking: Chromium switches
+ *
+ * Options that do not apply to the browser are not silently dropped: they are
+ * returned in `unsupported` so the driver can report them.
+ */
+
+const chrome = require('selenium-webdriver/chrome');
+const firefox = require('selenium-webdriver/firefox');
+const edge = require('selenium-webdriver/edge');
+
+const SPECIFIC_OPTION_BLOCKS = {
+  chrome: 'chromeSpecific',
+  edge: 'edgeSpecific',
+  firefox: 'firefoxSpecific'
+};
+
+// Chromium switches enabled by boolean keys of chromeSpecific / edgeSpecific
+const CHROMIUM_SWITCHES = {
+  disableExtensions: ['--disable-extensions'],
+  disablePlugins: ['--disable-plugins'],
+  disableBackgroundTimer: ['--disable-background-timer-throttling'],
+  disableRendererBackgrounding: ['--disable-renderer-backgrounding'],
+  disableBackgroundNetworking: ['--disable-background-networking'],
+  enableLogging: ['--enable-logging=stderr', '--v=1']
+};
+
+// Keys understood by every browser block
+const COMMON_BLOCK_KEYS = ['arguments', 'preferences', 'profileDirectory', 'extensions', 'binaryPath', 'enableLogging'];
+
+// Container-friendly defaults (Chrome only; Edge and Firefox start without them)
+const CHROME_DEFAULT_ARGUMENTS = [
+  '--no-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-web-security',
+  '--allow-running-insecure-content'
+];
+
+const FIREFOX_DOWNLOAD_TYPES = 'application/pdf,application/zip,text/csv,application/xml,application/octet-stream';
+
+/**
+ * Build the selenium-webdriver Options for a browser
+ * @param {Object} driverOptions - BaseSeleniumDriver options (browser must be 'chrome', 'edge' or 'firefox')
+ * @param {Object} [context={}]
+ * @param {string} [context.downloadDirectory] - Absolute download directory (downloads keep the browser default when omitted)
+ * @returns {{browserOptions: chrome.Options|edge.Options|firefox.Options, unsupported: Array<{option: string, reason: string}>}}
+ *   Options for the Builder and the options that were not applied
+ */
+function mapBrowserOptions(driverOptions, context = {}) {
+  const browser = driverOptions.browser.toLowerCase();
+  const unsupported = [];
+
+  // Blocks meant for another browser
+  for (const [blockBrowser, blockName] of Object.entries(SPECIFIC_OPTION_BLOCKS)) {
+    if (blockBrowser !== browser && driverOptions[blockName] && Object.keys(driverOptions[blockName]).length > 0) {
+      unsupported.push({ option: blockName, reason: `only applies to ${blockBrowser}` });
+    }
+  }
+
+  let browserOptions;
+  switch (browser) {
+    case 'chrome':
+      browserOptions = _mapChromiumOptions(new chrome.Options(), driverOptions, driverOptions.chromeSpecific, 'chromeSpecific', context, unsupported);
+      browserOptions.addArguments(...CHROME_DEFAULT_ARGUMENTS);
+      break;
+    case 'edge':
+      browserOptions = _mapChromiumOptions(new edge.Options(), driverOptions, driverOptions.edgeSpecific, 'edgeSpecific', context, unsupported);
+      break;
+    case 'firefox':
+      browserOptions = _mapFirefoxOptions(new firefox.Options(), driverOptions, driverOptions.firefoxSpecific, context, unsupported);
+      break;
+    default:
+      throw new Error(`Unsupported browser: ${driverOptions.browser}`);
+  }
+
+  browserOptions.setAcceptInsecureCerts(Boolean(driverOptions.acceptInsecureCerts));
+
+  return { browserOptions, unsupported };
+}
+
+/**
+ * Chrome and Edge share the Chromium command line and preferences
+ * @private
+ */
+function _mapChromiumOptions(options, driverOptions, specific = {}, blockName, context, unsupported) {
+  const preferences = {};
+
+  if (driverOptions.headless) {
+    options.addArguments('--headless=new');
+  }
+  options.addArguments(`--window-size=${driverOptions.windowSize.width},${driverOptions.windowSize.height}`);
+
+  if (driverOptions.userAgent) {
+    options.addArguments(`--user-agent=${driverOptions.userAgent}`);
+  }
+  if (driverOptions.disableImages) {
+    options.addArguments('--blink-settings=imagesEnabled=false');
+  }
+  if (driverOptions.disableJavaScript) {
+    preferences['profile.managed_default_content_settings.javascript'] = 2;
+  }
+
+  if (context.downloadDirectory) {
+    Object.assign(preferences, {
+      'download.default_directory': context.downloadDirectory,
+      'download.prompt_for_download': false,
+      'download.directory_upgrade': true,
+      'safebrowsing.enabled': true
+    });
+  }
+
+  const extensions = specific.extensions || [];
+  for (const [key, value] of Object.entries(specific)) {
+    if (CHROMIUM_SWITCHES[key]) {
+      // Installed extensions win over the disableExtensions default
+      if (value && !(key === 'disableExtensions' && extensions.length > 0)) {
+        options.addArguments(...CHROMIUM_SWITCHES[key]);
+      }
+    } else if (!COMMON_BLOCK_KEYS.includes(key)) {
+      unsupported.push({ option: `${blockName}.${key}`, reason: 'unknown option' });
+    }
+  }
+
+  if (specific.arguments?.length) {
+    options.addArguments(...specific.arguments);
+  }
+  if (specific.profileDirectory) {
+    options.addArguments(`--user-data-dir=${specific.profileDirectory}`);
+  }
+  if (specific.binaryPath) {
+    options.setBinaryPath(specific.binaryPath);
+  }
+
+  const packed = extensions.filter(extension => extension.endsWith('.crx'));
+  const unpacked = extensions.filter(extension => !extension.endsWith('.crx'));
+  if (packed.length > 0) {
+    options.addExtensions(...packed);
+  }
+  if (unpacked.length > 0) {
+    options.addArguments(`--load-extension=${unpacked.join(',')}`);
+  }
+
+  Object.assign(preferences, specific.preferences);
+  if (Object.keys(preferences).length > 0) {
+    options.setUserPreferences(preferences);
+  }
+
+  return options;
+}
+
+/**
+ * Firefox takes most settings as about:config preferences
+ * @private
+ */
+function _mapFirefoxOptions(options, driverOptions, specific = {}, context, unsupported) {
+  const preferences = {};
+
+  if (driverOptions.headless) {
+    options.addArguments('--headless');
+  }
+  options.addArguments(`--width=${driverOptions.windowSize.width}`, `--height=${driverOptions.windowSize.height}`);
+
+  if (driverOptions.userAgent) {
+    preferences['general.useragent.override'] = driverOptions.userAgent;
+  }
+  if (driverOptions.disableImages) {
+    preferences['permissions.default.image'] = 2;
+  }
+  if (driverOptions.disableJavaScript) {
+    preferences['javascript.enabled'] = false;
+  }
+
+  if (context.downloadDirectory) {
+    Object.assign(preferences, {
+      'browser.download.dir': context.downloadDirectory,
+      'browser.download.folderList': 2,                 // Use custom directory
+      'browser.download.useDownloadDir': true,
+      'browser.helperApps.neverAsk.saveToDisk': FIREFOX_DOWNLOAD_TYPES
+    });
+  }
+
+  for (const key of Object.keys(specific)) {
+    if (key === 'disableExtensions' || COMMON_BLOCK_KEYS.includes(key)) {
+      // disableExtensions: profiles created by geckodriver start without extensions
+      continue;
+    }
+    if (CHROMIUM_SWITCHES[key]) {
+      if (specific[key]) {
+        unsupported.push({ option: `firefoxSpecific.${key}`, reason: 'Chromium only' });
+      }
+    } else {
+      unsupported.push({ option: `firefoxSpecific.${key}`, reason: 'unknown option' });
+    }
+  }
+
+  if (specific.enableLogging) {
+    preferences['devtools.console.stdout.content'] = true;
+  }
+  if (specific.arguments?.length) {
+    options.addArguments(...specific.arguments);
+  }
+  if (specific.profileDirectory) {
+    options.setProfile(specific.profileDirectory);
+  }
+  if (specific.binaryPath) {
+    options.setBinary(specific.binaryPath);
+  }
+  if (specific.extensions?.length) {
+    const invalid = specific.extensions.filter(extension => !extension.endsWith('.xpi'));
+    for (const extension of invalid) {
+      unsupported.push({ option: `firefoxSpecific.extensions: ${extension}`, reason: 'Firefox installs .xpi files only' });
+    }
+    const packed = specific.extensions.filter(extension => extension.endsWith('.xpi'));
+    if (packed.length > 0) {
+      options.addExtensions(...packed);
+    }
+  }
+
+  Object.assign(preferences, specific.preferences);
+  for (const [name, value] of Object.entries(preferences)) {
+    options.setPreference(name, value);
+  }
+
+  return options;
+}
+
+module.exports = {
+  SPECIFIC_OPTION_BLOCKS,
+  mapBrowserOptions
+};
\ No newline at end of file
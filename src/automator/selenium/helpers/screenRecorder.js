@@ -0,0 +1,308 @@
+/**
+ * Screen Recorder - Video recording for Selenium sessions
+ *
+ * WebDriver has no video API, so the recorder takes screenshots at a fixed
+ * frame rate and assembles them when recording stops:
+ * - .mp4 / .webm / .mov / .gif: encoded with ffmpeg (FFMPEG_PATH or `ffmpeg` on PATH)
+ * - .png / .apng, or when ffmpeg is not available: animated PNG, written without
+ *   external tools
+ *
+ * Frames are buffered on disk next to the output file and removed afterwards,
+ * so long recordings do not grow the process memory.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../../common/utils/logger');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const FFMPEG_FORMATS = ['.mp4', '.webm', '.mov', '.mkv', '.gif'];
+const APNG_FORMATS = ['.png', '.apng'];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+class ScreenRecorder {
+  static DEFAULT_FRAME_RATE = 2;
+
+  /**
+   * @param {import('selenium-webdriver').WebDriver} driver - Started WebDriver session
+   * @param {string} outputPath - Target file; the extension picks the format
+   * @param {Object} [options={}]
+   * @param {number} [options.frameRate=2] - Screenshots per second
+   * @param {string} [options.ffmpegPath] - ffmpeg executable (default: FFMPEG_PATH or `ffmpeg`)
+   */
+  constructor(driver, outputPath, options = {}) {
+    this.driver = driver;
+    this.outputPath = outputPath;
+    this.frameRate = options.frameRate || ScreenRecorder.DEFAULT_FRAME_RATE;
+    this.ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+    this.framesPath = path.join(path.dirname(outputPath), `.${path.basename(outputPath)}.frames`);
+    this.frames = [];               // {file, time} in capture order
+    this.recording = false;
+    this.loop = null;
+  }
+
+  /**
+   * Start capturing frames in the background
+   */
+  async start() {
+    if (this.recording) {
+      throw new Error('Recording already in progress');
+    }
+
+    await fs.mkdir(this.framesPath, { recursive: true });
+    this.recording = true;
+    this.loop = this._captureLoop();
+    logger.info(`Screen recording started (${this.frameRate} fps): ${this.outputPath}`);
+  }
+
+  /**
+   * Stop capturing and write the video
+   * @returns {Promise<string>} Path of the written file (.png when ffmpeg was not available)
+   */
+  async stop() {
+    if (!this.recording) {
+      throw new Error('No recording in progress');
+    }
+
+    this.recording = false;
+    await this.loop;
+    const endedAt = Date.now();
+
+    try {
+      if (this.frames.length === 0) {
+        throw new Error('No frames were captured');
+      }
+
+      const extension = path.extname(this.outputPath).toLowerCase();
+      let outputPath = this.outputPath;
+
+      if (!APNG_FORMATS.includes(extension)) {
+        if (!FFMPEG_FORMATS.includes(extension)) {
+          throw new Error(`Unsupported video format: ${extension || '(none)'} (supported: ${[...FFMPEG_FORMATS, ...APNG_FORMATS].join(', ')})`);
+        }
+        try {
+          await this._encodeWithFfmpeg(endedAt);
+          logger.info(`Screen recording saved: ${outputPath} (${this.frames.length} frames)`);
+          return outputPath;
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+          outputPath = this.outputPath.slice(0, -extension.length) + '.png';
+          logger.warn(`ffmpeg not found (${this.ffmpegPath}); saving the recording as animated PNG: ${outputPath}`);
+        }
+      }
+
+      await this._writeApng(outputPath, endedAt);
+      logger.info(`Screen recording saved: ${outputPath} (${this.frames.length} frames)`);
+      return outputPath;
+    } finally {
+      await fs.rm(this.framesPath, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Take screenshots until stopped, keeping the frame rate when a capture is slow
+   * @private
+   */
+  async _captureLoop() {
+    const interval = 1000 / this.frameRate;
+    let next = Date.now();
+
+    while (this.recording) {
+      const time = Date.now();
+      try {
+        const screenshot = await this.driver.takeScreenshot();
+        const file = path.join(this.framesPath, `frame_${String(this.frames.length).padStart(6, '0')}.png`);
+        await fs.writeFile(file, screenshot, 'base64');
+        this.frames.push({ file, time });
+      } catch (error) {
+        // Screenshots fail briefly during navigation or window changes; skip the frame
+        logger.debug(`Screen recording frame skipped: ${error.message.split('\n')[0]}`);
+      }
+
+      next = Math.max(next + interval, Date.now());
+      while (this.recording && Date.now() < next) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(50, next - Date.now())));
+      }
+    }
+  }
+
+  /**
+   * Display time of every frame in milliseconds (until the next frame, or the end)
+   * @private
+   */
+  _getFrameDurations(endedAt) {
+    return this.frames.map((frame, index) => {
+      const until = index + 1 < this.frames.length ? this.frames[index + 1].time : endedAt;
+      return Math.max(1, until - frame.time);
+    });
+  }
+
+  /**
+   * Encode the frames with ffmpeg, keeping their real timing
+   * @private
+   */
+  async _encodeWithFfmpeg(endedAt) {
+    const durations = this._getFrameDurations(endedAt);
+    const listPath = path.join(this.framesPath, 'frames.txt');
+    const lines = this.frames.map((frame, index) =>
+      `file '${frame.file.replace(/'/g, "'\\''")}'\nduration ${(durations[index] / 1000).toFixed(3)}`);
+    // The concat demuxer ignores the duration of the last entry unless it is repeated
+    lines.push(`file '${this.frames[this.frames.length - 1].file.replace(/'/g, "'\\''")}'`);
+    await fs.writeFile(listPath, lines.join('\n'));
+
+    const filters = [`fps=${this.frameRate}`];
+    const args = ['-y', '-loglevel', 'error', '-f', 'concat', '-safe', '0', '-i', listPath];
+    if (path.extname(this.outputPath).toLowerCase() !== '.gif') {
+      // H.264 and VP9 need even dimensions
+      filters.push('pad=ceil(iw/2)*2:ceil(ih/2)*2');
+      args.push('-pix_fmt', 'yuv420p');
+    }
+    args.push('-vf', filters.join(','), this.outputPath);
+
+    await new Promise((resolve, reject) => {
+      execFile(this.ffmpegPath, args, (error, stdout, stderr) => {
+        if (error) {
+          if (error.code !== 'ENOENT') {
+            error.message = `ffmpeg failed: ${stderr.trim() || error.message}`;
+          }
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Write the frames as an animated PNG (APNG)
+   * Frames whose size differs from the first one (window resized) are dropped.
+   * @private
+   */
+  async _writeApng(outputPath, endedAt) {
+    const durations = this._getFrameDurations(endedAt);
+    const first = ScreenRecorder._readPngChunks(await fs.readFile(this.frames[0].file));
+    const header = first.find(chunk => chunk.type === 'IHDR').data;
+
+    const frames = [];
+    for (let index = 0; index < this.frames.length; index++) {
+      const chunks = index === 0 ? first : ScreenRecorder._readPngChunks(await fs.readFile(this.frames[index].file));
+      const frameHeader = chunks.find(chunk => chunk.type === 'IHDR').data;
+      if (!frameHeader.equals(header)) {
+        logger.warn(`Screen recording frame ${index} dropped: size or color format changed`);
+        // Keep the timeline: the previous frame stays on screen longer
+        if (frames.length > 0) {
+          frames[frames.length - 1].duration += durations[index];
+        }
+        continue;
+      }
+      frames.push({ index, duration: durations[index] });
+    }
+
+    const handle = await fs.open(outputPath, 'w');
+    try {
+      const write = (type, data) => handle.write(ScreenRecorder._createChunk(type, data));
+      let sequence = 0;
+
+      await handle.write(PNG_SIGNATURE);
+      await write('IHDR', header);
+
+      const animationControl = Buffer.alloc(8);
+      animationControl.writeUInt32BE(frames.length, 0);
+      animationControl.writeUInt32BE(0, 4);                 // Loop forever
+      await write('acTL', animationControl);
+
+      // Ancillary chunks of the first frame (color profile, gamma...) apply to all frames
+      for (const chunk of first) {
+        if (!['IHDR', 'IDAT', 'IEND', 'acTL', 'fcTL', 'fdAT'].includes(chunk.type)) {
+          await write(chunk.type, chunk.data);
+        }
+      }
+
+      for (const [position, frame] of frames.entries()) {
+        const chunks = frame.index === 0 ? first : ScreenRecorder._readPngChunks(await fs.readFile(this.frames[frame.index].file));
+
+        const frameControl = Buffer.alloc(26);
+        frameControl.writeUInt32BE(sequence++, 0);
+        frameControl.writeUInt32BE(header.readUInt32BE(0), 4);    // Width
+        frameControl.writeUInt32BE(header.readUInt32BE(4), 8);    // Height
+        frameControl.writeUInt32BE(0, 12);                        // x offset
+        frameControl.writeUInt32BE(0, 16);                        // y offset
+        frameControl.writeUInt16BE(Math.min(frame.duration, 65535), 20);  // Delay numerator (ms)
+        frameControl.writeUInt16BE(1000, 22);                     // Delay denominator
+        frameControl.writeUInt8(0, 24);                           // Dispose: none
+        frameControl.writeUInt8(0, 25);                           // Blend: source
+        await write('fcTL', frameControl);
+
+        for (const chunk of chunks.filter(chunk => chunk.type === 'IDAT')) {
+          if (position === 0) {
+            await write('IDAT', chunk.data);
+          } else {
+            const sequenceNumber = Buffer.alloc(4);
+            sequenceNumber.writeUInt32BE(sequence++, 0);
+            await write('fdAT', Buffer.concat([sequenceNumber, chunk.data]));
+          }
+        }
+      }
+
+      await write('IEND', Buffer.alloc(0));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Split a PNG file into chunks
+   * @private
+   */
+  static _readPngChunks(buffer) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      throw new Error('Screenshot is not a PNG image');
+    }
+
+    const chunks = [];
+    let offset = 8;
+    while (offset < buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+      offset += length + 12;
+      if (type === 'IEND') {
+        break;
+      }
+    }
+    return chunks;
+  }
+
+  /**
+   * Build a PNG chunk (length, type, data, CRC)
+   * @private
+   */
+  static _createChunk(type, data) {
+    const chunk = Buffer.alloc(data.length + 12);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+  }
+}
+
+module.exports = ScreenRecorder;
\ No newline at end of file
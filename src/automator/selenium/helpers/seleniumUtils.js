@@ -278,6 +278,74 @@ class SeleniumUtils {
     }
   }
 
+  /**
+   * Wait for DOM to stabilize (no mutations for specified time)
+   * @param {import('selenium-webdriver').WebDriver} driver - The WebDriver instance
+   * @param {Object} [options={}] - Stability options
+   * @param {number} [options.stabilityTimeout=2000] - Time without mutations in milliseconds
+   * @param {number} [options.maxWait=30000] - Maximum time to wait in milliseconds (keep below the script timeout)
+   * @returns {Promise<{success: boolean, stabilityTimeout: number}>} Stability result
+   */
+  static async waitForStableDOM(driver, options = {}) {
+    const stabilityTimeout = options.stabilityTimeout || 2000;
+    const maxWait = options.maxWait || 30000;
+
+    const stable = await driver.executeAsyncScript(function (stabilityTimeout, maxWait, done) {
+      let timer;
+      let maxTimer;
+      const finish = function (result) {
+        clearTimeout(timer);
+        clearTimeout(maxTimer);
+        observer.disconnect();
+        done(result);
+      };
+      const observer = new MutationObserver(function () {
+        clearTimeout(timer);
+        timer = setTimeout(function () { finish(true); }, stabilityTimeout);
+      });
+      observer.observe(document.body || document.documentElement, { childList: true, subtree: true, attributes: true });
+      timer = setTimeout(function () { finish(true); }, stabilityTimeout);
+      maxTimer = setTimeout(function () { finish(false); }, maxWait);
+    }, stabilityTimeout, maxWait);
+
+    if (!stable) {
+      throw new Error(`Timed out after ${maxWait}ms waiting for the DOM to stop changing`);
+    }
+
+    logger.info(`DOM stabilized after waiting ${stabilityTimeout}ms`);
+    return { success: true, stabilityTimeout };
+  }
+
+  /**
+   * Wait until the page stops loading resources
+   * WebDriver has no network events, so this watches the Resource Timing
+   * entries: the network counts as idle once no new entry appeared for `idleTime`.
+   * @param {import('selenium-webdriver').WebDriver} driver - The WebDriver instance
+   * @param {Object} [options={}] - Idle options
+   * @param {number} [options.idleTime=500] - Time without new resources in milliseconds
+   * @param {number} [options.timeout=30000] - Timeout in milliseconds
+   * @returns {Promise<{success: boolean, resources: number}>} Idle result with the number of loaded resources
+   */
+  static async waitForNetworkIdle(driver, options = {}) {
+    const idleTime = options.idleTime || 500;
+    const timeout = options.timeout || 30000;
+
+    let lastCount = -1;
+    let lastChange = Date.now();
+
+    await driver.wait(async () => {
+      const count = await driver.executeScript('return performance.getEntriesByType("resource").length');
+      if (count !== lastCount) {
+        lastCount = count;
+        lastChange = Date.now();
+        return false;
+      }
+      return Date.now() - lastChange >= idleTime;
+    }, timeout, `Timed out after ${timeout}ms waiting for network idle`, 100);
+
+    return { success: true, resources: lastCount };
+  }
+
   /**
    * Take screenshot with simple file path handling
    * @param {import('selenium-webdriver').WebDriver} driver - The WebDriver instance
@@ -0,0 +1,269 @@
+/**
+ * Automation Errors - Typed errors shared by the drivers and the Lambda handler
+ *
+ * Every error carries:
+ * - code: stable machine-readable code (e.g. 'SELECTOR_NOT_FOUND')
+ * - statusCode: HTTP status used by the Lambda handler
+ * - retryable: whether running the same request again may succeed
+ *   (timeouts and connection problems yes, missing selectors and bad input no)
+ *
+ * classifyError() turns raw Playwright / Selenium / Node errors into these
+ * types based on the failed operation and well-known error messages.
+ *
+ * Usage:
+ *   const { classifyError } = require('./automationErrors');
+ *   throw classifyError(error, { operation: 'element', message: `Failed to click ${selector}: ${error.message}` });
+ */
+
+class AutomationError extends Error {
+    static CODE = 'AUTOMATION_ERROR';
+    static STATUS_CODE = 500;
+    static RETRYABLE = false;
+
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error options
+     * @param {Error} [options.cause] - Original error
+     * @param {string} [options.code] - Override the class error code
+     * @param {number} [options.statusCode] - Override the class HTTP status code
+     * @param {boolean} [options.retryable] - Override the class retryable flag
+     * @param {*} [options.details] - Extra machine-readable details
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = options.code || this.constructor.CODE;
+        this.statusCode = options.statusCode || this.constructor.STATUS_CODE;
+        this.retryable = options.retryable ?? this.constructor.RETRYABLE;
+        if (options.details !== undefined) {
+            this.details = options.details;
+        }
+    }
+}
+
+// Request errors (the caller has to change the request)
+
+class RequestError extends AutomationError {
+    static CODE = 'INVALID_REQUEST';
+    static STATUS_CODE = 400;
+}
+
+class InvalidRequestError extends RequestError {
+    static CODE = 'INVALID_REQUEST';
+    static STATUS_CODE = 400;
+}
+
+class ValidationError extends RequestError {
+    static CODE = 'VALIDATION_ERROR';
+    static STATUS_CODE = 400;
+}
+
+class MethodNotAllowedError extends RequestError {
+    static CODE = 'METHOD_NOT_ALLOWED';
+    static STATUS_CODE = 405;
+}
+
+class JobNotFoundError extends RequestError {
+    static CODE = 'JOB_NOT_FOUND';
+    static STATUS_CODE = 404;
+}
+
+// Browser errors
+
+class BrowserLaunchFailedError extends AutomationError {
+    static CODE = 'BROWSER_LAUNCH_FAILED';
+    static STATUS_CODE = 500;
+    static RETRYABLE = true;
+}
+
+// Navigation errors
+
+class NavigationFailedError extends AutomationError {
+    static CODE = 'NAVIGATION_FAILED';
+    static STATUS_CODE = 502;
+    static RETRYABLE = true;
+}
+
+class NavigationTimeoutError extends AutomationError {
+    static CODE = 'NAVIGATION_TIMEOUT';
+    static STATUS_CODE = 504;
+    static RETRYABLE = true;
+}
+
+class DnsFailureError extends AutomationError {
+    static CODE = 'DNS_FAILURE';
+    static STATUS_CODE = 502;
+}
+
+class ConnectionFailedError extends AutomationError {
+    static CODE = 'CONNECTION_FAILED';
+    static STATUS_CODE = 502;
+    static RETRYABLE = true;
+}
+
+class HttpErrorStatusError extends AutomationError {
+    static CODE = 'HTTP_ERROR_STATUS';
+    static STATUS_CODE = 502;
+
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error options (see AutomationError)
+     * @param {number} [options.status] - HTTP status of the page response (or details.status)
+     */
+    constructor(message, options = {}) {
+        const status = options.status ?? options.details?.status;
+        // Server errors and rate limiting may go away, client errors (404, 403, ...) will not
+        super(message, {
+            retryable: status >= 500 || status === 429,
+            ...options,
+            details: { ...options.details, status }
+        });
+        this.status = status;
+    }
+}
+
+// Page interaction errors
+
+class SelectorNotFoundError extends AutomationError {
+    static CODE = 'SELECTOR_NOT_FOUND';
+    static STATUS_CODE = 404;
+}
+
+class ScriptError extends AutomationError {
+    static CODE = 'SCRIPT_ERROR';
+    static STATUS_CODE = 500;
+}
+
+class AssertionFailedError extends AutomationError {
+    static CODE = 'ASSERTION_FAILED';
+    static STATUS_CODE = 422;
+}
+
+class StepFailedError extends AutomationError {
+    static CODE = 'STEP_FAILED';
+    static STATUS_CODE = 422;
+}
+
+// Execution errors
+
+class DeadlineExceededError extends AutomationError {
+    static CODE = 'DEADLINE_EXCEEDED';
+    static STATUS_CODE = 504;
+    static RETRYABLE = true;
+}
+
+// Well-known messages from Chromium, Firefox, WebKit, Selenium and Node
+const DNS_FAILURE_PATTERN = /ERR_NAME_NOT_RESOLVED|NS_ERROR_UNKNOWN_HOST|ENOTFOUND|EAI_AGAIN|Could not resolve host|getaddrinfo/i;
+const CONNECTION_FAILURE_PATTERN = /ERR_CONNECTION_(REFUSED|RESET|CLOSED|TIMED_OUT)|ERR_ADDRESS_UNREACHABLE|ERR_INTERNET_DISCONNECTED|NS_ERROR_CONNECTION_REFUSED|NS_ERROR_NET_RESET|ECONNREFUSED|ECONNRESET|Could not connect to server/i;
+const TIMEOUT_PATTERN = /Timeout \d+ms exceeded|timed? ?out|TimeoutError/i;
+const ELEMENT_NOT_FOUND_PATTERN = /NoSuchElement|no such element|Element not found|Unable to locate element/i;
+
+/**
+ * Convert any error into a typed AutomationError
+ * @param {Error} error - Original error
+ * @param {Object} [options={}] - Classification options
+ * @param {string} [options.operation] - 'launch', 'navigation', 'element' or 'script'
+ * @param {string} [options.message] - Message of the returned error (defaults to the original message)
+ * @returns {AutomationError} Typed error (the original is kept as `cause`)
+ */
+function classifyError(error, options = {}) {
+    const message = options.message || error?.message || String(error);
+
+    if (error instanceof AutomationError) {
+        if (!options.message || options.message === error.message) {
+            return error;
+        }
+        // Same classification with the caller's context in the message
+        return new error.constructor(message, {
+            cause: error,
+            code: error.code,
+            statusCode: error.statusCode,
+            retryable: error.retryable,
+            details: error.details
+        });
+    }
+
+    const original = error?.message || String(error);
+    const isTimeout = error?.name === 'TimeoutError' || TIMEOUT_PATTERN.test(original);
+    const errorOptions = { cause: error instanceof Error ? error : undefined };
+
+    switch (options.operation) {
+        case 'launch':
+            return new BrowserLaunchFailedError(message, errorOptions);
+
+        case 'navigation':
+            if (DNS_FAILURE_PATTERN.test(original)) {
+                return new DnsFailureError(message, errorOptions);
+            }
+            if (CONNECTION_FAILURE_PATTERN.test(original)) {
+                return new ConnectionFailedError(message, errorOptions);
+            }
+            if (isTimeout) {
+                return new NavigationTimeoutError(message, errorOptions);
+            }
+            return new NavigationFailedError(message, errorOptions);
+
+        case 'element':
+            if (isTimeout || error?.name === 'NoSuchElementError' || ELEMENT_NOT_FOUND_PATTERN.test(original)) {
+                return new SelectorNotFoundError(message, errorOptions);
+            }
+            return new AutomationError(message, errorOptions);
+
+        case 'script':
+            return new ScriptError(message, errorOptions);
+
+        default:
+            if (DNS_FAILURE_PATTERN.test(original)) {
+                return new DnsFailureError(message, errorOptions);
+            }
+            if (CONNECTION_FAILURE_PATTERN.test(original)) {
+                return new ConnectionFailedError(message, errorOptions);
+            }
+            return new AutomationError(message, {
+                ...errorOptions,
+                code: typeof error?.code === 'string' ? error.code : undefined,
+                retryable: isTimeout
+            });
+    }
+}
+
+/**
+ * Serialize an error for a JSON response
+ * @param {Error} error - Any error
+ * @returns {{message: string, type: string, code: string, retryable: boolean}} Error summary
+ */
+function serializeError(error) {
+    const classified = classifyError(error);
+    const serialized = {
+        message: classified.message,
+        type: classified.name,
+        code: classified.code,
+        retryable: classified.retryable
+    };
+    if (classified.details !== undefined) {
+        serialized.details = classified.details;
+    }
+    return serialized;
+}
+
+module.exports = {
+    AutomationError,
+    RequestError,
+    InvalidRequestError,
+    ValidationError,
+    MethodNotAllowedError,
+    JobNotFoundError,
+    BrowserLaunchFailedError,
+    NavigationFailedError,
+    NavigationTimeoutError,
+    DnsFailureError,
+    ConnectionFailedError,
+    HttpErrorStatusError,
+    SelectorNotFoundError,
+    ScriptError,
+    AssertionFailedError,
+    StepFailedError,
+    DeadlineExceededError,
+    classifyError,
+    serializeError
+};
\ No newline at end of file
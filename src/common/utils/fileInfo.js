@@ -0,0 +1,87 @@
+/**
+ * File Info - Size, MIME type and checksum of files handled by the drivers
+ *
+ * Used for uploads (MIME type of in-memory files) and downloads (a free name
+ * in the download directory, and details of the saved file so callers can
+ * verify what they received).
+ *
+ * Usage:
+ *   const { getFileInfo } = require('./fileInfo');
+ *   await getFileInfo('/tmp/downloads/report.pdf');
+ *   // { path: '/tmp/downloads/report.pdf', size: 48213, mimeType: 'application/pdf', sha256: '9f86d08...' }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Common document types; anything else is application/octet-stream
+const MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.csv': 'text/csv',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.html': 'text/html',
+    '.zip': 'application/zip',
+    '.gz': 'application/gzip',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Guess a MIME type from a file name
+ * @param {string} name - File name
+ * @returns {string} MIME type
+ */
+function getMimeType(name) {
+    return MIME_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Path for a new file that does not overwrite an existing one
+ * Taken names get a counter, like browsers do: report.pdf, report (1).pdf...
+ * @param {string} directory - Target directory
+ * @param {string} name - Wanted file name (directories are stripped)
+ * @returns {Promise<string>} Free path in the directory
+ */
+async function getAvailablePath(directory, name) {
+    const { name: base, ext } = path.parse(path.basename(name) || 'download');
+    let candidate = path.join(directory, `${base}${ext}`);
+
+    for (let counter = 1; await fs.promises.access(candidate).then(() => true, () => false); counter++) {
+        candidate = path.join(directory, `${base} (${counter})${ext}`);
+    }
+    return candidate;
+}
+
+/**
+ * Describe a file on disk (the content is streamed, so large files are fine)
+ * @param {string} filePath - File to describe
+ * @returns {Promise<{path: string, size: number, mimeType: string, sha256: string}>} File details
+ */
+async function getFileInfo(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+
+    return {
+        path: filePath,
+        size: (await fs.promises.stat(filePath)).size,
+        mimeType: getMimeType(filePath),
+        sha256: hash.digest('hex')
+    };
+}
+
+module.exports = {
+    getMimeType,
+    getAvailablePath,
+    getFileInfo
+};
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Selector Chain - Frames and shadow roots in one selector string
+ *
+ * Both drivers accept chained selectors for content that the top-level
+ * document cannot reach:
+ * - `A >> B`: B inside the iframe (or frame) matched by A
+ * - `A >>> B`: B inside the open shadow root of the element matched by A
+ *
+ *   'iframe#pay >> input[name=card]'
+ *   'iframe.outer >> iframe.inner >> #total'
+ *   'checkout-form >>> button.submit'
+ *   'iframe#pay >> card-field >>> input'
+ *
+ * Each part is an ordinary selector (CSS, or XPath outside shadow roots).
+ * Separators need whitespace on both sides and are ignored inside quotes,
+ * brackets and parentheses, so attribute values may contain '>>'.
+ *
+ * Usage:
+ *   const { parseSelectorChain } = require('./selectorChain');
+ *   parseSelectorChain('iframe#pay >> card-field >>> input');
+ *   // [['iframe#pay'], ['card-field', 'input']]
+ */
+
+const SEPARATOR = /\s+(>>>|>>)\s+/y;
+
+/**
+ * Check whether a selector uses frame or shadow separators
+ * @param {string} selector - Selector to check
+ * @returns {boolean} True for chained selectors
+ */
+function isSelectorChain(selector) {
+    return parseSelectorChain(selector).flat().length > 1;
+}
+
+/**
+ * Split a selector into frame segments, each a list of shadow-root parts
+ * Every segment but the last selects a frame; the last one selects the target.
+ * @param {string} selector - Selector, possibly chained
+ * @returns {string[][]} Frame segments of shadow parts
+ */
+function parseSelectorChain(selector) {
+    const segments = [[]];
+    let part = '';
+    let quote = null;
+    let depth = 0;
+
+    for (let index = 0; index < selector.length; index++) {
+        const char = selector[index];
+
+        if (quote) {
+            quote = char === quote && selector[index - 1] !== '\\' ? null : quote;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '[' || char === '(') {
+            depth++;
+        } else if ((char === ']' || char === ')') && depth > 0) {
+            depth--;
+        } else if (depth === 0 && /\s/.test(char)) {
+            SEPARATOR.lastIndex = index;
+            const separator = SEPARATOR.exec(selector);
+            if (separator && part.trim()) {
+                segments[segments.length - 1].push(part.trim());
+                if (separator[1] === '>>') {
+                    segments.push([]);
+                }
+                part = '';
+                index = SEPARATOR.lastIndex - 1;
+                continue;
+            }
+        }
+
+        part += char;
+    }
+
+    segments[segments.length - 1].push(part.trim());
+    return segments;
+}
+
+module.exports = {
+    isSelectorChain,
+    parseSelectorChain
+};
\ No newline at end of file
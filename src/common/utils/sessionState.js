@@ -0,0 +1,243 @@
+/**
+ * Session State - Engine-neutral cookies and web storage on disk
+ *
+ * Both drivers save and restore authenticated sessions in one format, so a
+ * state saved by Playwright can be loaded by Selenium and the other way round:
+ *
+ *   {
+ *     "format": "web-automation-session",
+ *     "version": 1,
+ *     "savedAt": "2025-01-01T00:00:00.000Z",
+ *     "cookies": [{ "name", "value", "domain", "path", "expires", "httpOnly", "secure", "sameSite" }],
+ *     "origins": [{ "origin": "https://app.example.com",
+ *                   "localStorage": [{ "name", "value" }], "sessionStorage": [{ "name", "value" }] }]
+ *   }
+ *
+ * Cookies and localStorage follow Playwright's storageState layout (`expires`
+ * in seconds since the epoch, -1 for session cookies), so Playwright state
+ * files load as well.
+ *
+ * The state holds credentials. With a key (option or SESSION_STATE_KEY) it is
+ * encrypted with AES-256-GCM, using a scrypt-derived key and a random salt
+ * per save; files are written readable by the owner only.
+ *
+ * Usage:
+ *   const { writeSessionState, readSessionState } = require('./sessionState');
+ *   await writeSessionState('./state.json', state, { encryptionKey: 'secret' });
+ *   const restored = await readSessionState('./state.json', { encryptionKey: 'secret' });
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { InvalidRequestError } = require('./automationErrors');
+
+const SESSION_STATE_FORMAT = 'web-automation-session';
+const SESSION_STATE_VERSION = 1;
+const SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Encryption key from the options, falling back to SESSION_STATE_KEY
+ * Pass `encryptionKey: null` to write plain state even when the variable is set.
+ * @param {Object} [options={}]
+ * @param {string|null} [options.encryptionKey] - Passphrase
+ * @returns {string|null} Passphrase, or null for plain state
+ */
+function resolveEncryptionKey(options = {}) {
+    const key = options.encryptionKey !== undefined ? options.encryptionKey : process.env.SESSION_STATE_KEY;
+    return key || null;
+}
+
+/**
+ * Check whether a parsed value is an encrypted session state
+ * @param {*} value - Parsed JSON
+ * @returns {boolean} True for encrypted state
+ */
+function isEncryptedSessionState(value) {
+    return Boolean(value && typeof value === 'object' && value.encryption && typeof value.data === 'string');
+}
+
+/**
+ * Encrypt a session state
+ * @param {Object} state - Session state
+ * @param {string} encryptionKey - Passphrase
+ * @returns {Object} Encrypted state (JSON-serializable)
+ */
+function encryptSessionState(state, encryptionKey) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, crypto.scryptSync(encryptionKey, salt, 32), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(state), 'utf8'), cipher.final()]);
+
+    return {
+        format: SESSION_STATE_FORMAT,
+        version: SESSION_STATE_VERSION,
+        encryption: {
+            algorithm: CIPHER,
+            kdf: 'scrypt',
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64')
+        },
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * Decrypt a session state
+ * @param {Object} encrypted - Encrypted state (see encryptSessionState)
+ * @param {string} encryptionKey - Passphrase
+ * @returns {Object} Session state (not normalized)
+ * @throws {InvalidRequestError} When the key is wrong or the data was modified
+ */
+function decryptSessionState(encrypted, encryptionKey) {
+    const { algorithm, salt, iv, tag } = encrypted.encryption;
+    if (algorithm !== CIPHER) {
+        throw new InvalidRequestError(`Unsupported session state encryption: ${algorithm}`);
+    }
+
+    try {
+        const decipher = crypto.createDecipheriv(CIPHER, crypto.scryptSync(encryptionKey, Buffer.from(salt, 'base64'), 32), Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+        throw new InvalidRequestError('Could not decrypt session state (wrong key or modified data)', { cause: error });
+    }
+}
+
+/**
+ * Check a session state and fill in defaults, decrypting it when needed
+ * Expired cookies are dropped.
+ * @param {Object} value - Plain or encrypted session state (or a Playwright storageState)
+ * @param {Object} [options={}]
+ * @param {string|null} [options.encryptionKey] - Passphrase (default: SESSION_STATE_KEY)
+ * @returns {{format: string, version: number, savedAt: string|null, cookies: Object[], origins: Object[]}} Session state
+ * @throws {InvalidRequestError} When the state is malformed, or encrypted without a usable key
+ */
+function normalizeSessionState(value, options = {}) {
+    let state = value;
+    if (isEncryptedSessionState(state)) {
+        const encryptionKey = resolveEncryptionKey(options);
+        if (!encryptionKey) {
+            throw new InvalidRequestError('Session state is encrypted: pass encryptionKey or set SESSION_STATE_KEY');
+        }
+        state = decryptSessionState(state, encryptionKey);
+    }
+
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        throw new InvalidRequestError('Session state must be an object');
+    }
+    if (state.version > SESSION_STATE_VERSION) {
+        throw new InvalidRequestError(`Unsupported session state version: ${state.version} (supported: ${SESSION_STATE_VERSION})`);
+    }
+    if (state.cookies !== undefined && !Array.isArray(state.cookies)) {
+        throw new InvalidRequestError('Session state cookies must be an array');
+    }
+    if (state.origins !== undefined && !Array.isArray(state.origins)) {
+        throw new InvalidRequestError('Session state origins must be an array');
+    }
+
+    const now = Date.now() / 1000;
+    const cookies = (state.cookies || []).map((cookie, index) => {
+        if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string' || typeof cookie.domain !== 'string') {
+            throw new InvalidRequestError(`Session state cookie ${index} needs a name, value and domain`);
+        }
+        return {
+            name: cookie.name,
+            value: cookie.value,
+            domain: cookie.domain,
+            path: cookie.path || '/',
+            expires: typeof cookie.expires === 'number' ? cookie.expires : -1,
+            httpOnly: Boolean(cookie.httpOnly),
+            secure: Boolean(cookie.secure),
+            sameSite: SAME_SITE_VALUES.includes(cookie.sameSite) ? cookie.sameSite : 'Lax'
+        };
+    }).filter(cookie => cookie.expires === -1 || cookie.expires > now);
+
+    const origins = (state.origins || []).map((entry, index) => {
+        let origin;
+        try {
+            origin = new URL(entry.origin).origin;
+        } catch (error) {
+            throw new InvalidRequestError(`Session state origin ${index} is not a valid origin: ${entry?.origin}`);
+        }
+        const items = (list = []) => list.map(item => ({ name: String(item.name), value: String(item.value) }));
+        return {
+            origin: origin,
+            localStorage: items(entry.localStorage),
+            sessionStorage: items(entry.sessionStorage)
+        };
+    });
+
+    return {
+        format: SESSION_STATE_FORMAT,
+        version: SESSION_STATE_VERSION,
+        savedAt: state.savedAt || null,
+        cookies: cookies,
+        origins: origins
+    };
+}
+
+/**
+ * Session state as it is stored or returned: encrypted when a key is available
+ * @param {Object} state - Session state
+ * @param {Object} [options={}]
+ * @param {string|null} [options.encryptionKey] - Passphrase (default: SESSION_STATE_KEY)
+ * @returns {Object} Encrypted state, or the state itself
+ */
+function protectSessionState(state, options = {}) {
+    const encryptionKey = resolveEncryptionKey(options);
+    return encryptionKey ? encryptSessionState(state, encryptionKey) : state;
+}
+
+/**
+ * Write a session state file (encrypted when a key is available)
+ * @param {string} filePath - Target file
+ * @param {Object} state - Session state
+ * @param {Object} [options={}]
+ * @param {string|null} [options.encryptionKey] - Passphrase (default: SESSION_STATE_KEY)
+ * @returns {Promise<{path: string, encrypted: boolean}>} Written file
+ */
+async function writeSessionState(filePath, state, options = {}) {
+    const content = protectSessionState(state, options);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(content, null, 2), { mode: 0o600 });
+    await fs.chmod(filePath, 0o600);            // Also for files that already existed
+
+    return { path: filePath, encrypted: content !== state };
+}
+
+/**
+ * Read a session state file
+ * @param {string} filePath - Session state file
+ * @param {Object} [options={}]
+ * @param {string|null} [options.encryptionKey] - Passphrase (default: SESSION_STATE_KEY)
+ * @returns {Promise<Object>} Normalized session state
+ * @throws {InvalidRequestError} When the file is not a (decryptable) session state
+ */
+async function readSessionState(filePath, options = {}) {
+    const content = await fs.readFile(filePath, 'utf8');
+
+    let value;
+    try {
+        value = JSON.parse(content);
+    } catch (error) {
+        throw new InvalidRequestError(`Session state file is not valid JSON: ${filePath}`, { cause: error });
+    }
+    return normalizeSessionState(value, options);
+}
+
+module.exports = {
+    SESSION_STATE_FORMAT,
+    SESSION_STATE_VERSION,
+    isEncryptedSessionState,
+    encryptSessionState,
+    decryptSessionState,
+    normalizeSessionState,
+    protectSessionState,
+    writeSessionState,
+    readSessionState
+};
\ No newline at end of file
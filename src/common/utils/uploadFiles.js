@@ -0,0 +1,74 @@
+/**
+ * Upload Files - Files to set on <input type=file>, from disk or memory
+ *
+ * uploadFile() and PlaywrightUtils.fillForm() accept, alone or in an array:
+ * - a file path (relative paths resolve against the working directory)
+ * - a Buffer (named upload-1, upload-2...; use the object form to name it)
+ * - {name, buffer, mimeType}: in-memory file (mimeType guessed from the name when omitted)
+ *
+ * An empty array clears the input.
+ *
+ * Usage:
+ *   const { normalizeUploadFiles } = require('./uploadFiles');
+ *   await normalizeUploadFiles(['./invoice.pdf', { name: 'notes.txt', buffer: Buffer.from('hi') }]);
+ *   // [{ path: '/abs/invoice.pdf', name: 'invoice.pdf' }, { name: 'notes.txt', mimeType: 'text/plain', buffer: <Buffer> }]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { InvalidRequestError } = require('./automationErrors');
+const { getMimeType } = require('./fileInfo');
+
+/**
+ * Check the files of an upload and bring them to one shape
+ * @param {string|Buffer|Object|Array<string|Buffer|Object>} files - Paths, Buffers or {name, buffer, mimeType} objects
+ * @returns {Promise<Array<{path: string, name: string}|{name: string, mimeType: string, buffer: Buffer}>>} Files on disk and in memory
+ * @throws {InvalidRequestError} When a file does not exist or a value is not a file
+ */
+async function normalizeUploadFiles(files) {
+    const list = Array.isArray(files) ? files : [files];
+
+    return Promise.all(list.map(async (file, index) => {
+        if (typeof file === 'string') {
+            const filePath = path.resolve(file);
+            const stats = await fs.stat(filePath).catch(() => null);
+            if (!stats?.isFile()) {
+                throw new InvalidRequestError(`Upload file not found: ${filePath}`);
+            }
+            return { path: filePath, name: path.basename(filePath) };
+        }
+
+        if (Buffer.isBuffer(file)) {
+            return { name: `upload-${index + 1}`, mimeType: 'application/octet-stream', buffer: file };
+        }
+
+        if (file && typeof file === 'object' && typeof file.name === 'string' && file.name && file.buffer !== undefined) {
+            if (path.basename(file.name) !== file.name) {
+                throw new InvalidRequestError(`Upload file name must not contain a directory: ${file.name}`);
+            }
+            return {
+                name: file.name,
+                mimeType: file.mimeType || getMimeType(file.name),
+                buffer: Buffer.isBuffer(file.buffer) ? file.buffer : Buffer.from(file.buffer)
+            };
+        }
+
+        throw new InvalidRequestError(`Upload file ${index + 1} must be a path, a Buffer or {name, buffer}`);
+    }));
+}
+
+/**
+ * Check whether a value looks like an in-memory upload (Buffer or {name, buffer}), alone or in an array
+ * @param {*} value - Form field value
+ * @returns {boolean} True for in-memory files
+ */
+function isUploadPayload(value) {
+    const list = Array.isArray(value) ? value : [value];
+    return list.length > 0 && list.every(item => Buffer.isBuffer(item)
+        || Boolean(item && typeof item === 'object' && typeof item.name === 'string' && item.buffer !== undefined));
+}
+
+module.exports = {
+    isUploadPayload,
+    normalizeUploadFiles
+};
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Wait Strategy - What navigateTo waits for before a page counts as ready
+ *
+ * A wait strategy combines any of these conditions, checked in this order
+ * within one shared timeout:
+ * - loadState: 'domcontentloaded' (default), 'load' or 'networkidle'
+ * - selector: an element appearing (state 'attached' or 'visible')
+ * - predicate: a JavaScript expression becoming truthy (e.g. 'window.__APP_READY__')
+ * - domStable: no DOM mutations for a quiet period (true or milliseconds)
+ *
+ * Single-page apps often fire their load events before any content is
+ * rendered; a selector, predicate or domStable condition covers that gap.
+ *
+ * Usage:
+ *   const { resolveWaitStrategy } = require('./waitStrategy');
+ *   const strategy = resolveWaitStrategy({ selector: '#results li' }, driverOptions.waitFor, 30000);
+ */
+
+const { InvalidRequestError } = require('./automationErrors');
+
+const LOAD_STATES = ['domcontentloaded', 'load', 'networkidle'];
+const SELECTOR_STATES = ['attached', 'visible'];
+const DEFAULT_STABILITY_TIMEOUT = 500;   // Quiet period for `domStable: true`
+
+/**
+ * Merge a per-call wait strategy over the configured one and check it
+ * @param {Object} [waitFor] - Per-call strategy ({loadState, selector, state, predicate, domStable, timeout})
+ * @param {Object} [defaults] - Configured strategy (driver option `waitFor`)
+ * @param {number} [defaultTimeout=30000] - Timeout when neither strategy sets one
+ * @returns {{loadState: string, selector: string|null, state: string, predicate: string|null, domStable: number|null, timeout: number}} Resolved strategy
+ * @throws {InvalidRequestError} When a condition is not supported
+ */
+function resolveWaitStrategy(waitFor, defaults, defaultTimeout = 30000) {
+    const merged = { ...defaults, ...waitFor };
+
+    const strategy = {
+        loadState: merged.loadState || 'domcontentloaded',
+        selector: merged.selector || null,
+        state: merged.state || 'visible',
+        predicate: merged.predicate || null,
+        domStable: null,
+        timeout: merged.timeout || defaultTimeout
+    };
+
+    if (!LOAD_STATES.includes(strategy.loadState)) {
+        throw new InvalidRequestError(`Unknown load state: ${strategy.loadState} (supported: ${LOAD_STATES.join(', ')})`);
+    }
+    if (!SELECTOR_STATES.includes(strategy.state)) {
+        throw new InvalidRequestError(`Unknown selector state: ${strategy.state} (supported: ${SELECTOR_STATES.join(', ')})`);
+    }
+
+    if (merged.domStable === true) {
+        strategy.domStable = DEFAULT_STABILITY_TIMEOUT;
+    } else if (typeof merged.domStable === 'number' && merged.domStable > 0) {
+        strategy.domStable = merged.domStable;
+    }
+
+    return strategy;
+}
+
+module.exports = {
+    LOAD_STATES,
+    SELECTOR_STATES,
+    resolveWaitStrategy
+};
\ No newline at end of file
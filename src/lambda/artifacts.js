@@ -0,0 +1,164 @@
+/**
+ * Artifact Collector - Screenshots, PDFs and downloads returned by the Lambda handler
+ *
+ * Captures the artifacts requested by the event (full-page or element
+ * screenshots, PDF renders) through the driver, which saves them under the
+ * output directory (/tmp/automation-output in Lambda). A download artifact
+ * clicks its selector and waits for the file the page sends (saved in
+ * /tmp/automation-downloads); its record adds the file name and SHA-256
+ * checksum. Each artifact is then
+ * delivered either inline (base64, file removed) or as a file reference:
+ * - 'inline': always inline; an artifact that would take the response over
+ *   maxInlineBytes fails instead (its file is removed)
+ * - 'file': always a file reference
+ * - 'auto' (default): inline while the response stays under maxInlineBytes,
+ *   file references after that
+ *
+ * A failed capture is recorded on the artifact and never fails the target.
+ */
+
+const fs = require('fs').promises;
+const logger = require('../common/utils/logger');
+const { getMimeType } = require('../common/utils/fileInfo');
+
+const ARTIFACT_TYPES = ['screenshot', 'pdf', 'download'];
+const DELIVERY_MODES = ['auto', 'inline', 'file'];
+
+class ArtifactCollector {
+    // Constants
+    static DEFAULT_MAX_INLINE_BYTES = 2 * 1024 * 1024;  // Raw bytes; base64 adds a third (Lambda responses max out at 6 MB)
+
+    /**
+     * @param {Object} [options={}] - Collector options
+     * @param {string} [options.delivery='auto'] - 'auto', 'inline' or 'file'
+     * @param {number} [options.maxInlineBytes] - Raw bytes that may be inlined per response
+     * @param {boolean} [options.captureOnError=false] - Capture a full-page screenshot when a target fails
+     */
+    constructor(options = {}) {
+        this.delivery = options.delivery || 'auto';
+        this.maxInlineBytes = options.maxInlineBytes || ArtifactCollector.DEFAULT_MAX_INLINE_BYTES;
+        this.captureOnError = options.captureOnError === true;
+        this.inlineBytes = 0;   // Shared by every target of a batch
+    }
+
+    /**
+     * Capture a list of artifacts
+     * @param {PlaywrightDriver} driver - Started driver
+     * @param {Array<Object>} specs - Artifact definitions ({type, name, selector, fullPage, format, landscape, printBackground, timeout})
+     * @returns {Promise<Array<Object>>} Artifact records, in request order
+     */
+    async captureAll(driver, specs) {
+        const artifacts = [];
+        for (let index = 0; index < specs.length; index++) {
+            artifacts.push(await this.capture(driver, specs[index], index));
+        }
+        return artifacts;
+    }
+
+    /**
+     * Capture one artifact
+     * @param {PlaywrightDriver} driver - Started driver
+     * @param {Object} spec - Artifact definition
+     * @param {number} index - Position in the request (used for default names)
+     * @returns {Promise<Object>} Artifact record ({name, type, contentType, bytes, delivery, data|path}, plus {filename, sha256} for downloads, or {name, type, error})
+     */
+    async capture(driver, spec, index) {
+        const name = spec.name || `${spec.type}-${index + 1}`;
+
+        try {
+            let filePath;
+            if (spec.type === 'screenshot') {
+                filePath = await driver.takeScreenshot(`${name}.png`, true, null, null, {
+                    fullPage: spec.fullPage,
+                    selector: spec.selector
+                });
+            } else if (spec.type === 'pdf') {
+                filePath = await driver.savePdf(`${name}.pdf`, true, null, null, {
+                    format: spec.format,
+                    landscape: spec.landscape,
+                    printBackground: spec.printBackground
+                });
+            } else if (spec.type === 'download') {
+                if (!spec.selector) {
+                    throw new Error('Download artifacts need the selector of the element that starts the download');
+                }
+                const download = await driver.waitForDownload(spec.selector, { timeout: spec.timeout });
+                return await this._deliver(name, spec.type, download.path, {
+                    contentType: download.mimeType,
+                    filename: download.suggestedFilename,
+                    sha256: download.sha256
+                });
+            } else {
+                throw new Error(`Unknown artifact type: ${spec.type} (supported: ${ARTIFACT_TYPES.join(', ')})`);
+            }
+
+            return await this._deliver(name, spec.type, filePath);
+
+        } catch (error) {
+            logger.warn(`Artifact ${name} failed: ${error.message}`);
+            return {
+                name: name,
+                type: spec.type,
+                error: { message: error.message, type: error.constructor.name }
+            };
+        }
+    }
+
+    /**
+     * Capture evidence for a failed target (full-page screenshot), when enabled
+     * @param {PlaywrightDriver} driver - Driver the target failed on
+     * @returns {Promise<Array<Object>|null>} Artifact records, or null when disabled or the browser is gone
+     */
+    async captureErrorEvidence(driver) {
+        if (!this.captureOnError || !driver?.getIsStarted()) {
+            return null;
+        }
+
+        logger.info('Capturing error screenshot...');
+        return [await this.capture(driver, { type: 'screenshot', name: 'error', fullPage: true }, 0)];
+    }
+
+    /**
+     * Turn a saved file into an inline or file-reference artifact
+     * @private
+     */
+    async _deliver(name, type, filePath, details = {}) {
+        const content = await fs.readFile(filePath);
+        const artifact = {
+            name: name,
+            type: type,
+            contentType: getMimeType(filePath),
+            bytes: content.length,
+            ...details
+        };
+
+        const fits = this.inlineBytes + content.length <= this.maxInlineBytes;
+        if (this.delivery === 'inline' && !fits) {
+            await fs.unlink(filePath).catch(() => {});
+            throw new Error(`Artifact is ${content.length} bytes, which exceeds the inline budget ` +
+                `(${this.maxInlineBytes - this.inlineBytes} of ${this.maxInlineBytes} bytes left); use delivery 'auto' or 'file', or raise maxInlineBytes`);
+        }
+
+        const inline = this.delivery === 'inline' || (this.delivery === 'auto' && fits);
+
+        if (inline) {
+            this.inlineBytes += content.length;
+            artifact.delivery = 'inline';
+            artifact.data = content.toString('base64');
+            // Inlined files are not needed anymore - keep /tmp small on warm containers
+            await fs.unlink(filePath).catch(() => {});
+        } else {
+            artifact.delivery = 'file';
+            artifact.path = filePath;
+        }
+
+        logger.info(`Artifact ${name}: ${artifact.contentType}, ${artifact.bytes} bytes (${artifact.delivery})`);
+        return artifact;
+    }
+}
+
+module.exports = {
+    ARTIFACT_TYPES,
+    DELIVERY_MODES,
+    ArtifactCollector
+};
\ No newline at end of file
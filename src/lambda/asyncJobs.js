@@ -0,0 +1,302 @@
+/**
+ * Async Jobs - Run automations in the background and report back
+ *
+ * submitJob() saves a 'queued' job record and returns right away; a runner
+ * then executes the job:
+ *   queued -> running (progress updates) -> completed | failed
+ * When the job has a callbackUrl, the final record is POSTed to it as JSON.
+ *
+ * Runners:
+ * - 'invoke': an asynchronous invocation of the same function (InvocationType
+ *   'Event') whose event carries the job. Needed on AWS Lambda, which freezes
+ *   the execution environment once the handler returns.
+ * - 'process': the background of this process (docker-compose container,
+ *   local runs)
+ *
+ * Callbacks only go to public addresses: loopback, private, link-local
+ * (169.254.169.254 metadata) and other internal ranges are refused, also when
+ * a host name resolves to them. `callbackHosts` restricts callbacks further
+ * to listed hosts ('hooks.example.com', '*.example.com').
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const logger = require('../common/utils/logger');
+const { InvalidRequestError, serializeError } = require('../common/utils/automationErrors');
+
+const CALLBACK_TIMEOUT = 10000;
+
+// Addresses a callback must not reach (loopback, private, link-local, CGNAT, multicast, reserved)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Create a job and hand it to its runner
+ * @param {{create: Function, update: Function}} store - Job store
+ * @param {Function} runJob - async ({jobId, reportProgress}) => response body of the automation
+ * @param {Object} [options={}] - Job options
+ * @param {string} [options.callbackUrl] - URL that receives the final job record (POST)
+ * @param {Function} [options.dispatch] - async (job) => void; starts the job elsewhere (e.g. invokeJobWorker)
+ *   instead of in the background of this process (requires a shared store)
+ * @param {Object} [options.callbackPolicy] - Allowed callback targets (see checkCallbackUrl)
+ * @returns {Promise<Object>} The queued job record
+ */
+async function submitJob(store, runJob, options = {}) {
+    // The worker and later status lookups may run in other execution environments
+    if (options.dispatch && store.shared === false) {
+        throw new Error('Jobs run by another invocation need a job store shared between execution environments: ' +
+            'register one for automation.jobs.store, set automation.jobs.shared for a filesystem path on EFS, or use the \'process\' runner');
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        jobId: crypto.randomUUID(),
+        status: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        completedAt: null,
+        progress: null,
+        callbackUrl: options.callbackUrl || null,
+        callback: null,
+        result: null,
+        error: null
+    };
+
+    await store.create(job);
+    logger.info(`Queued async job ${job.jobId}`);
+
+    if (options.dispatch) {
+        try {
+            await options.dispatch(job);
+        } catch (error) {
+            // A job nobody will run must not stay 'queued'
+            await store.update(job.jobId, { status: 'failed', error: serializeError(error), completedAt: new Date().toISOString() });
+            throw error;
+        }
+        return job;
+    }
+
+    // Start after the submit response has been built
+    setImmediate(() => {
+        executeJob(store, job, runJob, options).catch(error => {
+            logger.error(`Async job ${job.jobId} could not be recorded: ${error.message}`);
+        });
+    });
+
+    return job;
+}
+
+/**
+ * Start a job in a new asynchronous invocation of this Lambda function
+ * The event is `{ asyncJob: { job, payload } }`; the handler runs it with
+ * executeJob(). The function needs lambda:InvokeFunction on itself.
+ * @param {string} functionName - Function name or ARN (context.invokedFunctionArn)
+ * @param {Object} job - Queued job record
+ * @param {Object} payload - Automation payload of the job
+ * @returns {Promise<void>}
+ */
+async function invokeJobWorker(functionName, job, payload) {
+    // Part of the Lambda Node.js runtime; not a dependency of local installs
+    const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+
+    await new LambdaClient({}).send(new InvokeCommand({
+        FunctionName: functionName,
+        InvocationType: 'Event',
+        Payload: Buffer.from(JSON.stringify({ asyncJob: { job, payload } }))
+    }));
+    logger.info(`Async job ${job.jobId} handed to a new invocation of ${functionName}`);
+}
+
+/**
+ * Run a queued job to completion, recording progress, the result and the callback outcome
+ * @param {{update: Function}} store - Job store
+ * @param {Object} job - Queued job record
+ * @param {Function} runJob - async ({jobId, reportProgress}) => response body of the automation
+ * @param {Object} [options={}]
+ * @param {Object} [options.callbackPolicy] - Allowed callback targets (see checkCallbackUrl)
+ * @returns {Promise<Object>} Final job record
+ */
+async function executeJob(store, job, runJob, options = {}) {
+    const { jobId } = job;
+
+    // Serialize writes so a late progress update never overwrites the final status
+    let writes = Promise.resolve();
+    const update = (patch) => {
+        writes = writes.then(() => store.update(jobId, patch));
+        return writes;
+    };
+
+    await update({ status: 'running', startedAt: new Date().toISOString() });
+    logger.info(`Running async job ${jobId}`);
+
+    let final;
+    try {
+        const body = await runJob({
+            jobId: jobId,
+            reportProgress: (progress) => {
+                update({ progress }).catch(error => logger.warn(`Job progress update failed: ${error.message}`));
+            }
+        });
+
+        final = {
+            status: body.status === 'error' ? 'failed' : 'completed',
+            result: body,
+            error: body.error || null
+        };
+    } catch (error) {
+        final = {
+            status: 'failed',
+            result: null,
+            error: serializeError(error)
+        };
+    }
+
+    let record = await update({ ...final, completedAt: new Date().toISOString() });
+    logger.info(`Async job ${jobId} ${record.status}`);
+
+    if (record.callbackUrl) {
+        const callback = await postCallback(record.callbackUrl, record, { policy: options.callbackPolicy });
+        record = await update({ callback });
+    }
+
+    return record;
+}
+
+/**
+ * Check whether an IP address is internal (loopback, private, link-local, ...)
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for addresses callbacks must not reach
+ */
+function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+        return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check a callback URL before a job is accepted
+ * Host names are resolved when the callback is sent (see postCallback).
+ * @param {string} callbackUrl - http(s) URL
+ * @param {Object} [policy={}]
+ * @param {string[]} [policy.callbackHosts] - Allowed hosts ('*.example.com' matches subdomains); any public host when empty
+ * @param {boolean} [policy.allowPrivateCallbacks=false] - Allow internal addresses (local development only)
+ * @returns {URL} Parsed URL
+ * @throws {InvalidRequestError} When the URL is malformed or not an allowed target
+ */
+function checkCallbackUrl(callbackUrl, policy = {}) {
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch (error) {
+        throw new InvalidRequestError(`Invalid callback URL: ${callbackUrl}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new InvalidRequestError(`Invalid callback URL: unsupported protocol ${url.protocol}`);
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const hosts = policy.callbackHosts || [];
+    const listed = hosts.some(pattern => pattern.startsWith('*.')
+        ? host.endsWith(pattern.slice(1).toLowerCase())
+        : host === pattern.toLowerCase());
+    if (hosts.length > 0 && !listed) {
+        throw new InvalidRequestError(`Callback host ${host} is not in automation.jobs.callbackHosts`);
+    }
+    if (!policy.allowPrivateCallbacks && net.isIP(host) && isPrivateAddress(host)) {
+        throw new InvalidRequestError(`Callback URL must not point to an internal address: ${host}`);
+    }
+    return url;
+}
+
+/**
+ * DNS lookup for callbacks that refuses internal addresses
+ * Checking the addresses the connection really uses also stops DNS rebinding.
+ * @private
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+        const blocked = (Array.isArray(address) ? address : [{ address }]).find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            callback(new Error(`${hostname} resolves to an internal address (${blocked.address})`));
+            return;
+        }
+        callback(null, address, family);
+    });
+}
+
+/**
+ * POST a JSON payload to a callback URL
+ * @param {string} callbackUrl - http(s) URL
+ * @param {Object} payload - JSON payload
+ * @param {Object} [options={}]
+ * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+ * @param {Object} [options.policy] - Allowed callback targets (see checkCallbackUrl)
+ * @returns {Promise<{delivered: boolean, statusCode: number|null, error: string|null, attemptedAt: string}>} Delivery outcome
+ */
+function postCallback(callbackUrl, payload, options = {}) {
+    const attemptedAt = new Date().toISOString();
+    const timeout = options.timeout || CALLBACK_TIMEOUT;
+    const policy = options.policy || {};
+
+    return new Promise(resolve => {
+        let url;
+        try {
+            url = checkCallbackUrl(callbackUrl, policy);
+        } catch (error) {
+            resolve({ delivered: false, statusCode: null, error: error.message, attemptedAt });
+            return;
+        }
+
+        const body = JSON.stringify(payload);
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.request(url, {
+            method: 'POST',
+            timeout: timeout,
+            lookup: policy.allowPrivateCallbacks ? undefined : publicLookup,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }
+        }, (response) => {
+            response.resume();
+            const delivered = response.statusCode >= 200 && response.statusCode < 300;
+            if (!delivered) {
+                logger.warn(`Callback ${url.origin} answered ${response.statusCode}`);
+            }
+            resolve({ delivered, statusCode: response.statusCode, error: null, attemptedAt });
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`timed out after ${timeout}ms`)));
+        request.on('error', (error) => {
+            logger.warn(`Callback to ${url.origin} failed: ${error.message}`);
+            resolve({ delivered: false, statusCode: null, error: error.message, attemptedAt });
+        });
+
+        request.end(body);
+    });
+}
+
+module.exports = {
+    submitJob,
+    invokeJobWorker,
+    executeJob,
+    isPrivateAddress,
+    checkCallbackUrl,
+    postCallback
+};
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Batch Runner - Process many targets in one Lambda invocation
+ *
+ * Targets share a single browser: each one runs in its own isolated session
+ * (browser context + page) created from the started driver, through a bounded
+ * pool so at most `concurrency` sessions are open at the same time.
+ *
+ * A failing target never fails the batch - its error is recorded in the
+ * per-target result and the remaining targets keep running.
+ */
+
+const logger = require('../common/utils/logger');
+const { InvalidRequestError, DeadlineExceededError, serializeError } = require('../common/utils/automationErrors');
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Normalize batch targets from the event
+ * `urls` is a list of URL strings; `targets` is a list of {url, extract, steps, name}.
+ * @param {Object} event - Lambda event
+ * @returns {Array<{url: string, name: string, extract?: Object, steps?: Array}>|null} Targets, or null when not in batch mode
+ */
+function resolveTargets(event) {
+    const targets = event?.targets || event?.urls;
+    if (targets === undefined || targets === null) {
+        return null;
+    }
+
+    if (!Array.isArray(targets) || targets.length === 0) {
+        throw new InvalidRequestError('Invalid event: "urls"/"targets" must be a non-empty array');
+    }
+
+    return targets.map((target, index) => {
+        const normalized = typeof target === 'string' ? { url: target } : { ...target };
+
+        if (!normalized.url || typeof normalized.url !== 'string') {
+            throw new InvalidRequestError(`Invalid event: target ${index + 1} is missing "url"`);
+        }
+
+        normalized.name = normalized.name || normalized.url;
+        return normalized;
+    });
+}
+
+/**
+ * Run targets through a bounded pool of sessions on a shared browser
+ * @param {PlaywrightDriver} driver - Started driver that owns the shared browser
+ * @param {Array<Object>} targets - Normalized targets (see resolveTargets)
+ * @param {Object} options - Batch options
+ * @param {Function} options.processTarget - async (session, target) => data for one target
+ * @param {number} [options.concurrency=3] - Maximum number of sessions open at once
+ * @param {Object} [options.sessionOptions={}] - Options passed to driver.createSession()
+ * @param {Function} [options.shouldSkip] - () => boolean, checked before each target starts (e.g. deadline reached)
+ * @param {Function} [options.onResult] - Called with each target result as soon as it completes
+ * @returns {Promise<{total: number, succeeded: number, failed: number, truncated: number, concurrency: number, results: Array, failures: Array}>} Batch summary
+ */
+async function runBatch(driver, targets, options) {
+    const concurrency = normalizeConcurrency(options.concurrency);
+    logger.info(`Running batch of ${targets.length} target(s) with concurrency ${concurrency}`);
+
+    const results = await runWithConcurrency(targets, concurrency, async (target, index) => {
+        const targetStart = Date.now();
+        const result = {
+            index: index,
+            name: target.name,
+            url: target.url,
+            status: 'success',
+            data: null,
+            error: null,
+            executionTime: 0
+        };
+
+        if (options.shouldSkip?.()) {
+            logger.warn(`Skipping batch target ${index + 1} (${target.url}): deadline reached`);
+            result.status = 'skipped';
+            result.error = serializeError(new DeadlineExceededError('Deadline reached before the target started'));
+            options.onResult?.(result);
+            return result;
+        }
+
+        let session = null;
+        try {
+            session = await driver.createSession(options.sessionOptions || {});
+            result.data = await options.processTarget(session, target);
+        } catch (error) {
+            logger.warn(`Batch target ${index + 1} (${target.url}) failed: ${error.message}`);
+            // Targets cut short by the deadline keep their partial data and are not counted as failures
+            result.status = error.code === 'DEADLINE_EXCEEDED' ? 'truncated' : 'failed';
+            result.data = error.data || null;
+            result.error = serializeError(error);
+        } finally {
+            if (session && session.getIsStarted()) {
+                try {
+                    await session.quit();
+                } catch (cleanupError) {
+                    logger.warn(`Session cleanup warning: ${cleanupError.message}`);
+                }
+            }
+            result.executionTime = Date.now() - targetStart;
+        }
+
+        options.onResult?.(result);
+        return result;
+    });
+
+    const failures = results
+        .filter(result => result.status === 'failed')
+        .map(result => ({ index: result.index, url: result.url, error: result.error }));
+    const succeeded = results.filter(result => result.status === 'success').length;
+    const truncated = results.length - succeeded - failures.length;
+
+    logger.info(`Batch completed: ${succeeded} succeeded, ${failures.length} failed, ${truncated} truncated/skipped`);
+
+    return {
+        total: results.length,
+        succeeded: succeeded,
+        failed: failures.length,
+        truncated: truncated,
+        concurrency: concurrency,
+        results: results,
+        failures: failures
+    };
+}
+
+/**
+ * Run an async worker over items with at most `limit` in flight (results keep item order)
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Clamp the requested concurrency to [1, MAX_CONCURRENCY]
+ * @param {number} concurrency - Requested concurrency
+ * @returns {number} Effective concurrency
+ */
+function normalizeConcurrency(concurrency) {
+    const value = parseInt(concurrency, 10);
+    if (!Number.isFinite(value) || value < 1) {
+        return DEFAULT_CONCURRENCY;
+    }
+    return Math.min(value, MAX_CONCURRENCY);
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    MAX_CONCURRENCY,
+    resolveTargets,
+    runBatch,
+    runWithConcurrency,
+    normalizeConcurrency
+};
\ No newline at end of file
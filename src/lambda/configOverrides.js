@@ -0,0 +1,155 @@
+/**
+ * Config Overrides - Per-request configuration for the Lambda handler
+ *
+ * Deep-merges `event.config` on top of the loaded configuration (file or
+ * environment based). Only allowlisted keys may be overridden by callers;
+ * everything else is rejected and reported back in the response.
+ *
+ * Keys use dot notation (e.g. 'playwright.timeout'). An allowlisted key also
+ * allows everything nested below it ('playwright.windowSize' allows
+ * 'playwright.windowSize.width').
+ */
+
+const logger = require('../common/utils/logger');
+
+// Keys callers may override per request
+const OVERRIDABLE_CONFIG_KEYS = [
+    'playwright.timeout',
+    'playwright.navigationTimeout',
+    'playwright.windowSize',
+    'playwright.userAgent',
+    'playwright.acceptInsecureCerts',
+    'automation.extract'
+];
+
+/**
+ * Apply event overrides on top of a base configuration
+ * @param {{get: Function}} baseConfig - ConfigManager or environment-based config
+ * @param {Object} overrides - Override values (nested objects, e.g. {playwright: {timeout: 10000}})
+ * @param {string[]} [allowedKeys=OVERRIDABLE_CONFIG_KEYS] - Dot-notation keys callers may override
+ * @returns {{config: {get: Function}, applied: string[], rejected: string[]}} Layered config and override report
+ */
+function applyConfigOverrides(baseConfig, overrides, allowedKeys = OVERRIDABLE_CONFIG_KEYS) {
+    const accepted = {};
+    const applied = [];
+    const rejected = [];
+
+    if (!_isPlainObject(overrides)) {
+        logger.warn('Ignoring configuration overrides: "config" must be an object');
+        return { config: createLayeredConfig(baseConfig, accepted), applied, rejected: ['config'] };
+    }
+
+    const collect = (value, prefix) => {
+        for (const [key, child] of Object.entries(value)) {
+            const keyPath = prefix ? `${prefix}.${key}` : key;
+
+            if (allowedKeys.some(allowed => keyPath === allowed || keyPath.startsWith(`${allowed}.`))) {
+                _setPath(accepted, keyPath.split('.'), child);
+                applied.push(keyPath);
+            } else if (_isPlainObject(child) && allowedKeys.some(allowed => allowed.startsWith(`${keyPath}.`))) {
+                // Parent of an allowed key - descend and check its children
+                collect(child, keyPath);
+            } else {
+                rejected.push(keyPath);
+            }
+        }
+    };
+
+    collect(overrides, '');
+
+    if (applied.length > 0) {
+        logger.info(`Applied configuration overrides: ${applied.join(', ')}`);
+    }
+    if (rejected.length > 0) {
+        logger.warn(`Rejected configuration overrides (not allowed): ${rejected.join(', ')}`);
+    }
+
+    return {
+        config: createLayeredConfig(baseConfig, accepted),
+        applied,
+        rejected
+    };
+}
+
+/**
+ * Create a config view that resolves dot-notation keys and deep-merges overrides
+ * @param {{get: Function}} baseConfig - ConfigManager or environment-based config
+ * @param {Object} overrides - Accepted override values
+ * @returns {{get: Function}} Config with the same get(key, defaultValue) interface
+ */
+function createLayeredConfig(baseConfig, overrides) {
+    return {
+        get: (key, defaultValue) => {
+            const [topKey, ...nestedKeys] = key.split('.');
+
+            // Direct lookup first (e.g. environment keys), then nested lookup in the top-level object
+            let baseValue = baseConfig.get(key, null);
+            if ((baseValue === null || baseValue === undefined) && nestedKeys.length > 0) {
+                baseValue = _getPath(baseConfig.get(topKey, null), nestedKeys);
+            }
+
+            const value = deepMerge(baseValue, _getPath(overrides, [topKey, ...nestedKeys]));
+            return value === null || value === undefined ? defaultValue : value;
+        }
+    };
+}
+
+/**
+ * Deep merge two values (plain objects are merged, anything else is replaced)
+ * @param {*} base - Base value
+ * @param {*} override - Override value (undefined keeps the base value)
+ * @returns {*} Merged value (inputs are not modified)
+ */
+function deepMerge(base, override) {
+    if (override === undefined) {
+        return base;
+    }
+
+    if (!_isPlainObject(base) || !_isPlainObject(override)) {
+        return override;
+    }
+
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = deepMerge(base[key], value);
+    }
+    return merged;
+}
+
+/**
+ * Check for a plain object (not null, not an array)
+ * @private
+ */
+function _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read a nested value by path segments
+ * @private
+ */
+function _getPath(value, segments) {
+    return segments.reduce((current, segment) => (_isPlainObject(current) ? current[segment] : undefined), value);
+}
+
+/**
+ * Write a nested value by path segments (creating intermediate objects)
+ * @private
+ */
+function _setPath(target, segments, value) {
+    let current = target;
+    segments.slice(0, -1).forEach(segment => {
+        if (!_isPlainObject(current[segment])) {
+            current[segment] = {};
+        }
+        current = current[segment];
+    });
+    current[segments[segments.length - 1]] = value;
+}
+
+module.exports = {
+    OVERRIDABLE_CONFIG_KEYS,
+    applyConfigOverrides,
+    createLayeredConfig,
+    deepMerge
+};
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * Deadline Budget - Time-aware execution for the Lambda handler
+ *
+ * Tracks the time left before the Lambda runtime stops the invocation
+ * (context.getRemainingTimeInMillis) and keeps a safety margin for browser
+ * cleanup and the response. The handler uses it to:
+ * - shrink navigation, wait and extraction timeouts as time runs out
+ * - skip optional extractions (metadata, customScript) near the deadline
+ * - return a partial result marked `truncated: true` before the runtime kills it
+ *
+ * Without a Lambda context (local runs) there is no deadline and every
+ * requested timeout is used as-is.
+ */
+
+const logger = require('../common/utils/logger');
+const { DeadlineExceededError } = require('../common/utils/automationErrors');
+
+class DeadlineBudget {
+    // Constants
+    static DEFAULT_SAFETY_MARGIN = 3000;        // Reserved for cleanup and response serialization
+    static DEFAULT_OPTIONAL_THRESHOLD = 8000;   // Below this, optional extractions are skipped
+    static MIN_OPERATION_TIMEOUT = 1000;        // Never hand a 0 (= infinite) timeout to Playwright
+
+    /**
+     * @param {Object} [context] - Lambda context object
+     * @param {Object} [options={}] - Budget options
+     * @param {number} [options.safetyMargin] - Milliseconds kept in reserve before the real deadline
+     * @param {number} [options.optionalThreshold] - Remaining milliseconds under which optional work is skipped
+     */
+    constructor(context, options = {}) {
+        const remaining = typeof context?.getRemainingTimeInMillis === 'function'
+            ? context.getRemainingTimeInMillis()
+            : null;
+
+        this.deadline = Number.isFinite(remaining) ? Date.now() + remaining : null;
+        this.safetyMargin = options.safetyMargin ?? DeadlineBudget.DEFAULT_SAFETY_MARGIN;
+        this.optionalThreshold = options.optionalThreshold ?? DeadlineBudget.DEFAULT_OPTIONAL_THRESHOLD;
+
+        if (this.deadline) {
+            logger.info(`Deadline budget: ${this.remaining()}ms usable (${this.safetyMargin}ms safety margin)`);
+        }
+    }
+
+    /**
+     * Check whether a deadline is being tracked
+     * @returns {boolean} True when running with a Lambda context
+     */
+    hasDeadline() {
+        return this.deadline !== null;
+    }
+
+    /**
+     * Usable milliseconds left (safety margin already subtracted)
+     * @returns {number} Remaining time, or Infinity without a deadline
+     */
+    remaining() {
+        if (!this.hasDeadline()) {
+            return Infinity;
+        }
+        return this.deadline - Date.now() - this.safetyMargin;
+    }
+
+    /**
+     * Check whether the usable budget is used up
+     * @returns {boolean} True when no usable time is left
+     */
+    isExpired() {
+        return this.remaining() <= 0;
+    }
+
+    /**
+     * Check whether optional work should be skipped
+     * @returns {boolean} True when the remaining budget is under the optional threshold
+     */
+    isNearDeadline() {
+        return this.remaining() < this.optionalThreshold;
+    }
+
+    /**
+     * Shrink a requested timeout to fit in the remaining budget
+     * @param {number} requested - Requested timeout in milliseconds
+     * @returns {number} Effective timeout in milliseconds
+     */
+    timeoutFor(requested) {
+        return Math.max(
+            DeadlineBudget.MIN_OPERATION_TIMEOUT,
+            Math.floor(Math.min(requested, this.remaining()))
+        );
+    }
+
+    /**
+     * Apply budget-limited timeouts to a driver before its next operation
+     * @param {PlaywrightDriver} driver - Started driver
+     * @param {{timeout: number, navigationTimeout: number}} baseTimeouts - Timeouts requested by configuration
+     */
+    applyTo(driver, baseTimeouts) {
+        if (!this.hasDeadline()) {
+            return;
+        }
+
+        driver.setTimeouts({
+            timeout: this.timeoutFor(baseTimeouts.timeout),
+            navigationTimeout: this.timeoutFor(baseTimeouts.navigationTimeout)
+        });
+    }
+
+    /**
+     * Wait for a promise, but no longer than the remaining budget
+     * When the budget runs out first, the promise keeps running in the background
+     * (its rejection is swallowed) and the caller should return a partial result.
+     * @param {Promise} promise - Work to wait for
+     * @returns {Promise<{timedOut: boolean, value?: *}>} Outcome of the race
+     */
+    async race(promise) {
+        if (!this.hasDeadline()) {
+            return { timedOut: false, value: await promise };
+        }
+
+        let timer = null;
+        const expired = new Promise(resolve => {
+            timer = setTimeout(() => resolve({ timedOut: true }), Math.max(0, this.remaining()));
+        });
+
+        try {
+            const outcome = await Promise.race([
+                promise.then(value => ({ timedOut: false, value })),
+                expired
+            ]);
+
+            if (outcome.timedOut) {
+                logger.warn('Deadline reached - returning partial result');
+                promise.catch(error => logger.debug(`Abandoned work finished with: ${error.message}`));
+            }
+
+            return outcome;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+/**
+ * Create the error used to stop work when the deadline is reached
+ * @param {string} message - Error message
+ * @returns {DeadlineExceededError} Error with code DEADLINE_EXCEEDED
+ */
+function createDeadlineError(message) {
+    return new DeadlineExceededError(message);
+}
+
+module.exports = {
+    DeadlineBudget,
+    createDeadlineError
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * Event Normalizer - Turn any supported Lambda trigger into an automation payload
+ *
+ * Supported event shapes:
+ * - direct invocation: the event is the payload ({ url, extract, ... }); a legacy
+ *   `body` object or JSON string is merged underneath it
+ * - API Gateway REST API (v1): httpMethod, queryStringParameters, string body
+ * - API Gateway HTTP API (v2) and Lambda Function URLs: requestContext.http, string body
+ *
+ * HTTP bodies may be base64 encoded (isBase64Encoded). Query string parameters
+ * are merged underneath the body, so `GET ?url=https://example.com` works too.
+ * Malformed requests raise an InvalidRequestError (400), unsupported methods a
+ * MethodNotAllowedError (405).
+ */
+
+const logger = require('../common/utils/logger');
+const { InvalidRequestError, MethodNotAllowedError } = require('../common/utils/automationErrors');
+
+const SUPPORTED_METHODS = ['GET', 'POST'];
+
+/**
+ * Normalize a Lambda event into the automation payload
+ * @param {Object} event - Raw Lambda event
+ * @returns {{payload: Object, source: string, method: string|null}} Payload and the detected trigger
+ * @throws {InvalidRequestError|MethodNotAllowedError} When the request is malformed (400) or uses another method (405)
+ */
+function normalizeEvent(event) {
+    if (event === null || event === undefined) {
+        return { payload: {}, source: 'direct', method: null };
+    }
+    if (typeof event !== 'object' || Array.isArray(event)) {
+        throw new InvalidRequestError('Invalid event: expected a JSON object');
+    }
+
+    const source = detectEventSource(event);
+
+    if (source === 'direct') {
+        const { body, ...rest } = event;
+        // Top-level keys win over the legacy body (event.url before event.body.url)
+        return { payload: { ...parseBody(body, event.isBase64Encoded), ...rest }, source, method: null };
+    }
+
+    const method = (event.requestContext?.http?.method || event.httpMethod || 'GET').toUpperCase();
+    if (!SUPPORTED_METHODS.includes(method)) {
+        throw new MethodNotAllowedError(`Method ${method} not allowed (use ${SUPPORTED_METHODS.join(' or ')})`);
+    }
+
+    const query = parseQueryParameters(event.queryStringParameters);
+    const body = method === 'GET' ? {} : parseBody(event.body, event.isBase64Encoded);
+
+    logger.info(`Normalized ${source} event (${method})`);
+    return { payload: { ...query, ...body }, source, method };
+}
+
+/**
+ * Detect which trigger produced the event
+ * @param {Object} event - Raw Lambda event
+ * @returns {'direct'|'apigateway-v1'|'apigateway-v2'|'function-url'} Event source
+ */
+function detectEventSource(event) {
+    if (event.requestContext?.http) {
+        return String(event.requestContext.domainName || '').includes('.lambda-url.')
+            ? 'function-url'
+            : 'apigateway-v2';
+    }
+    if (event.httpMethod && event.requestContext) {
+        return 'apigateway-v1';
+    }
+    return 'direct';
+}
+
+/**
+ * Parse a request body (object, JSON string or base64-encoded JSON string)
+ * @param {Object|string|null} body - Raw body
+ * @param {boolean} [isBase64Encoded=false] - Whether a string body is base64 encoded
+ * @returns {Object} Parsed body ({} when empty)
+ * @throws {InvalidRequestError} When the body is not a JSON object
+ */
+function parseBody(body, isBase64Encoded = false) {
+    if (body === undefined || body === null || body === '') {
+        return {};
+    }
+
+    let parsed = body;
+    if (typeof body === 'string') {
+        const text = isBase64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body;
+        if (text.trim() === '') {
+            return {};
+        }
+
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new InvalidRequestError(`Malformed request body: ${error.message}`, { cause: error });
+        }
+    }
+
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new InvalidRequestError('Malformed request body: expected a JSON object');
+    }
+    return parsed;
+}
+
+/**
+ * Convert query string parameters into payload values ('true'/'false' become booleans)
+ * @param {Object|null} parameters - queryStringParameters from the event
+ * @returns {Object} Payload values
+ */
+function parseQueryParameters(parameters) {
+    const values = {};
+    for (const [key, value] of Object.entries(parameters || {})) {
+        if (value === 'true' || value === 'false') {
+            values[key] = value === 'true';
+        } else {
+            values[key] = value;
+        }
+    }
+    return values;
+}
+
+module.exports = {
+    SUPPORTED_METHODS,
+    normalizeEvent,
+    detectEventSource,
+    parseBody,
+    parseQueryParameters
+};
\ No newline at end of file
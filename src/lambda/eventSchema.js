@@ -0,0 +1,417 @@
+/**
+ * Event Schema - JSON schema and validation for automation events
+ *
+ * EVENT_SCHEMA describes the normalized event payload (see eventNormalizer) as
+ * a JSON Schema (draft-07) document, so clients can validate payloads before
+ * sending them. validateEvent() checks a payload against it with a small
+ * built-in validator that supports the keywords used here: type, enum,
+ * properties, required, additionalProperties, items, anyOf, allOf, minItems,
+ * minLength, minimum, maximum, pattern, format (uri) and local $ref. As in
+ * draft-07, keywords next to a $ref are ignored (combine them with allOf).
+ *
+ * Unknown properties are rejected, so typos such as `extract.selector`
+ * (instead of `selectors`) are reported instead of silently ignored.
+ */
+
+const { STEP_TYPES } = require('./stepRunner');
+const { MAX_CONCURRENCY } = require('./batchRunner');
+const { ARTIFACT_TYPES, DELIVERY_MODES } = require('./artifacts');
+const { LOAD_STATES, SELECTOR_STATES } = require('../common/utils/waitStrategy');
+
+const EVENT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Automation event',
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        url: { type: 'string', format: 'uri', description: 'Page to automate (defaults to automation.defaultUrl)' },
+        extract: { $ref: '#/definitions/extract' },
+        steps: { $ref: '#/definitions/steps' },
+        urls: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', format: 'uri' },
+            description: 'Batch mode: URLs processed with the top-level extract'
+        },
+        targets: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                anyOf: [
+                    { type: 'string', format: 'uri' },
+                    { $ref: '#/definitions/target' }
+                ]
+            },
+            description: 'Batch mode: targets with their own extract/steps'
+        },
+        concurrency: {
+            type: ['integer', 'string'],
+            minimum: 1,
+            maximum: MAX_CONCURRENCY,
+            pattern: '^[0-9]+$',
+            description: 'Batch mode: sessions open at the same time'
+        },
+        continueOnError: { type: 'boolean', description: 'Keep running steps after a failed step' },
+        config: { type: 'object', description: 'Per-request configuration overrides (allowlisted keys only)' },
+        optimizations: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                disableImages: { type: 'boolean' },
+                disableJavaScript: { type: 'boolean' }
+            }
+        },
+        userAgent: { type: 'string', minLength: 1 },
+        failOnHttpError: { type: 'boolean', description: 'Fail when a page answers 4xx/5xx (default false)' },
+        waitFor: { $ref: '#/definitions/waitFor' },
+        sessionState: {
+            type: 'object',
+            description: 'Cookies and web storage restored before navigation (saveSessionState format, plain or encrypted with SESSION_STATE_KEY)'
+        },
+        returnSessionState: { type: 'boolean', description: 'Return the session state after the run as data.sessionState' },
+        artifacts: { $ref: '#/definitions/artifacts' },
+        artifactOptions: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                delivery: { type: 'string', enum: DELIVERY_MODES },
+                maxInlineBytes: { type: 'integer', minimum: 1 },
+                captureOnError: { type: 'boolean', description: 'Full-page screenshot when a target fails' }
+            }
+        },
+        dryRun: { type: 'boolean', description: 'Validate the event without running the browser' },
+        async: { type: 'boolean', description: 'Queue the automation as a background job and return its jobId' },
+        callbackUrl: { type: 'string', format: 'uri', pattern: '^https?://', description: 'Receives the final job record (POST)' },
+        jobId: { type: 'string', pattern: '^[A-Za-z0-9-]{1,64}$', description: 'Status lookup of an async job' }
+    },
+    definitions: {
+        extract: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                heading: { type: 'boolean' },
+                headingSelector: { type: 'string', minLength: 1 },
+                metadata: { type: 'boolean' },
+                customScript: { type: 'string' },
+                selectors: {
+                    type: 'array',
+                    items: { allOf: [{ $ref: '#/definitions/field' }, { required: ['name', 'selector'] }] }
+                }
+            }
+        },
+        field: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['name'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                selector: { type: 'string', minLength: 1 },
+                attribute: { type: 'string', minLength: 1 },
+                property: { type: 'string', minLength: 1 },
+                style: { type: 'string', minLength: 1 },
+                multiple: { type: 'boolean' },
+                limit: { type: 'integer', minimum: 1 },
+                trim: { type: 'boolean' },
+                fields: { type: 'array', items: { $ref: '#/definitions/field' } },
+                default: {}
+            }
+        },
+        steps: {
+            type: 'array',
+            items: { $ref: '#/definitions/step' }
+        },
+        step: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['type'],
+            properties: {
+                type: { type: 'string', enum: STEP_TYPES },
+                name: { type: 'string' },
+                url: { type: 'string', format: 'uri' },
+                selector: { type: 'string', minLength: 1 },
+                value: { type: ['string', 'number', 'boolean', 'array'] },
+                timeout: { type: 'integer', minimum: 0 },
+                state: { type: 'string', enum: ['visible', 'attached'] },
+                duration: { type: 'number', minimum: 0 },
+                extract: { $ref: '#/definitions/extract' },
+                filename: { type: 'string', minLength: 1 },
+                includeTimestamp: { type: 'boolean' },
+                target: { type: 'string', enum: ['url', 'title'] },
+                tab: { type: ['integer', 'string'], minimum: 0, minLength: 1, description: 'Tab index, or text contained in the tab url or title' },
+                equals: { type: ['string', 'number', 'boolean'] },
+                contains: { type: ['string', 'number'] },
+                matches: { type: 'string' },
+                exists: { type: 'boolean' },
+                waitFor: { $ref: '#/definitions/waitFor' },
+                continueOnError: { type: 'boolean' }
+            }
+        },
+        waitFor: {
+            type: 'object',
+            additionalProperties: false,
+            description: 'When a navigation counts as ready (all given conditions, within one timeout)',
+            properties: {
+                loadState: { type: 'string', enum: LOAD_STATES },
+                selector: { type: 'string', minLength: 1 },
+                state: { type: 'string', enum: SELECTOR_STATES },
+                predicate: { type: 'string', minLength: 1, description: 'JavaScript expression that must become truthy' },
+                domStable: { type: ['boolean', 'integer'], minimum: 1, description: 'No DOM mutations for this many ms (true = 500)' },
+                timeout: { type: 'integer', minimum: 1 }
+            }
+        },
+        target: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['url'],
+            properties: {
+                url: { type: 'string', format: 'uri' },
+                name: { type: 'string' },
+                extract: { $ref: '#/definitions/extract' },
+                steps: { $ref: '#/definitions/steps' },
+                artifacts: { $ref: '#/definitions/artifacts' }
+            }
+        },
+        artifacts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['type'],
+                properties: {
+                    type: { type: 'string', enum: ARTIFACT_TYPES },
+                    name: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$' },
+                    fullPage: { type: 'boolean' },
+                    selector: { type: 'string', minLength: 1 },
+                    format: { type: 'string' },
+                    landscape: { type: 'boolean' },
+                    printBackground: { type: 'boolean' },
+                    timeout: { type: 'integer', minimum: 1 }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Validate an event payload against a schema
+ * @param {Object} payload - Normalized event payload
+ * @param {Object} [schema=EVENT_SCHEMA] - JSON schema to validate against
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}} Validation result with field-level errors
+ */
+function validateEvent(payload, schema = EVENT_SCHEMA) {
+    const collected = [];
+    _validate(payload, schema, 'event', schema, collected);
+
+    // allOf branches may report the same problem (e.g. a field required by both)
+    const errors = collected.filter((error, index) => collected.findIndex(other =>
+        other.path === error.path && other.message === error.message) === index);
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a value against a (sub)schema, collecting errors
+ * @private
+ */
+function _validate(value, schema, path, root, errors) {
+    if (schema.$ref) {
+        _validate(value, _resolveRef(schema.$ref, root), path, root, errors);
+        return;
+    }
+
+    for (const branch of schema.allOf || []) {
+        _validate(value, branch, path, root, errors);
+    }
+
+    if (schema.anyOf) {
+        _validateAnyOf(value, schema.anyOf, path, root, errors);
+    }
+
+    if (schema.type && !_matchesType(value, schema.type)) {
+        errors.push({ path, message: `must be ${[].concat(schema.type).join(' or ')}` });
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: 'must not be empty' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+        if (schema.format === 'uri' && !_isUri(value)) {
+            errors.push({ path, message: 'must be an absolute URL' });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => _validate(item, schema.items, `${path}[${index}]`, root, errors));
+        }
+    }
+
+    if (_isObject(value)) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) {
+                _validate(child, properties[key], `${path}.${key}`, root, errors);
+            } else if (schema.additionalProperties === false) {
+                const suggestion = _suggestProperty(key, Object.keys(properties));
+                errors.push({
+                    path: `${path}.${key}`,
+                    message: `is not a known property${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+                });
+            }
+        }
+    }
+}
+
+/**
+ * Validate anyOf: pass if one branch matches, otherwise report the branch of the matching type
+ * @private
+ */
+function _validateAnyOf(value, branches, path, root, errors) {
+    const results = branches.map(branch => {
+        const branchErrors = [];
+        _validate(value, branch, path, root, branchErrors);
+        return branchErrors;
+    });
+
+    if (results.some(branchErrors => branchErrors.length === 0)) {
+        return;
+    }
+
+    const typed = branches.findIndex(branch => {
+        const resolved = branch.$ref ? _resolveRef(branch.$ref, root) : branch;
+        return resolved.type && _matchesType(value, resolved.type);
+    });
+
+    if (typed >= 0) {
+        errors.push(...results[typed]);
+    } else {
+        const types = branches.map(branch => (branch.$ref ? _resolveRef(branch.$ref, root) : branch).type);
+        errors.push({ path, message: `must be ${types.join(' or ')}` });
+    }
+}
+
+/**
+ * Resolve a local reference such as '#/definitions/extract'
+ * @private
+ */
+function _resolveRef(ref, root) {
+    const resolved = ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+    if (!resolved) {
+        throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return resolved;
+}
+
+/**
+ * Check a value against one JSON schema type (or a list of types)
+ * @private
+ */
+function _matchesType(value, type) {
+    return [].concat(type).some(expected => {
+        switch (expected) {
+            case 'object': return _isObject(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === expected;
+        }
+    });
+}
+
+/**
+ * Check for a plain object (not null, not an array)
+ * @private
+ */
+function _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check for an absolute URL
+ * @private
+ */
+function _isUri(value) {
+    try {
+        new URL(value);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Suggest a known property for a likely typo (plural/singular, case, one edit away)
+ * @private
+ */
+function _suggestProperty(key, known) {
+    const lower = key.toLowerCase();
+    return known.find(candidate => {
+        const other = candidate.toLowerCase();
+        return other === lower || other === `${lower}s` || `${other}s` === lower || _withinOneEdit(lower, other);
+    }) || null;
+}
+
+/**
+ * Check whether two strings differ by at most one insertion, deletion or substitution
+ * @private
+ */
+function _withinOneEdit(a, b) {
+    if (Math.abs(a.length - b.length) > 1) {
+        return false;
+    }
+
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            i++;
+            j++;
+            continue;
+        }
+        if (++edits > 1) {
+            return false;
+        }
+        if (a.length > b.length) {
+            i++;
+        } else if (a.length < b.length) {
+            j++;
+        } else {
+            i++;
+            j++;
+        }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+module.exports = {
+    EVENT_SCHEMA,
+    validateEvent
+};
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * Job Store - Persistence for async automation jobs
+ *
+ * A job store keeps one record per job and must implement:
+ *   create(job) -> job          save a new job record
+ *   get(jobId) -> job|null      read a job record
+ *   update(jobId, patch) -> job shallow-merge a patch into a job record
+ * and may set `shared = false` when its records are only visible to one
+ * execution environment (such stores cannot be used with the 'invoke' runner).
+ *
+ * FileJobStore (type 'filesystem') is the built-in store: one JSON file per
+ * job under /tmp/automation-jobs by default. Other stores (S3, DynamoDB, ...)
+ * can be plugged in with registerJobStore() and selected with
+ * `automation.jobs.store` in the configuration.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../common/utils/logger');
+
+const JOB_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+class FileJobStore {
+    // Constants
+    static DEFAULT_DIRECTORY = '/tmp/automation-jobs';
+    static DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;   // Finished jobs older than this are purged
+
+    /**
+     * @param {Object} [options={}] - Store options
+     * @param {string} [options.path='/tmp/automation-jobs'] - Directory for job files
+     * @param {number} [options.retentionMs] - How long finished jobs are kept
+     * @param {boolean} [options.shared=false] - The directory is shared by every execution environment (e.g. an EFS mount)
+     */
+    constructor(options = {}) {
+        this.directory = options.path || FileJobStore.DEFAULT_DIRECTORY;
+        this.retentionMs = options.retentionMs || FileJobStore.DEFAULT_RETENTION_MS;
+        this.shared = options.shared === true;
+    }
+
+    /**
+     * Save a new job record (old finished jobs are purged first)
+     * @param {Object} job - Job record with a jobId
+     * @returns {Promise<Object>} Saved job record
+     */
+    async create(job) {
+        await fs.mkdir(this.directory, { recursive: true });
+        await this.purgeExpired();
+        await this._write(job);
+        return job;
+    }
+
+    /**
+     * Read a job record
+     * @param {string} jobId - Job id
+     * @returns {Promise<Object|null>} Job record, or null when unknown
+     */
+    async get(jobId) {
+        try {
+            const content = await fs.readFile(this._getPath(jobId), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw new Error(`Failed to read job ${jobId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Shallow-merge a patch into a job record
+     * @param {string} jobId - Job id
+     * @param {Object} patch - Fields to update
+     * @returns {Promise<Object>} Updated job record
+     */
+    async update(jobId, patch) {
+        const job = await this.get(jobId);
+        if (!job) {
+            throw new Error(`Failed to update job ${jobId}: job not found`);
+        }
+
+        const updated = { ...job, ...patch, updatedAt: new Date().toISOString() };
+        await this._write(updated);
+        return updated;
+    }
+
+    /**
+     * Delete finished jobs older than the retention period
+     * @returns {Promise<number>} Number of purged jobs
+     */
+    async purgeExpired() {
+        let purged = 0;
+        const cutoff = Date.now() - this.retentionMs;
+
+        for (const file of await fs.readdir(this.directory)) {
+            if (!file.endsWith('.json')) {
+                continue;
+            }
+
+            const job = await this.get(path.basename(file, '.json')).catch(() => null);
+            const finished = job && (job.status === 'completed' || job.status === 'failed');
+            if (finished && Date.parse(job.updatedAt) < cutoff) {
+                await fs.unlink(path.join(this.directory, file)).catch(() => {});
+                purged++;
+            }
+        }
+
+        if (purged > 0) {
+            logger.info(`Purged ${purged} expired job(s) from ${this.directory}`);
+        }
+        return purged;
+    }
+
+    /**
+     * Write a job record atomically (temp file + rename)
+     * @private
+     */
+    async _write(job) {
+        const filePath = this._getPath(job.jobId);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(job, null, 2));
+        await fs.rename(tempPath, filePath);
+    }
+
+    /**
+     * Resolve the file of a job (ids are restricted so they cannot escape the directory)
+     * @private
+     */
+    _getPath(jobId) {
+        if (!isValidJobId(jobId)) {
+            throw new Error(`Invalid job id: ${jobId}`);
+        }
+        return path.join(this.directory, `${jobId}.json`);
+    }
+}
+
+// Store factories by type (see registerJobStore)
+const JOB_STORES = {
+    filesystem: (options) => new FileJobStore(options)
+};
+
+/**
+ * Register a job store type
+ * @param {string} type - Store type used in `automation.jobs.store`
+ * @param {Function} factory - (options) => store implementing create/get/update
+ */
+function registerJobStore(type, factory) {
+    JOB_STORES[type] = factory;
+}
+
+/**
+ * Create the configured job store
+ * @param {Object} [options={}] - Store options (`store` selects the type, the rest goes to the factory)
+ * @returns {{create: Function, get: Function, update: Function}} Job store
+ */
+function createJobStore(options = {}) {
+    const { store: type = 'filesystem', ...storeOptions } = options;
+    const factory = JOB_STORES[type];
+
+    if (!factory) {
+        throw new Error(`Unknown job store: ${type} (available: ${Object.keys(JOB_STORES).join(', ')})`);
+    }
+    return factory(storeOptions);
+}
+
+/**
+ * Check a job id (letters, digits and dashes)
+ * @param {string} jobId - Job id
+ * @returns {boolean} True when the id is well-formed
+ */
+function isValidJobId(jobId) {
+    return typeof jobId === 'string' && JOB_ID_PATTERN.test(jobId);
+}
+
+module.exports = {
+    FileJobStore,
+    registerJobStore,
+    createJobStore,
+    isValidJobId
+};
\ No newline at end of file
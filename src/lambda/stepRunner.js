@@ -0,0 +1,255 @@
+/**
+ * Step Runner - Multi-step action workflows for the Lambda handler
+ *
+ * Executes an ordered list of declarative steps against a PlaywrightDriver:
+ * - navigate, click, fill, select, wait (page interaction)
+ * - popup, switchTab, closeTab (tabs and popups; later steps act on the active tab)
+ * - extract, screenshot (data and evidence capture)
+ * - assert (fail fast when the page is not in the expected state)
+ *
+ * Every step gets its own result, timing and error so callers can see exactly
+ * where a login-then-scrape flow stopped.
+ */
+
+const logger = require('../common/utils/logger');
+const { InvalidRequestError, AssertionFailedError, classifyError, serializeError } = require('../common/utils/automationErrors');
+
+// Supported step types (in the order they are documented)
+const STEP_TYPES = ['navigate', 'click', 'fill', 'select', 'wait', 'popup', 'switchTab', 'closeTab', 'extract', 'screenshot', 'assert'];
+
+/**
+ * Run workflow steps in order
+ * @param {PlaywrightDriver} driver - Started Playwright driver instance
+ * @param {Array<Object>} steps - Step definitions ({type, ...stepOptions})
+ * @param {Object} [options={}] - Runner options
+ * @param {Function} [options.extractData] - Extraction callback used by 'extract' steps
+ * @param {boolean} [options.continueOnError=false] - Keep running after a failed step
+ * @param {DeadlineBudget} [options.deadline] - Stop starting new steps once the budget is used up
+ * @param {Function} [options.beforeStep] - Hook called before each executed step (e.g. to shrink timeouts)
+ * @returns {Promise<{success: boolean, truncated: boolean, steps: Array<Object>, failedStep: Object|null, failedError: AutomationError|null}>} Step results
+ */
+async function runSteps(driver, steps, options = {}) {
+    const results = [];
+    let failedStep = null;
+    let failedError = null;
+    let truncated = false;
+
+    logger.info(`Running workflow with ${steps.length} step(s)`);
+
+    for (let index = 0; index < steps.length; index++) {
+        const step = steps[index] || {};
+        const stepResult = {
+            index: index,
+            type: step.type,
+            name: step.name || `${step.type}-${index + 1}`,
+            status: 'skipped',
+            result: null,
+            error: null,
+            startedAt: null,
+            duration: 0
+        };
+
+        // Once a step has failed, the remaining steps are reported but not executed
+        if (failedStep || truncated) {
+            results.push(stepResult);
+            continue;
+        }
+
+        if (options.deadline?.isExpired()) {
+            logger.warn(`Deadline reached - skipping remaining ${steps.length - index} step(s)`);
+            truncated = true;
+            results.push(stepResult);
+            continue;
+        }
+
+        if (options.beforeStep) {
+            options.beforeStep(step);
+        }
+
+        const stepStart = Date.now();
+        stepResult.startedAt = new Date(stepStart).toISOString();
+
+        try {
+            logger.info(`Step ${index + 1}/${steps.length}: ${stepResult.name}`);
+            stepResult.result = await executeStep(driver, step, index, options);
+            stepResult.status = 'success';
+        } catch (error) {
+            logger.warn(`Step ${index + 1} (${stepResult.name}) failed: ${error.message}`);
+            stepResult.status = 'failed';
+            stepResult.error = serializeError(error);
+
+            if (!step.continueOnError && !options.continueOnError) {
+                failedStep = stepResult;
+                failedError = classifyError(error);
+            }
+        }
+
+        stepResult.duration = Date.now() - stepStart;
+        results.push(stepResult);
+    }
+
+    return {
+        success: failedStep === null && !truncated,
+        truncated: truncated,
+        steps: results,
+        failedStep: failedStep,
+        failedError: failedError
+    };
+}
+
+/**
+ * Execute a single step against the driver
+ * @param {PlaywrightDriver} driver - Started Playwright driver instance
+ * @param {Object} step - Step definition
+ * @param {number} index - Zero-based step position (used for default file names)
+ * @param {Object} options - Runner options (see runSteps)
+ * @returns {Promise<Object>} Step-specific result
+ */
+async function executeStep(driver, step, index, options) {
+    switch (step.type) {
+        case 'navigate': {
+            _requireField(step, 'url');
+            const navigation = await driver.navigateTo(step.url, { waitFor: step.waitFor });
+            return {
+                url: navigation.url,
+                title: navigation.title,
+                status: navigation.status
+            };
+        }
+
+        case 'click':
+            _requireField(step, 'selector');
+            await driver.click(step.selector, step.timeout);
+            return { selector: step.selector };
+
+        case 'fill':
+            _requireField(step, 'selector');
+            _requireField(step, 'value');
+            await driver.sendKeys(step.selector, String(step.value), step.timeout);
+            // Never echo the value back (fill steps are commonly used for credentials)
+            return { selector: step.selector };
+
+        case 'select': {
+            _requireField(step, 'selector');
+            _requireField(step, 'value');
+            const selection = await driver.selectOption(step.selector, step.value, step.timeout);
+            return { selector: step.selector, selected: selection.selected };
+        }
+
+        case 'wait':
+            if (step.selector) {
+                if (step.state === 'attached') {
+                    await driver.waitForElement(step.selector, step.timeout);
+                } else {
+                    await driver.waitForVisible(step.selector, step.timeout);
+                }
+                return { selector: step.selector, state: step.state || 'visible' };
+            }
+            if (typeof step.duration === 'number') {
+                await driver.wait(step.duration);
+                return { duration: step.duration };
+            }
+            throw new InvalidRequestError('Wait step requires either "selector" or "duration"');
+
+        case 'popup': {
+            // Click something that opens a new tab and continue in it
+            _requireField(step, 'selector');
+            const popup = await driver.waitForPopup(step.selector, { timeout: step.timeout });
+            return { url: popup.url, title: popup.title, tabs: (await driver.getTabs()).length };
+        }
+
+        case 'switchTab': {
+            _requireField(step, 'tab');
+            const tab = await driver.switchToTab(step.tab);
+            return { index: tab.index, url: tab.url, title: tab.title };
+        }
+
+        case 'closeTab': {
+            const remaining = await driver.closeTab(step.tab ?? null);
+            const active = remaining.find(tab => tab.active);
+            return { tabs: remaining.length, url: active?.url };
+        }
+
+        case 'extract':
+            if (typeof options.extractData !== 'function') {
+                throw new Error('Extract steps are not supported by this runner');
+            }
+            return await options.extractData(step.extract || {});
+
+        case 'screenshot': {
+            const filename = step.filename || `step-${index + 1}.png`;
+            const screenshotPath = await driver.takeScreenshot(filename, step.includeTimestamp !== false);
+            return { path: screenshotPath };
+        }
+
+        case 'assert':
+            return await runAssertion(driver, step);
+
+        default:
+            throw new InvalidRequestError(`Unknown step type: ${step.type} (supported: ${STEP_TYPES.join(', ')})`);
+    }
+}
+
+/**
+ * Evaluate an assert step
+ *
+ * The asserted value is the text of `selector`, or the page url/title when
+ * `target` is 'url' or 'title'. Comparisons: equals, contains, matches (regex).
+ * Without a comparison the step only checks that the selector exists; use
+ * `exists: false` to assert that it does not.
+ *
+ * @param {PlaywrightDriver} driver - Started Playwright driver instance
+ * @param {Object} step - Assert step definition
+ * @returns {Promise<{passed: boolean, actual: *}>} Assertion result
+ */
+async function runAssertion(driver, step) {
+    let actual;
+
+    if (step.selector) {
+        if (step.exists === false) {
+            const elements = await driver.findElements(step.selector);
+            if (elements.length > 0) {
+                throw new AssertionFailedError(`Assertion failed: expected no element for ${step.selector}, found ${elements.length}`);
+            }
+            return { passed: true, actual: 0 };
+        }
+        actual = (await driver.getText(step.selector, step.timeout)).trim();
+    } else if (step.target === 'url') {
+        actual = await driver.getCurrentUrl();
+    } else if (step.target === 'title') {
+        actual = await driver.getTitle();
+    } else {
+        throw new InvalidRequestError('Assert step requires "selector" or target "url"/"title"');
+    }
+
+    const description = step.selector || step.target;
+
+    if (step.equals !== undefined && actual !== String(step.equals)) {
+        throw new AssertionFailedError(`Assertion failed: expected ${description} to equal "${step.equals}", got "${actual}"`);
+    }
+    if (step.contains !== undefined && !actual.includes(String(step.contains))) {
+        throw new AssertionFailedError(`Assertion failed: expected ${description} to contain "${step.contains}", got "${actual}"`);
+    }
+    if (step.matches !== undefined && !new RegExp(step.matches).test(actual)) {
+        throw new AssertionFailedError(`Assertion failed: expected ${description} to match /${step.matches}/, got "${actual}"`);
+    }
+
+    return { passed: true, actual };
+}
+
+/**
+ * Ensure a required step field is present
+ * @private
+ */
+function _requireField(step, field) {
+    if (step[field] === undefined || step[field] === null || step[field] === '') {
+        throw new InvalidRequestError(`Step "${step.type}" requires "${field}"`);
+    }
+}
+
+module.exports = {
+    STEP_TYPES,
+    runSteps,
+    executeStep,
+    runAssertion
+};
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * Warm Browser Manager - Browser reuse across warm Lambda invocations
+ *
+ * Keeps one launched browser alive at module scope so warm invocations skip
+ * the cold browser launch. Every request still gets a fresh, isolated browser
+ * context through createSession(), which is closed when the request ends.
+ *
+ * The browser is recycled (closed and relaunched on the next request) when:
+ * - it fails the health check (disconnected or crashed)
+ * - it has served `maxInvocations` requests
+ * - system memory usage is above `maxMemoryMb`
+ * - a request needs different browser-level options (e.g. another engine)
+ *
+ * If creating a session fails, the browser is relaunched once before giving up.
+ */
+
+const os = require('os');
+const logger = require('../common/utils/logger');
+const PlaywrightDriver = require('../automator/playwright/drivers/playwrightDriver');
+
+class WarmBrowserManager {
+    // Constants
+    static DEFAULT_MAX_INVOCATIONS = 50;
+    static DEFAULT_MEMORY_RATIO = 0.8;   // Share of the Lambda memory size that triggers a recycle
+
+    /**
+     * @param {Object} [options={}] - Manager options
+     * @param {number} [options.maxInvocations=50] - Requests served before the browser is recycled
+     * @param {number} [options.maxMemoryMb] - Used system memory (MB) that triggers a recycle
+     *   (defaults to 80% of AWS_LAMBDA_FUNCTION_MEMORY_SIZE, disabled outside Lambda)
+     */
+    constructor(options = {}) {
+        const lambdaMemoryMb = parseInt(process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE, 10);
+
+        this.options = {
+            maxInvocations: options.maxInvocations || WarmBrowserManager.DEFAULT_MAX_INVOCATIONS,
+            maxMemoryMb: options.maxMemoryMb ?? (Number.isFinite(lambdaMemoryMb)
+                ? Math.floor(lambdaMemoryMb * WarmBrowserManager.DEFAULT_MEMORY_RATIO)
+                : null)
+        };
+
+        this.driver = null;
+        this.driverOptions = null;
+        this.launchKey = null;
+        this.launchedAt = null;
+        this.invocations = 0;
+        this.recycles = 0;
+        this.crashed = false;
+        this.reused = false;
+    }
+
+    /**
+     * Make sure a healthy browser is available for this request
+     * Call once per invocation before creating sessions.
+     * @param {Object} driverOptions - PlaywrightDriver options for this request
+     * @returns {Promise<PlaywrightDriver>} Started driver that owns the warm browser
+     */
+    async prepare(driverOptions) {
+        this.driverOptions = driverOptions;
+
+        const recycleReason = this._getRecycleReason(driverOptions);
+        if (recycleReason) {
+            await this.shutdown(recycleReason);
+        }
+
+        this.reused = this.driver !== null;
+        if (!this.driver) {
+            await this._launch(driverOptions);
+        }
+
+        this.invocations++;
+        logger.info(`Warm browser ${this.reused ? 'reused' : 'launched'} (invocation ${this.invocations}/${this.options.maxInvocations})`);
+        return this.driver;
+    }
+
+    /**
+     * Create a fresh isolated session (context + page) on the warm browser
+     * Relaunches the browser once if the session cannot be created (crash recovery).
+     * @param {Object} [sessionOptions] - Context-level options (defaults to this request's driver options)
+     * @returns {Promise<PlaywrightDriver>} Started session driver; quit() closes only its context
+     */
+    async createSession(sessionOptions = this.driverOptions) {
+        if (!this.driver) {
+            throw new Error('Warm browser not prepared. Call prepare() first.');
+        }
+
+        try {
+            return await this.driver.createSession(sessionOptions);
+        } catch (error) {
+            logger.warn(`Warm browser session failed, relaunching browser: ${error.message}`);
+            await this.shutdown('session creation failed');
+            await this._launch(this.driverOptions);
+            this.reused = false;
+            return await this.driver.createSession(sessionOptions);
+        }
+    }
+
+    /**
+     * Check whether the warm browser can still be used
+     * @returns {boolean} True when the browser is started and connected
+     */
+    isHealthy() {
+        if (!this.driver || this.crashed || !this.driver.getIsStarted()) {
+            return false;
+        }
+
+        try {
+            return this.driver.getBrowser().isConnected();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Close the warm browser (it is relaunched by the next prepare())
+     * @param {string} [reason='shutdown'] - Reason recorded in the logs
+     */
+    async shutdown(reason = 'shutdown') {
+        if (!this.driver) {
+            return;
+        }
+
+        logger.info(`Recycling warm browser: ${reason}`);
+        const driver = this.driver;
+        this.driver = null;
+        this.launchKey = null;
+        this.launchedAt = null;
+        this.invocations = 0;
+        this.recycles++;
+
+        if (!this.crashed && driver.getIsStarted()) {
+            try {
+                await driver.quit();
+            } catch (error) {
+                logger.warn(`Warm browser shutdown warning: ${error.message}`);
+            }
+        }
+        this.crashed = false;
+    }
+
+    /**
+     * Get warm browser statistics for the response
+     * @returns {{mode: string, reused: boolean, invocation: number, launchedAt: string|null, recycles: number}} Stats
+     */
+    getStats() {
+        return {
+            mode: 'warm',
+            reused: this.reused,
+            invocation: this.invocations,
+            launchedAt: this.launchedAt,
+            recycles: this.recycles
+        };
+    }
+
+    /**
+     * Launch the browser and watch for crashes
+     * @private
+     */
+    async _launch(driverOptions) {
+        const driver = new PlaywrightDriver(driverOptions);
+        await driver.start();
+
+        driver.getBrowser().on('disconnected', () => {
+            if (this.driver === driver) {
+                logger.warn('Warm browser disconnected unexpectedly');
+                this.crashed = true;
+            }
+        });
+
+        this.driver = driver;
+        this.crashed = false;
+        this.launchKey = this._getLaunchKey(driverOptions);
+        this.launchedAt = new Date().toISOString();
+    }
+
+    /**
+     * Decide whether the current browser must be recycled before this request
+     * @private
+     */
+    _getRecycleReason(driverOptions) {
+        if (!this.driver) {
+            return null;
+        }
+        if (!this.isHealthy()) {
+            return 'health check failed';
+        }
+        if (this.invocations >= this.options.maxInvocations) {
+            return `served ${this.invocations} invocations`;
+        }
+        if (this.options.maxMemoryMb) {
+            const usedMemoryMb = Math.round((os.totalmem() - os.freemem()) / (1024 * 1024));
+            if (usedMemoryMb >= this.options.maxMemoryMb) {
+                return `memory usage ${usedMemoryMb}MB >= ${this.options.maxMemoryMb}MB`;
+            }
+        }
+        if (this._getLaunchKey(driverOptions) !== this.launchKey) {
+            return 'browser launch options changed';
+        }
+        return null;
+    }
+
+    /**
+     * Browser-level options that require a new launch when they change
+     * @private
+     */
+    _getLaunchKey(driverOptions) {
+        return JSON.stringify({
+            browser: driverOptions.browser,
+            headless: driverOptions.headless,
+            slowMo: driverOptions.slowMo,
+            wsEndpoint: driverOptions.wsEndpoint,
+            cdpEndpoint: driverOptions.cdpEndpoint
+        });
+    }
+}
+
+module.exports = WarmBrowserManager;
\ No newline at end of file
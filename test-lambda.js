@@ -10,21 +10,21 @@ const fs = require('fs');
 const path = require('path');
 
 async function testLambdaContainer(testFile = 'basic-test.json') {
+    const testEventPath = path.join(__dirname, 'tests', 'test-events', testFile);
+    if (!fs.existsSync(testEventPath)) {
+        throw new Error(`Test file not found: ${testEventPath}`);
+    }
+
+    return invokeLambda(fs.readFileSync(testEventPath, 'utf8'));
+}
+
+function invokeLambda(body) {
     return new Promise((resolve, reject) => {
         const timeout = setTimeout(() => {
             reject(new Error('Request timeout (30s)'));
         }, 30000);
 
         try {
-            const testEventPath = path.join(__dirname, 'tests', 'test-events', testFile);
-            if (!fs.existsSync(testEventPath)) {
-                clearTimeout(timeout);
-                reject(new Error(`Test file not found: ${testEventPath}`));
-                return;
-            }
-
-            const body = fs.readFileSync(testEventPath, 'utf8');
-            
             const req = http.request({
                 hostname: 'localhost',
                 port: 9000,
@@ -75,13 +75,40 @@ async function main() {
     console.log('');
 
     try {
-        const result = await testLambdaContainer(testFile);
+        let result = await testLambdaContainer(testFile);
         
         console.log(`📊 Status Code: ${result.statusCode}`);
+
+        if (result.statusCode === 202) {
+            result = await waitForJob(JSON.parse(result.body).data.jobId);
+        }
         
         if (result.statusCode === 200) {
-            const data = JSON.parse(result.body);
+            let data = JSON.parse(result.body);
+
+            if (data.data?.jobId) {
+                // Async job status: show the job result
+                const job = data.data;
+                console.log(`📬 Job ${job.status}`);
+                if (job.status === 'failed') {
+                    console.log('❌ ERROR!');
+                    console.log(`🚨 Error: ${job.error?.message || 'Unknown error'}`);
+                    return;
+                }
+                data = job.result;
+            }
+
             console.log('✅ SUCCESS!');
+
+            if (data.data.mode === 'batch') {
+                console.log(`📦 Batch: ${data.data.succeeded}/${data.data.total} succeeded`);
+                data.data.results.forEach(result => {
+                    console.log(`   ${result.status === 'success' ? '✅' : '❌'} ${result.url} (${result.executionTime}ms)`);
+                });
+                console.log(`⏱️  Execution Time: ${data.executionTime}ms`);
+                return;
+            }
+            
             console.log(`🌐 URL: ${data.data.url}`);
             console.log(`📄 Title: ${data.data.pageTitle}`);
             console.log(`⏱️  Execution Time: ${data.executionTime}ms`);
@@ -114,6 +141,26 @@ async function main() {
     }
 }
 
+async function waitForJob(jobId) {
+    console.log(`📬 Async job queued: ${jobId}`);
+
+    // Poll the job status (up to 2 minutes)
+    for (let attempt = 0; attempt < 60; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+        const result = await invokeLambda(JSON.stringify({ jobId }));
+        const job = JSON.parse(result.body).data;
+        if (!job || job.status === 'completed' || job.status === 'failed') {
+            return result;
+        }
+
+        const progress = job.progress?.total ? ` (${job.progress.completed}/${job.progress.total})` : '';
+        console.log(`   ⏳ ${job.status}${progress}`);
+    }
+
+    throw new Error(`Job ${jobId} did not finish within 2 minutes`);
+}
+
 // Show usage if --help
 if (process.argv.includes('--help') || process.argv.includes('-h')) {
     console.log('Usage: node test-lambda.js [test-file]');
@@ -121,6 +168,11 @@ if (process.argv.includes('--help') || process.argv.includes('-h')) {
     console.log('Examples:');
     console.log('  node test-lambda.js                    # Uses basic-test.json');
     console.log('  node test-lambda.js basic-test.json    # Test with example.com');
+    console.log('  node test-lambda.js steps-test.json    # Test a multi-step workflow');
+    console.log('  node test-lambda.js batch-test.json    # Test batch mode');
+    console.log('  node test-lambda.js apigateway-v2-test.json  # Test an API Gateway HTTP API event');
+    console.log('  node test-lambda.js artifacts-test.json    # Test screenshot/PDF artifacts');
+    console.log('  node test-lambda.js async-test.json    # Test an async job (polls its status)');
     console.log('');
     process.exit(0);
 }
@@ -0,0 +1,142 @@
+/**
+ * Conformance Harness - Test pages and per-engine drivers for the conformance suite
+ *
+ * describeConformance() serves the test pages on a local port, starts one
+ * driver per engine (CONFORMANCE_ENGINES) and registers the checks of a
+ * feature against each of them.
+ *
+ * An engine whose browser cannot be started is reported as skipped. A CI job
+ * that names its engines in CONFORMANCE_ENGINES has installed their browsers:
+ * there (CI and CONFORMANCE_ENGINES both set) a missing browser fails the
+ * checks, so a broken environment cannot pass as green.
+ *
+ * Usage:
+ *   const { describeConformance } = require('./conformanceHarness');
+ *   describeConformance('tabs', (check, session) => {
+ *     check('opens tabs', async () => {
+ *       await session.driver.newTab(session.url('/next'));
+ *     });
+ *   });
+ */
+
+const { describe, test, before, after } = require('node:test');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDriver } = require('../../src/automator/driverFactory');
+
+const ENGINES = (process.env.CONFORMANCE_ENGINES || 'playwright,selenium').split(',').map(engine => engine.trim());
+// Engines named explicitly in CI must be available
+const REQUIRE_ENGINES = Boolean(process.env.CI && process.env.CONFORMANCE_ENGINES);
+// Host name the browser uses to reach the test page (remote browsers cannot use 127.0.0.1)
+const PAGE_HOST = process.env.CONFORMANCE_HOST || '127.0.0.1';
+
+const TEST_PAGE = `<!DOCTYPE html>
+<html>
+<head><title>Conformance Page</title></head>
+<body>
+  <h1 id="heading">Hello Conformance</h1>
+  <ul class="items"><li>One</li><li>Two</li><li>Three</li></ul>
+  <input id="name" name="name" value="initial">
+  <label id="upload-label">Documents <input id="upload" type="file" multiple></label>
+  <button id="button" onclick="document.getElementById('status').textContent = 'clicked'">Click me</button>
+  <p id="status">idle</p>
+  <div id="late"></div>
+  <a id="next" href="/next">Next</a>
+  <a id="popup" href="/next" target="_blank">Popup</a>
+  <a id="download" href="/download">Download</a>
+  <iframe id="frame" src="/frame"></iframe>
+  <shadow-host id="shadow"></shadow-host>
+  <script>
+    setTimeout(() => { document.getElementById('late').innerHTML = '<span id="late-item">ready</span>'; }, 300);
+    document.getElementById('shadow').attachShadow({ mode: 'open' }).innerHTML = '<span class="inside">shadow</span>';
+  </script>
+</body>
+</html>`;
+
+const NEXT_PAGE = '<!DOCTYPE html><html><head><title>Next Page</title></head><body><p id="next-body">next</p></body></html>';
+const FRAME_PAGE = '<!DOCTYPE html><html><head><title>Frame Page</title></head><body><p id="frame-body">framed</p></body></html>';
+const PAGES = { '/next': NEXT_PAGE, '/frame': FRAME_PAGE };
+const DOWNLOAD_CONTENT = 'id,name\n1,Alice\n2,Bob\n';
+
+/**
+ * Register conformance checks for every engine
+ * @param {string} feature - Feature name shown in the test report
+ * @param {Function} defineChecks - (check, session) => void; `check(name, fn)` registers a check,
+ *   `session` holds `driver`, `engine`, `outputPath` and `url(pathname)` once the suite runs
+ */
+function describeConformance(feature, defineChecks) {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer((request, response) => {
+      if (request.url === '/download') {
+        response.writeHead(200, { 'Content-Type': 'text/csv', 'Content-Disposition': 'attachment; filename="report.csv"' });
+        response.end(DOWNLOAD_CONTENT);
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': 'text/html' });
+      response.end(PAGES[request.url] || TEST_PAGE);
+    });
+    await new Promise(resolve => server.listen(0, PAGE_HOST === '127.0.0.1' ? '127.0.0.1' : '0.0.0.0', resolve));
+    baseUrl = `http://${PAGE_HOST}:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  for (const engine of ENGINES) {
+    describe(`${engine} engine: ${feature}`, () => {
+      const session = {
+        engine: engine,
+        driver: null,
+        outputPath: fs.mkdtempSync(path.join(os.tmpdir(), `conformance-${engine}-`)),
+        url: (pathname = '/') => `${baseUrl}${pathname}`
+      };
+      let unavailable = null;
+
+      const check = (name, fn) => test(name, async (t) => {
+        if (unavailable) {
+          if (REQUIRE_ENGINES) {
+            throw new Error(`${unavailable} (required by CONFORMANCE_ENGINES in CI)`);
+          }
+          t.skip(unavailable);
+          return;
+        }
+        await fn();
+      });
+
+      before(async () => {
+        try {
+          session.driver = createDriver({
+            engine: engine,
+            headless: true,
+            timeout: 5000,
+            implicitWait: 0,          // Selenium: explicit waits only, so missing elements fail fast
+            outputPath: session.outputPath,
+            downloadsPath: path.join(session.outputPath, 'downloads')
+          });
+          await session.driver.start();
+        } catch (error) {
+          unavailable = `${engine} browser not available: ${error.message.split('\n')[0]}`;
+        }
+      });
+
+      after(async () => {
+        if (session.driver?.getIsStarted()) {
+          await session.driver.quit();
+        }
+        fs.rmSync(session.outputPath, { recursive: true, force: true });
+      });
+
+      defineChecks(check, session);
+    });
+  }
+}
+
+module.exports = {
+  ENGINES,
+  DOWNLOAD_CONTENT,
+  describeConformance
+};
\ No newline at end of file
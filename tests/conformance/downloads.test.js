@@ -0,0 +1,21 @@
+/**
+ * Download conformance - waitForDownload and the saved file details
+ */
+
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const { describeConformance, DOWNLOAD_CONTENT } = require('./conformanceHarness');
+
+describeConformance('downloads', (check, session) => {
+  check('waits for downloads to finish', async () => {
+    const { driver } = session;
+    await driver.navigateTo(session.url('/'));
+    const download = await driver.waitForDownload('#download', { timeout: 10000 });
+    assert.strictEqual(download.suggestedFilename, 'report.csv');
+    assert.strictEqual(download.size, Buffer.byteLength(DOWNLOAD_CONTENT));
+    assert.strictEqual(download.mimeType, 'text/csv');
+    assert.strictEqual(download.sha256, crypto.createHash('sha256').update(DOWNLOAD_CONTENT).digest('hex'));
+    assert.strictEqual(fs.readFileSync(download.path, 'utf8'), DOWNLOAD_CONTENT);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Driver Conformance Suite - The AutomationDriver contract on every engine
+ *
+ * Runs the same checks against Playwright and Selenium using a local test
+ * page (see conformanceHarness). Feature checks live next to this file:
+ * tabs, frames, session state, uploads and downloads.
+ *
+ * Run:  npm run test:conformance
+ * Pick engines:  CONFORMANCE_ENGINES=playwright npm run test:conformance
+ * Selenium Grid:  npm run docker:grid, then
+ *   SELENIUM_REMOTE_URL=http://localhost:4444 CONFORMANCE_HOST=host.docker.internal \
+ *   CONFORMANCE_ENGINES=selenium npm run test:conformance
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const AutomationDriver = require('../../src/automator/automationDriver');
+const { createDriver } = require('../../src/automator/driverFactory');
+const { describeConformance } = require('./conformanceHarness');
+
+describeConformance('driver contract', (check, session) => {
+  test('implements the AutomationDriver contract', () => {
+    const driverClass = createDriver({ engine: session.engine }).constructor;
+    assert.ok(driverClass.prototype instanceof AutomationDriver);
+    assert.deepStrictEqual(AutomationDriver.getMissingMethods(driverClass), []);
+  });
+
+  check('starts', () => {
+    assert.strictEqual(session.driver.getIsStarted(), true);
+  });
+
+  check('navigates and reports url and title', async () => {
+    const { driver } = session;
+    const result = await driver.navigateTo(session.url('/'));
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.title, 'Conformance Page');
+    assert.strictEqual(result.url, session.url('/'));
+    assert.strictEqual(await driver.getTitle(), 'Conformance Page');
+    assert.strictEqual(await driver.getCurrentUrl(), session.url('/'));
+  });
+
+  check('reads text with CSS and XPath selectors', async () => {
+    const { driver } = session;
+    assert.strictEqual(await driver.getText('#heading'), 'Hello Conformance');
+    assert.strictEqual(await driver.getText('ul.items li:nth-child(2)'), 'Two');
+    assert.strictEqual(await driver.getText('//h1'), 'Hello Conformance');
+  });
+
+  check('finds elements', async () => {
+    const { driver } = session;
+    assert.ok(await driver.findElement('#heading'));
+    assert.strictEqual((await driver.findElements('.items li')).length, 3);
+    assert.strictEqual((await driver.findElements('.does-not-exist')).length, 0);
+  });
+
+  check('types, clears and clicks', async () => {
+    const { driver } = session;
+    await driver.clearText('#name');
+    await driver.sendKeys('#name', 'typed');
+    assert.strictEqual(await driver.executeScript(() => document.getElementById('name').value), 'typed');
+
+    await driver.click('#button');
+    assert.strictEqual(await driver.getText('#status'), 'clicked');
+  });
+
+  check('runs functions with one argument', async () => {
+    assert.strictEqual(await session.driver.executeScript((value) => value * 2, 21), 42);
+  });
+
+  check('waits for elements rendered later', async () => {
+    const { driver } = session;
+    await driver.refresh();
+    await driver.waitForVisible('#late-item', 5000);
+    assert.strictEqual(await driver.getText('#late-item'), 'ready');
+    await driver.waitForElement('#late-item', 1000);
+    await driver.waitForClickable('#button', 1000);
+  });
+
+  check('rejects missing elements with SELECTOR_NOT_FOUND', async () => {
+    await assert.rejects(session.driver.findElement('#missing', 500), (error) => {
+      assert.strictEqual(error.code, 'SELECTOR_NOT_FOUND');
+      assert.strictEqual(error.retryable, false);
+      return true;
+    });
+  });
+
+  check('moves through history', async () => {
+    const { driver } = session;
+    await driver.navigateTo(session.url('/'));
+    await driver.click('#next');
+    await driver.waitForVisible('#next-body', 5000);
+    assert.strictEqual(await driver.getTitle(), 'Next Page');
+
+    await driver.goBack();
+    await driver.waitForVisible('#heading', 5000);
+    assert.strictEqual(await driver.getTitle(), 'Conformance Page');
+
+    await driver.goForward();
+    await driver.waitForVisible('#next-body', 5000);
+    assert.strictEqual(await driver.getTitle(), 'Next Page');
+  });
+
+  check('returns the page source', async () => {
+    await session.driver.navigateTo(session.url('/'));
+    assert.match(await session.driver.getPageSource(), /Hello Conformance/);
+  });
+
+  check('saves screenshots to the output directory', async () => {
+    const screenshotPath = await session.driver.takeScreenshot('conformance.png', false);
+    assert.strictEqual(screenshotPath, path.join(session.outputPath, 'screenshots', 'conformance.png'));
+    const header = fs.readFileSync(screenshotPath).subarray(0, 8);
+    assert.deepStrictEqual([...header], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  });
+
+  check('quits', async () => {
+    await session.driver.quit();
+    assert.strictEqual(session.driver.getIsStarted(), false);
+  });
+});
\ No newline at end of file
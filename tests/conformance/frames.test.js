@@ -0,0 +1,27 @@
+/**
+ * Frames and shadow DOM conformance - Selector chains and switchToFrame
+ */
+
+const assert = require('node:assert');
+const { describeConformance } = require('./conformanceHarness');
+
+describeConformance('frames and shadow roots', (check, session) => {
+  check('reads inside frames and shadow roots with selector chains', async () => {
+    const { driver } = session;
+    await driver.navigateTo(session.url('/'));
+    assert.strictEqual(await driver.getText('#frame >> #frame-body', 5000), 'framed');
+    assert.strictEqual(await driver.getText('#shadow >>> .inside'), 'shadow');
+    assert.strictEqual(await driver.getText('#heading'), 'Hello Conformance');
+  });
+
+  check('switches into a frame and back', async () => {
+    const { driver } = session;
+    await driver.navigateTo(session.url('/'));
+    const frame = await driver.switchToFrame('#frame');
+    assert.strictEqual(frame.url, session.url('/frame'));
+    assert.strictEqual(await driver.getText('#frame-body'), 'framed');
+    await driver.switchToMainFrame();
+    assert.strictEqual(await driver.getText('#heading'), 'Hello Conformance');
+    assert.strictEqual(await driver.getTitle(), 'Conformance Page');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Session state conformance - saveSessionState and loadSessionState
+ */
+
+const assert = require('node:assert');
+const path = require('path');
+const { describeConformance } = require('./conformanceHarness');
+
+describeConformance('session state', (check, session) => {
+  check('saves and restores session state', async () => {
+    const { driver } = session;
+    await driver.navigateTo(session.url('/'));
+    await driver.executeScript(() => {
+      document.cookie = 'session=abc; path=/';
+      window.localStorage.setItem('token', 'xyz');
+    });
+    const statePath = path.join(session.outputPath, 'state.json');
+    const saved = await driver.saveSessionState(statePath, { encryptionKey: 'conformance' });
+    assert.strictEqual(saved.encrypted, true);
+
+    await driver.executeScript(() => {
+      document.cookie = 'session=; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+      window.localStorage.clear();
+    });
+    await driver.loadSessionState(statePath, { encryptionKey: 'conformance' });
+    await driver.navigateTo(session.url('/'));
+    assert.strictEqual(await driver.executeScript(() => document.cookie), 'session=abc');
+    assert.strictEqual(await driver.executeScript(() => window.localStorage.getItem('token')), 'xyz');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Tabs and popups conformance - waitForPopup, switchToTab, newTab and closeTab
+ */
+
+const assert = require('node:assert');
+const { describeConformance } = require('./conformanceHarness');
+
+describeConformance('tabs and popups', (check, session) => {
+  check('follows popups and switches tabs', async () => {
+    const { driver } = session;
+    await driver.navigateTo(session.url('/'));
+    const popup = await driver.waitForPopup('#popup', { timeout: 5000 });
+    assert.strictEqual(popup.active, true);
+    assert.strictEqual(popup.url, session.url('/next'));
+    assert.strictEqual(await driver.getText('#next-body'), 'next');
+    assert.strictEqual((await driver.getTabs()).length, 2);
+
+    const opener = await driver.switchToTab(0);
+    assert.strictEqual(opener.title, 'Conformance Page');
+    assert.strictEqual(await driver.getTitle(), 'Conformance Page');
+
+    await driver.switchToTab('Next Page');
+    const remaining = await driver.closeTab();
+    assert.strictEqual(remaining.length, 1);
+    assert.strictEqual(remaining[0].active, true);
+    assert.strictEqual(await driver.getTitle(), 'Conformance Page');
+  });
+
+  check('opens and closes tabs by index', async () => {
+    const { driver } = session;
+    await driver.navigateTo(session.url('/'));
+    const tab = await driver.newTab(session.url('/next'));
+    assert.strictEqual(tab.index, 1);
+    await driver.closeTab(1);
+    assert.strictEqual(await driver.getTitle(), 'Conformance Page');
+    await assert.rejects(driver.closeTab(), /last tab/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * Upload conformance - uploadFile with files from disk and memory
+ */
+
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { describeConformance } = require('./conformanceHarness');
+
+describeConformance('uploads', (check, session) => {
+  check('uploads files from disk and memory', async () => {
+    const { driver } = session;
+    await driver.navigateTo(session.url('/'));
+    const filePath = path.join(session.outputPath, 'report.csv');
+    fs.writeFileSync(filePath, 'a,b\n1,2\n');
+
+    const result = await driver.uploadFile('#upload', [filePath, { name: 'notes.txt', buffer: Buffer.from('hello') }]);
+    assert.deepStrictEqual(result.files, ['report.csv', 'notes.txt']);
+    const files = () => driver.executeScript(() => Array.from(document.getElementById('upload').files).map(file => `${file.name}:${file.size}`));
+    assert.deepStrictEqual(await files(), ['report.csv:8', 'notes.txt:5']);
+
+    await driver.uploadFile('#upload-label', { name: 'scan.pdf', buffer: Buffer.alloc(3) });
+    assert.deepStrictEqual(await files(), ['scan.pdf:3']);
+  });
+});
\ No newline at end of file
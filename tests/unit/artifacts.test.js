@@ -0,0 +1,147 @@
+/**
+ * Artifact collector - Inline and file delivery of captured artifacts
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ArtifactCollector } = require('../../src/lambda/artifacts');
+
+// Writes `sizes[name]` bytes (default 100) for every capture, like the driver saving into its output directory
+function fakeDriver(directory, sizes = {}) {
+  const save = async (filename) => {
+    const filePath = path.join(directory, filename);
+    await fs.writeFile(filePath, Buffer.alloc(sizes[path.parse(filename).name] ?? 100, 1));
+    return filePath;
+  };
+  return {
+    started: true,
+    getIsStarted() {
+      return this.started;
+    },
+    takeScreenshot: (filename) => save(filename),
+    savePdf: (filename) => save(filename),
+    async waitForDownload(selector) {
+      return { path: await save('report.csv'), mimeType: 'text/csv', suggestedFilename: 'report.csv', sha256: 'abc', selector };
+    }
+  };
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
+
+describe('ArtifactCollector', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'artifacts-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('inlines artifacts and removes their files', async () => {
+    const collector = new ArtifactCollector();
+    const [artifact] = await collector.captureAll(fakeDriver(directory), [{ type: 'screenshot', name: 'page' }]);
+
+    assert.deepStrictEqual(artifact, {
+      name: 'page',
+      type: 'screenshot',
+      contentType: 'image/png',
+      bytes: 100,
+      delivery: 'inline',
+      data: Buffer.alloc(100, 1).toString('base64')
+    });
+    assert.strictEqual(await exists(path.join(directory, 'page.png')), false);
+  });
+
+  test('switches to file references once the auto budget is used', async () => {
+    const collector = new ArtifactCollector({ maxInlineBytes: 250 });
+    const artifacts = await collector.captureAll(fakeDriver(directory), [
+      { type: 'screenshot' }, { type: 'pdf' }, { type: 'screenshot' }
+    ]);
+
+    assert.deepStrictEqual(artifacts.map(artifact => [artifact.name, artifact.delivery]), [
+      ['screenshot-1', 'inline'], ['pdf-2', 'inline'], ['screenshot-3', 'file']
+    ]);
+    assert.strictEqual(artifacts[2].path, path.join(directory, 'screenshot-3.png'));
+    assert.strictEqual(await exists(artifacts[2].path), true);
+  });
+
+  test('keeps inlining smaller artifacts that still fit', async () => {
+    const collector = new ArtifactCollector({ maxInlineBytes: 250 });
+    const artifacts = await collector.captureAll(fakeDriver(directory, { big: 200, small: 50 }), [
+      { type: 'screenshot', name: 'big' }, { type: 'pdf', name: 'report' }, { type: 'screenshot', name: 'small' }
+    ]);
+
+    assert.deepStrictEqual(artifacts.map(artifact => artifact.delivery), ['inline', 'file', 'inline']);
+  });
+
+  test('shares the budget across the targets of a batch', async () => {
+    const collector = new ArtifactCollector({ maxInlineBytes: 150 });
+    const first = await collector.captureAll(fakeDriver(directory), [{ type: 'screenshot', name: 'first' }]);
+    const second = await collector.captureAll(fakeDriver(directory), [{ type: 'screenshot', name: 'second' }]);
+
+    assert.strictEqual(first[0].delivery, 'inline');
+    assert.strictEqual(second[0].delivery, 'file');
+    assert.strictEqual(collector.inlineBytes, 100);
+  });
+
+  test('always returns file references in file mode', async () => {
+    const collector = new ArtifactCollector({ delivery: 'file' });
+    const [artifact] = await collector.captureAll(fakeDriver(directory), [{ type: 'pdf', name: 'report' }]);
+
+    assert.strictEqual(artifact.delivery, 'file');
+    assert.strictEqual(artifact.data, undefined);
+    assert.strictEqual(artifact.contentType, 'application/pdf');
+    assert.strictEqual(collector.inlineBytes, 0);
+  });
+
+  test('fails inline artifacts over the budget and removes their files', async () => {
+    const collector = new ArtifactCollector({ delivery: 'inline', maxInlineBytes: 150 });
+    const artifacts = await collector.captureAll(fakeDriver(directory), [
+      { type: 'screenshot', name: 'first' }, { type: 'screenshot', name: 'second' }
+    ]);
+
+    assert.strictEqual(artifacts[0].delivery, 'inline');
+    assert.strictEqual(artifacts[1].delivery, undefined);
+    assert.match(artifacts[1].error.message, /100 bytes, which exceeds the inline budget \(50 of 150 bytes left\)/);
+    assert.strictEqual(await exists(path.join(directory, 'second.png')), false);
+  });
+
+  test('adds the file name and checksum of downloads', async () => {
+    const collector = new ArtifactCollector();
+    const [artifact] = await collector.captureAll(fakeDriver(directory), [{ type: 'download', name: 'export', selector: '#export' }]);
+
+    assert.strictEqual(artifact.contentType, 'text/csv');
+    assert.strictEqual(artifact.filename, 'report.csv');
+    assert.strictEqual(artifact.sha256, 'abc');
+    assert.strictEqual(artifact.delivery, 'inline');
+  });
+
+  test('records failed captures on the artifact', async () => {
+    const collector = new ArtifactCollector();
+    const artifacts = await collector.captureAll(fakeDriver(directory), [{ type: 'download' }, { type: 'video' }]);
+
+    assert.match(artifacts[0].error.message, /need the selector/);
+    assert.deepStrictEqual(artifacts[1], {
+      name: 'video-2',
+      type: 'video',
+      error: { message: 'Unknown artifact type: video (supported: screenshot, pdf, download)', type: 'Error' }
+    });
+  });
+
+  test('captures error evidence only when enabled and the browser is still running', async () => {
+    const driver = fakeDriver(directory);
+
+    assert.strictEqual(await new ArtifactCollector().captureErrorEvidence(driver), null);
+    const [evidence] = await new ArtifactCollector({ captureOnError: true }).captureErrorEvidence(driver);
+    assert.strictEqual(evidence.name, 'error');
+    driver.started = false;
+    assert.strictEqual(await new ArtifactCollector({ captureOnError: true }).captureErrorEvidence(driver), null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,104 @@
+/**
+ * Async jobs - Callback targets and job dispatch
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { submitJob, isPrivateAddress, checkCallbackUrl, postCallback } = require('../../src/lambda/asyncJobs');
+const { createJobStore } = require('../../src/lambda/jobStore');
+
+function memoryStore() {
+  const jobs = new Map();
+  return {
+    jobs,
+    async create(job) {
+      jobs.set(job.jobId, { ...job });
+    },
+    async update(jobId, patch) {
+      const job = { ...jobs.get(jobId), ...patch };
+      jobs.set(jobId, job);
+      return job;
+    }
+  };
+}
+
+describe('isPrivateAddress', () => {
+  test('flags loopback, private, link-local and reserved addresses', () => {
+    for (const address of ['127.0.0.1', '10.0.0.5', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00:ec2::254', 'fe80::1', '::ffff:10.0.0.1']) {
+      assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+  });
+
+  test('lets public addresses through', () => {
+    for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:1.1.1.1']) {
+      assert.strictEqual(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('checkCallbackUrl', () => {
+  test('rejects malformed URLs and other protocols', () => {
+    assert.throws(() => checkCallbackUrl('not a url'), { code: 'INVALID_REQUEST' });
+    assert.throws(() => checkCallbackUrl('file:///etc/passwd'), /unsupported protocol file:/);
+  });
+
+  test('rejects internal IP addresses unless allowed', () => {
+    assert.throws(() => checkCallbackUrl('http://169.254.169.254/latest/meta-data'), /internal address/);
+    assert.throws(() => checkCallbackUrl('http://[::1]:8080/'), /internal address: ::1/);
+    assert.strictEqual(checkCallbackUrl('http://127.0.0.1:3000/', { allowPrivateCallbacks: true }).port, '3000');
+  });
+
+  test('restricts hosts to callbackHosts', () => {
+    const policy = { callbackHosts: ['hooks.example.com', '*.example.org'] };
+    assert.strictEqual(checkCallbackUrl('https://hooks.example.com/done', policy).hostname, 'hooks.example.com');
+    assert.strictEqual(checkCallbackUrl('https://api.EXAMPLE.org/done', policy).hostname, 'api.example.org');
+    assert.throws(() => checkCallbackUrl('https://example.com/done', policy), /not in automation.jobs.callbackHosts/);
+    assert.throws(() => checkCallbackUrl('https://evilexample.org/done', policy), /not in automation.jobs.callbackHosts/);
+  });
+});
+
+describe('postCallback', () => {
+  test('does not send to host names resolving to internal addresses', async () => {
+    const outcome = await postCallback('http://localhost:9/hook', { status: 'completed' });
+    assert.strictEqual(outcome.delivered, false);
+    assert.match(outcome.error, /resolves to an internal address/);
+  });
+});
+
+describe('submitJob', () => {
+  test('hands the queued job to dispatch instead of running it', async () => {
+    const store = memoryStore();
+    const dispatched = [];
+    const job = await submitJob(store, async () => assert.fail('runs in the worker'), {
+      dispatch: async (queued) => dispatched.push(queued.jobId)
+    });
+    assert.deepStrictEqual(dispatched, [job.jobId]);
+    assert.strictEqual(store.jobs.get(job.jobId).status, 'queued');
+  });
+
+  test('refuses to dispatch jobs kept in a store that is not shared', async () => {
+    const store = Object.assign(memoryStore(), { shared: false });
+    await assert.rejects(
+      submitJob(store, async () => ({}), { dispatch: async () => assert.fail('not dispatched') }),
+      /need a job store shared between execution environments/
+    );
+    assert.strictEqual(store.jobs.size, 0);
+  });
+
+  test('treats filesystem stores as local unless configured as shared', () => {
+    assert.strictEqual(createJobStore({}).shared, false);
+    assert.strictEqual(createJobStore({ store: 'filesystem', path: '/mnt/efs/jobs', shared: true }).shared, true);
+  });
+
+  test('marks the job failed when dispatch fails', async () => {
+    const store = memoryStore();
+    await assert.rejects(
+      submitJob(store, async () => ({}), { dispatch: async () => { throw new Error('AccessDenied'); } }),
+      /AccessDenied/
+    );
+    const [record] = store.jobs.values();
+    assert.strictEqual(record.status, 'failed');
+    assert.strictEqual(record.error.message, 'AccessDenied');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * Automation errors - Error types, classification and serialization
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+  AutomationError,
+  InvalidRequestError,
+  MethodNotAllowedError,
+  BrowserLaunchFailedError,
+  NavigationFailedError,
+  NavigationTimeoutError,
+  DnsFailureError,
+  ConnectionFailedError,
+  HttpErrorStatusError,
+  SelectorNotFoundError,
+  ScriptError,
+  DeadlineExceededError,
+  classifyError,
+  serializeError
+} = require('../../src/common/utils/automationErrors');
+
+function timeoutError(message = 'Timeout 30000ms exceeded.') {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  return error;
+}
+
+describe('AutomationError', () => {
+  test('takes code, status and retryable flag from its class', () => {
+    const error = new NavigationTimeoutError('slow');
+    assert.strictEqual(error.name, 'NavigationTimeoutError');
+    assert.strictEqual(error.code, 'NAVIGATION_TIMEOUT');
+    assert.strictEqual(error.statusCode, 504);
+    assert.strictEqual(error.retryable, true);
+    assert.ok(error instanceof AutomationError);
+
+    const invalid = new InvalidRequestError('bad');
+    assert.deepStrictEqual([invalid.code, invalid.statusCode, invalid.retryable], ['INVALID_REQUEST', 400, false]);
+    assert.strictEqual(new MethodNotAllowedError('PUT').statusCode, 405);
+  });
+
+  test('lets options override the class defaults and keeps cause and details', () => {
+    const cause = new Error('root');
+    const error = new AutomationError('custom', {
+      cause, code: 'CUSTOM', statusCode: 418, retryable: true, details: { step: 2 }
+    });
+    assert.deepStrictEqual([error.code, error.statusCode, error.retryable], ['CUSTOM', 418, true]);
+    assert.strictEqual(error.cause, cause);
+    assert.deepStrictEqual(error.details, { step: 2 });
+    assert.strictEqual('details' in new AutomationError('plain'), false);
+  });
+
+  test('retries HTTP error statuses only for server errors and rate limiting', () => {
+    assert.strictEqual(new HttpErrorStatusError('503', { status: 503 }).retryable, true);
+    assert.strictEqual(new HttpErrorStatusError('429', { status: 429 }).retryable, true);
+    const notFound = new HttpErrorStatusError('404', { details: { status: 404, url: 'https://example.com/x' } });
+    assert.strictEqual(notFound.retryable, false);
+    assert.strictEqual(notFound.status, 404);
+    assert.deepStrictEqual(notFound.details, { status: 404, url: 'https://example.com/x' });
+  });
+});
+
+describe('classifyError', () => {
+  test('returns automation errors unchanged', () => {
+    const error = new DeadlineExceededError('late');
+    assert.strictEqual(classifyError(error, { operation: 'navigation' }), error);
+    assert.strictEqual(classifyError(error, { message: 'late' }), error);
+  });
+
+  test('keeps the type of automation errors when adding context', () => {
+    const error = new SelectorNotFoundError('missing', { details: { selector: '#a' } });
+    const wrapped = classifyError(error, { message: 'Step 3: missing' });
+    assert.ok(wrapped instanceof SelectorNotFoundError);
+    assert.strictEqual(wrapped.message, 'Step 3: missing');
+    assert.strictEqual(wrapped.cause, error);
+    assert.deepStrictEqual(wrapped.details, { selector: '#a' });
+  });
+
+  test('classifies launch failures', () => {
+    assert.ok(classifyError(new Error('Executable doesn\'t exist'), { operation: 'launch' }) instanceof BrowserLaunchFailedError);
+  });
+
+  test('classifies navigation failures by message', () => {
+    const classify = (error) => classifyError(error, { operation: 'navigation' });
+    assert.ok(classify(new Error('net::ERR_NAME_NOT_RESOLVED at https://nope.invalid')) instanceof DnsFailureError);
+    assert.ok(classify(new Error('NS_ERROR_CONNECTION_REFUSED')) instanceof ConnectionFailedError);
+    assert.ok(classify(timeoutError()) instanceof NavigationTimeoutError);
+    assert.ok(classify(new Error('page.goto: Navigation timed out')) instanceof NavigationTimeoutError);
+    assert.ok(classify(new Error('net::ERR_ABORTED')) instanceof NavigationFailedError);
+  });
+
+  test('classifies element failures', () => {
+    const classify = (error) => classifyError(error, { operation: 'element', message: 'Failed to click #go' });
+    const missing = classify(timeoutError());
+    assert.ok(missing instanceof SelectorNotFoundError);
+    assert.strictEqual(missing.message, 'Failed to click #go');
+
+    const noSuchElement = new Error('Unable to locate element: #go');
+    noSuchElement.name = 'NoSuchElementError';
+    assert.ok(classify(noSuchElement) instanceof SelectorNotFoundError);
+
+    const other = classify(new Error('Element is not attached to the DOM'));
+    assert.strictEqual(other.constructor, AutomationError);
+  });
+
+  test('classifies script failures', () => {
+    assert.ok(classifyError(new Error('ReferenceError: x is not defined'), { operation: 'script' }) instanceof ScriptError);
+  });
+
+  test('classifies errors without an operation', () => {
+    assert.ok(classifyError(new Error('getaddrinfo ENOTFOUND example.invalid')) instanceof DnsFailureError);
+    assert.ok(classifyError(new Error('connect ECONNREFUSED 127.0.0.1:80')) instanceof ConnectionFailedError);
+
+    const fsError = Object.assign(new Error('no such file'), { code: 'ENOENT' });
+    const classified = classifyError(fsError);
+    assert.deepStrictEqual([classified.code, classified.retryable, classified.cause], ['ENOENT', false, fsError]);
+    assert.strictEqual(classifyError(timeoutError('operation timed out')).retryable, true);
+  });
+
+  test('accepts values that are not errors', () => {
+    const classified = classifyError('plain string');
+    assert.strictEqual(classified.message, 'plain string');
+    assert.strictEqual(classified.code, 'AUTOMATION_ERROR');
+    assert.strictEqual(classified.cause, undefined);
+  });
+});
+
+describe('serializeError', () => {
+  test('returns message, type, code and retryable flag', () => {
+    assert.deepStrictEqual(serializeError(new NavigationTimeoutError('slow')), {
+      message: 'slow', type: 'NavigationTimeoutError', code: 'NAVIGATION_TIMEOUT', retryable: true
+    });
+  });
+
+  test('adds details only when present', () => {
+    assert.deepStrictEqual(serializeError(new HttpErrorStatusError('gone', { status: 410 })).details, { status: 410 });
+    assert.deepStrictEqual(serializeError(new Error('boom')), {
+      message: 'boom', type: 'AutomationError', code: 'AUTOMATION_ERROR', retryable: false
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * BasePlaywrightParser.extractField - Single values, lists and nested records
+ *
+ * Uses a small stand-in for Page and Locator over plain objects, so no browser is needed.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const BasePlaywrightParser = require('../../src/automator/playwright/parsers/basePlaywrightParser');
+
+// Node: { tag, className, text, attrs, children }; selectors are a tag or a .class
+function element(tag, className, text, attrs = {}, children = []) {
+  return { tag, className, text, attrs, children, value: attrs.value, outerHTML: `<${tag}>` };
+}
+
+function descendants(node) {
+  return node.children.flatMap(child => [child, ...descendants(child)]);
+}
+
+function textOf(node) {
+  return node.text ?? node.children.map(textOf).join('');
+}
+
+function fakeLocator(nodes) {
+  return {
+    locator: (selector) => fakeLocator(nodes.flatMap(descendants).filter(node =>
+      selector.startsWith('.') ? node.className === selector.slice(1) : node.tag === selector)),
+    count: async () => nodes.length,
+    nth: (index) => fakeLocator([nodes[index]]),
+    textContent: async () => textOf(nodes[0]),
+    innerText: async () => textOf(nodes[0]).trim(),
+    innerHTML: async () => `<${nodes[0].children.length} children>`,
+    getAttribute: async (name) => nodes[0].attrs[name] ?? null,
+    evaluate: async (fn, arg) => fn(nodes[0], arg)
+  };
+}
+
+function fakePage(root) {
+  return {
+    locator: (selector) => (selector === ':root' ? fakeLocator([root]) : fakeLocator([root]).locator(selector))
+  };
+}
+
+const DOCUMENT = element('html', null, null, {}, [
+  element('h1', 'title', '  Products  '),
+  element('ul', 'list', null, {}, [
+    element('li', 'item', null, { 'data-id': '1' }, [element('span', 'name', ' Lamp '), element('a', 'link', 'View', { href: '/p/1' })]),
+    element('li', 'item', null, { 'data-id': '2' }, [element('span', 'name', ' Desk '), element('input', 'qty', null, { value: '3' })]),
+    element('li', 'item', null, { 'data-id': '3' }, [element('span', 'name', ' Chair ')])
+  ])
+]);
+
+function parser() {
+  return new BasePlaywrightParser(fakePage(DOCUMENT));
+}
+
+describe('BasePlaywrightParser.extractField', () => {
+  test('reads the trimmed text of the first match', async () => {
+    assert.strictEqual(await parser().extractField({ name: 'title', selector: '.title' }), 'Products');
+    assert.strictEqual(await parser().extractField({ name: 'title', selector: '.title', trim: false }), '  Products  ');
+    assert.strictEqual(await parser().extractField({ name: 'first', selector: '.name' }), 'Lamp');
+  });
+
+  test('reads attributes, properties and HTML', async () => {
+    assert.strictEqual(await parser().extractField({ name: 'id', selector: '.item', attribute: 'data-id' }), '1');
+    assert.strictEqual(await parser().extractField({ name: 'qty', selector: '.qty', property: 'value' }), '3');
+    assert.strictEqual(await parser().extractField({ name: 'html', selector: '.list', attribute: 'innerHTML' }), '<3 children>');
+    assert.strictEqual(await parser().extractField({ name: 'tag', selector: '.title', attribute: 'outerHTML' }), '<h1>');
+    assert.strictEqual(await parser().extractField({ name: 'text', selector: '.title', attribute: 'innerText' }), 'Products');
+  });
+
+  test('reads computed styles by camelCase or CSS property name', async () => {
+    global.window = { getComputedStyle: (node) => ({ getPropertyValue: (name) => `${node.tag} ${name}` }) };
+    try {
+      assert.strictEqual(await parser().extractField({ name: 'size', selector: '.title', style: 'fontSize' }), 'h1 font-size');
+      assert.strictEqual(await parser().extractField({ name: 'color', selector: '.title', style: 'background-color' }), 'h1 background-color');
+    } finally {
+      delete global.window;
+    }
+  });
+
+  test('returns every match with multiple, up to the limit', async () => {
+    assert.deepStrictEqual(await parser().extractField({ name: 'names', selector: '.name', multiple: true }), ['Lamp', 'Desk', 'Chair']);
+    assert.deepStrictEqual(await parser().extractField({ name: 'names', selector: '.name', multiple: true, limit: 2 }), ['Lamp', 'Desk']);
+  });
+
+  test('builds one record per match from child fields', async () => {
+    const products = await parser().extractField({
+      name: 'products',
+      selector: '.item',
+      multiple: true,
+      fields: [
+        { name: 'id', attribute: 'data-id' },
+        { name: 'name', selector: '.name' },
+        { name: 'link', selector: '.link', attribute: 'href', default: 'none' }
+      ]
+    });
+    assert.deepStrictEqual(products, [
+      { id: '1', name: 'Lamp', link: '/p/1' },
+      { id: '2', name: 'Desk', link: 'none' },
+      { id: '3', name: 'Chair', link: 'none' }
+    ]);
+  });
+
+  test('reads the document element when a top-level field has no selector', async () => {
+    assert.strictEqual(await parser().extractField({ name: 'page' }), 'Products   Lamp View Desk  Chair');
+  });
+
+  test('falls back to the default when nothing matches', async () => {
+    assert.strictEqual(await parser().extractField({ name: 'price', selector: '.price' }), null);
+    assert.deepStrictEqual(await parser().extractField({ name: 'prices', selector: '.price', multiple: true }), []);
+    assert.strictEqual(await parser().extractField({ name: 'price', selector: '.price', default: 'n/a' }), 'n/a');
+    assert.strictEqual(await parser().extractField({ name: 'missing', selector: '.title', attribute: 'data-missing', default: '-' }), '-');
+  });
+
+  test('keeps other record fields when one field fails', async () => {
+    // Computed styles need a browser window, so the style field fails here
+    const [record] = await parser().extractField({
+      name: 'products',
+      selector: '.item',
+      multiple: true,
+      limit: 1,
+      fields: [
+        { name: 'name', selector: '.name' },
+        { name: 'size', style: 'fontSize', default: 'unknown' }
+      ]
+    });
+    assert.deepStrictEqual(record, { name: 'Lamp', size: 'unknown' });
+  });
+});
\ No newline at end of file
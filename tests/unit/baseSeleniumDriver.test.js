@@ -0,0 +1,200 @@
+/**
+ * BaseSeleniumDriver - Driver logic around WebDriver objects
+ *
+ * Uses stand-ins for the Builder and WebDriver, so no browser or grid is needed.
+ */
+
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const remote = require('selenium-webdriver/remote');
+const BaseSeleniumDriver = require('../../src/automator/selenium/drivers/baseSeleniumDriver');
+
+// build() throws the listed errors in turn, then returns a session
+function fakeBuilder(errors) {
+  const builder = {
+    attempts: 0,
+    async build() {
+      const error = errors[builder.attempts++];
+      if (error) {
+        throw new Error(error);
+      }
+      return {
+        async getSession() {
+          return {
+            getId: () => 'session-1',
+            getCapabilities: () => ({ getBrowserName: () => 'chrome', getBrowserVersion: () => '120.0' })
+          };
+        },
+        setFileDetector(detector) {
+          this.fileDetector = detector;
+        }
+      };
+    }
+  };
+  return builder;
+}
+
+describe('BaseSeleniumDriver remote sessions', () => {
+  let delays;
+
+  beforeEach(() => {
+    delays = [];
+    mock.method(global, 'setTimeout', (callback, delay) => {
+      delays.push(delay);
+      callback();
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('creates the session and uploads local files through a file detector', async () => {
+    const driver = new BaseSeleniumDriver({ remoteUrl: 'http://grid:4444' });
+
+    const session = await driver._createRemoteSession(fakeBuilder([]));
+
+    assert.strictEqual(driver.sessionId, 'session-1');
+    assert.ok(session.fileDetector instanceof remote.FileDetector);
+    assert.deepStrictEqual(delays, []);
+  });
+
+  test('retries capacity errors with doubling delays', async () => {
+    const driver = new BaseSeleniumDriver({ sessionRetries: 3, sessionRetryDelay: 100 });
+    const builder = fakeBuilder([
+      'Could not start a new session. New session request timed out',
+      'Unable to find a free slot in the queue',
+      'Service Unavailable'
+    ]);
+
+    await driver._createRemoteSession(builder);
+
+    assert.strictEqual(builder.attempts, 4);
+    assert.deepStrictEqual(delays, [100, 200, 400]);
+  });
+
+  test('gives up after sessionRetries capacity errors', async () => {
+    const driver = new BaseSeleniumDriver({ sessionRetries: 2, sessionRetryDelay: 100 });
+    const builder = fakeBuilder(Array(5).fill('HTTP 503 Service Unavailable'));
+
+    await assert.rejects(driver._createRemoteSession(builder), /503/);
+    assert.strictEqual(builder.attempts, 3);
+    assert.deepStrictEqual(delays, [100, 200]);
+  });
+
+  test('retries an unreachable grid only once', async () => {
+    const driver = new BaseSeleniumDriver({ sessionRetries: 3, sessionRetryDelay: 100 });
+    const builder = fakeBuilder(Array(5).fill('connect ECONNREFUSED 127.0.0.1:4444'));
+
+    await assert.rejects(driver._createRemoteSession(builder), /ECONNREFUSED/);
+    assert.strictEqual(builder.attempts, 2);
+    assert.deepStrictEqual(delays, [100]);
+  });
+
+  test('does not retry an unreachable grid when retries are disabled', async () => {
+    const driver = new BaseSeleniumDriver({ sessionRetries: 0 });
+    const builder = fakeBuilder(['read ECONNRESET']);
+
+    await assert.rejects(driver._createRemoteSession(builder), /ECONNRESET/);
+    assert.strictEqual(builder.attempts, 1);
+  });
+
+  test('fails right away on other session errors', async () => {
+    for (const message of [
+      'session not created: No matching capabilities found',
+      'Unable to parse new session request: invalid argument',
+      'getaddrinfo ENOTFOUND grid.invalid',
+      'connect ETIMEDOUT 10.0.0.1:4444',
+      'Script timed out'
+    ]) {
+      const driver = new BaseSeleniumDriver({ sessionRetries: 3 });
+      const builder = fakeBuilder([message]);
+
+      await assert.rejects(driver._createRemoteSession(builder), { message });
+      assert.strictEqual(builder.attempts, 1, message);
+    }
+    assert.deepStrictEqual(delays, []);
+  });
+});
+
+describe('BaseSeleniumDriver downloads', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'downloads-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  // driver.wait() stand-in: runs one step (a change of the download directory) before each poll
+  function startedDriver(steps) {
+    const driver = new BaseSeleniumDriver({ downloadsPath: directory });
+    driver.polls = 0;
+    driver.driver = {
+      async wait(condition, timeout, message) {
+        for (const step of steps) {
+          await step();
+          driver.polls++;
+          if (await condition()) {
+            return true;
+          }
+        }
+        throw new Error(message);
+      }
+    };
+    driver.isStarted = true;
+    return driver;
+  }
+
+  const write = (name, content) => () => fs.writeFile(path.join(directory, name), content);
+  const idle = () => {};
+
+  test('waits past the empty placeholder Firefox writes before its .part file', async () => {
+    const driver = startedDriver([
+      write('report.csv', ''),
+      idle,
+      write('report.csv.part', 'id,na'),
+      async () => {
+        await fs.unlink(path.join(directory, 'report.csv.part'));
+        await write('report.csv', 'id,name')();
+      },
+      idle,
+      idle
+    ]);
+
+    const file = await driver.waitForDownload(async () => {});
+
+    assert.strictEqual(driver.polls, 5);
+    assert.strictEqual(file.suggestedFilename, 'report.csv');
+    assert.strictEqual(file.size, 7);
+    assert.strictEqual(file.mimeType, 'text/csv');
+  });
+
+  test('waits until the size is the same on two polls', async () => {
+    const driver = startedDriver([write('data.json', '{'), write('data.json', '{"a":'), write('data.json', '{"a":1}'), idle, idle]);
+
+    const file = await driver.waitForDownload(async () => {});
+
+    assert.strictEqual(driver.polls, 4);
+    assert.strictEqual(file.size, 7);
+  });
+
+  test('ignores files that were there before the action and times out on empty downloads', async () => {
+    await fs.writeFile(path.join(directory, 'old.csv'), 'old');
+    const driver = startedDriver([write('empty.csv', ''), idle, idle]);
+
+    await assert.rejects(driver.waitForDownload(async () => {}, { timeout: 500 }), /No download finished within 500ms/);
+  });
+
+  test('needs a local browser', async () => {
+    const driver = startedDriver([]);
+    driver.options.remoteUrl = 'http://grid:4444';
+
+    await assert.rejects(driver.waitForDownload('#export'), /needs a local browser/);
+  });
+});
\ No newline at end of file
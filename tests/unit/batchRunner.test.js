@@ -0,0 +1,166 @@
+/**
+ * Batch runner - Targets, bounded concurrency and partial failures
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { DeadlineExceededError } = require('../../src/common/utils/automationErrors');
+const {
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY,
+  resolveTargets,
+  runBatch,
+  runWithConcurrency,
+  normalizeConcurrency
+} = require('../../src/lambda/batchRunner');
+
+// Stand-in driver whose sessions count how many are open at once
+function fakeDriver() {
+  const stats = { created: 0, quit: 0, open: 0, maxOpen: 0 };
+  return {
+    stats,
+    async createSession() {
+      stats.created++;
+      stats.open++;
+      stats.maxOpen = Math.max(stats.maxOpen, stats.open);
+      let started = true;
+      return {
+        getIsStarted: () => started,
+        async quit() {
+          started = false;
+          stats.open--;
+          stats.quit++;
+        }
+      };
+    }
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('resolveTargets', () => {
+  test('returns null outside batch mode', () => {
+    assert.strictEqual(resolveTargets({ url: 'https://example.com' }), null);
+    assert.strictEqual(resolveTargets(undefined), null);
+  });
+
+  test('turns urls and targets into named targets', () => {
+    assert.deepStrictEqual(resolveTargets({ urls: ['https://a.example'] }), [{ url: 'https://a.example', name: 'https://a.example' }]);
+    assert.deepStrictEqual(resolveTargets({
+      targets: ['https://a.example', { url: 'https://b.example', name: 'b', extract: { heading: true } }]
+    }), [
+      { url: 'https://a.example', name: 'https://a.example' },
+      { url: 'https://b.example', name: 'b', extract: { heading: true } }
+    ]);
+  });
+
+  test('prefers targets over urls', () => {
+    assert.strictEqual(resolveTargets({ targets: ['https://t.example'], urls: ['https://u.example'] })[0].url, 'https://t.example');
+  });
+
+  test('rejects empty lists and targets without url', () => {
+    assert.throws(() => resolveTargets({ urls: [] }), { code: 'INVALID_REQUEST', message: /must be a non-empty array/ });
+    assert.throws(() => resolveTargets({ urls: 'https://a.example' }), /must be a non-empty array/);
+    assert.throws(() => resolveTargets({ targets: ['https://a.example', { name: 'x' }] }), /target 2 is missing "url"/);
+  });
+});
+
+describe('runBatch', () => {
+  test('records failed targets without failing the batch', async () => {
+    const driver = fakeDriver();
+    const targets = resolveTargets({ urls: ['https://a.example', 'https://b.example', 'https://c.example'] });
+    const seen = [];
+
+    const summary = await runBatch(driver, targets, {
+      concurrency: 2,
+      processTarget: async (session, target) => {
+        if (target.url === 'https://b.example') {
+          throw new Error('net::ERR_CONNECTION_REFUSED');
+        }
+        return { title: target.url };
+      },
+      onResult: (result) => seen.push(result.index)
+    });
+
+    assert.deepStrictEqual(
+      [summary.total, summary.succeeded, summary.failed, summary.truncated, summary.concurrency],
+      [3, 2, 1, 0, 2]
+    );
+    assert.deepStrictEqual(summary.results.map(result => result.status), ['success', 'failed', 'success']);
+    assert.deepStrictEqual(summary.results[0].data, { title: 'https://a.example' });
+    assert.deepStrictEqual(summary.failures, [{
+      index: 1,
+      url: 'https://b.example',
+      error: { message: 'net::ERR_CONNECTION_REFUSED', type: 'ConnectionFailedError', code: 'CONNECTION_FAILED', retryable: true }
+    }]);
+    assert.deepStrictEqual(seen.sort(), [0, 1, 2]);
+    assert.deepStrictEqual([driver.stats.created, driver.stats.quit], [3, 3]);
+  });
+
+  test('keeps partial data of targets cut short by the deadline', async () => {
+    const summary = await runBatch(fakeDriver(), [{ url: 'https://a.example', name: 'a' }], {
+      processTarget: async () => {
+        throw Object.assign(new DeadlineExceededError('Deadline reached'), { data: { steps: [1] } });
+      }
+    });
+    assert.strictEqual(summary.results[0].status, 'truncated');
+    assert.deepStrictEqual(summary.results[0].data, { steps: [1] });
+    assert.deepStrictEqual([summary.failed, summary.truncated], [0, 1]);
+  });
+
+  test('skips targets once shouldSkip returns true', async () => {
+    const driver = fakeDriver();
+    let started = 0;
+    const summary = await runBatch(driver, resolveTargets({ urls: ['https://a.example', 'https://b.example'] }), {
+      concurrency: 1,
+      shouldSkip: () => started > 0,
+      processTarget: async () => ({ run: ++started })
+    });
+    assert.deepStrictEqual(summary.results.map(result => result.status), ['success', 'skipped']);
+    assert.strictEqual(summary.results[1].error.code, 'DEADLINE_EXCEEDED');
+    assert.strictEqual(driver.stats.created, 1);
+  });
+
+  test('records session creation failures as failed targets', async () => {
+    const driver = { createSession: async () => { throw new Error('Browser closed'); } };
+    const summary = await runBatch(driver, [{ url: 'https://a.example', name: 'a' }], { processTarget: async () => ({}) });
+    assert.deepStrictEqual([summary.failed, summary.results[0].error.message], [1, 'Browser closed']);
+  });
+
+  test('never opens more sessions than the concurrency', async () => {
+    const driver = fakeDriver();
+    const urls = Array.from({ length: 7 }, (_, index) => `https://example.com/${index}`);
+    await runBatch(driver, resolveTargets({ urls }), {
+      concurrency: 3,
+      processTarget: async () => {
+        await tick();
+        return {};
+      }
+    });
+    assert.deepStrictEqual([driver.stats.maxOpen, driver.stats.quit], [3, 7]);
+  });
+});
+
+describe('runWithConcurrency', () => {
+  test('returns results in item order', async () => {
+    const results = await runWithConcurrency([30, 10, 20], 3, async (delay, index) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return index;
+    });
+    assert.deepStrictEqual(results, [0, 1, 2]);
+  });
+
+  test('handles empty lists', async () => {
+    assert.deepStrictEqual(await runWithConcurrency([], 3, async () => assert.fail('not called')), []);
+  });
+});
+
+describe('normalizeConcurrency', () => {
+  test('clamps to 1..MAX_CONCURRENCY and defaults invalid values', () => {
+    assert.strictEqual(normalizeConcurrency('4'), 4);
+    assert.strictEqual(normalizeConcurrency(50), MAX_CONCURRENCY);
+    for (const value of [undefined, 0, -2, 'many']) {
+      assert.strictEqual(normalizeConcurrency(value), DEFAULT_CONCURRENCY, String(value));
+    }
+  });
+});
\ No newline at end of file
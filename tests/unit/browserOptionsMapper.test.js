@@ -0,0 +1,104 @@
+/**
+ * Browser options mapper - Driver options to Chrome, Edge and Firefox options
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { mapBrowserOptions } = require('../../src/automator/selenium/helpers/browserOptionsMapper');
+
+function driverOptions(overrides = {}) {
+  return { browser: 'chrome', headless: true, windowSize: { width: 1280, height: 720 }, ...overrides };
+}
+
+function capabilities(result) {
+  const options = result.browserOptions;
+  return options.get('goog:chromeOptions') || options.get('ms:edgeOptions') || options.get('moz:firefoxOptions');
+}
+
+describe('mapBrowserOptions', () => {
+  test('maps common options to Chrome arguments and preferences', () => {
+    const result = mapBrowserOptions(driverOptions({
+      userAgent: 'Bot/1.0', disableImages: true, disableJavaScript: true, acceptInsecureCerts: true
+    }), { downloadDirectory: '/tmp/downloads' });
+    const chrome = capabilities(result);
+
+    assert.deepStrictEqual(chrome.args.slice(0, 4), [
+      '--headless=new', '--window-size=1280,720', '--user-agent=Bot/1.0', '--blink-settings=imagesEnabled=false'
+    ]);
+    assert.ok(chrome.args.includes('--no-sandbox'));
+    assert.strictEqual(chrome.prefs['profile.managed_default_content_settings.javascript'], 2);
+    assert.strictEqual(chrome.prefs['download.default_directory'], '/tmp/downloads');
+    assert.strictEqual(result.browserOptions.get('acceptInsecureCerts'), true);
+    assert.deepStrictEqual(result.unsupported, []);
+  });
+
+  test('applies chromeSpecific switches, extensions and binary', () => {
+    const chrome = capabilities(mapBrowserOptions(driverOptions({
+      chromeSpecific: {
+        disableBackgroundTimer: true,
+        disablePlugins: false,
+        arguments: ['--lang=de'],
+        profileDirectory: '/tmp/profile',
+        binaryPath: '/opt/chrome/chrome',
+        extensions: ['/ext/packed.crx', '/ext/unpacked'],
+        disableExtensions: true,
+        preferences: { 'intl.accept_languages': 'de' }
+      }
+    })));
+
+    assert.ok(chrome.args.includes('--disable-background-timer-throttling'));
+    assert.ok(!chrome.args.includes('--disable-plugins'));
+    // Installed extensions win over disableExtensions
+    assert.ok(!chrome.args.includes('--disable-extensions'));
+    assert.ok(chrome.args.includes('--load-extension=/ext/unpacked'));
+    assert.ok(chrome.args.includes('--lang=de'));
+    assert.ok(chrome.args.includes('--user-data-dir=/tmp/profile'));
+    assert.strictEqual(chrome.binary, '/opt/chrome/chrome');
+    assert.deepStrictEqual(chrome.extensions.extensions, ['/ext/packed.crx']);
+    assert.deepStrictEqual(chrome.prefs, { 'intl.accept_languages': 'de' });
+  });
+
+  test('starts Edge without the Chrome container defaults', () => {
+    const result = mapBrowserOptions(driverOptions({ browser: 'Edge', headless: false, edgeSpecific: { disableExtensions: true } }));
+    assert.deepStrictEqual(capabilities(result).args, ['--window-size=1280,720', '--disable-extensions']);
+  });
+
+  test('maps common options to Firefox preferences', () => {
+    const firefox = capabilities(mapBrowserOptions(driverOptions({
+      browser: 'firefox', userAgent: 'Bot/1.0', disableImages: true, disableJavaScript: true,
+      firefoxSpecific: { enableLogging: true, preferences: { 'intl.accept_languages': 'de' } }
+    }), { downloadDirectory: '/tmp/downloads' }));
+
+    assert.deepStrictEqual(firefox.args, ['--headless', '--width=1280', '--height=720']);
+    assert.strictEqual(firefox.prefs['general.useragent.override'], 'Bot/1.0');
+    assert.strictEqual(firefox.prefs['permissions.default.image'], 2);
+    assert.strictEqual(firefox.prefs['javascript.enabled'], false);
+    assert.strictEqual(firefox.prefs['browser.download.dir'], '/tmp/downloads');
+    assert.strictEqual(firefox.prefs['devtools.console.stdout.content'], true);
+    assert.strictEqual(firefox.prefs['intl.accept_languages'], 'de');
+  });
+
+  test('reports options that do not apply instead of dropping them', () => {
+    const { unsupported } = mapBrowserOptions(driverOptions({
+      browser: 'firefox',
+      chromeSpecific: { disablePlugins: true },
+      edgeSpecific: {},
+      firefoxSpecific: { disablePlugins: true, disableGpu: true, disableExtensions: true, extensions: ['/ext/a.xpi', '/ext/b.crx'] }
+    }));
+    assert.deepStrictEqual(unsupported, [
+      { option: 'chromeSpecific', reason: 'only applies to chrome' },
+      { option: 'firefoxSpecific.disablePlugins', reason: 'Chromium only' },
+      { option: 'firefoxSpecific.disableGpu', reason: 'unknown option' },
+      { option: 'firefoxSpecific.extensions: /ext/b.crx', reason: 'Firefox installs .xpi files only' }
+    ]);
+  });
+
+  test('reports unknown keys of Chromium blocks', () => {
+    const { unsupported } = mapBrowserOptions(driverOptions({ browser: 'edge', edgeSpecific: { kioskMode: true } }));
+    assert.deepStrictEqual(unsupported, [{ option: 'edgeSpecific.kioskMode', reason: 'unknown option' }]);
+  });
+
+  test('rejects other browsers', () => {
+    assert.throws(() => mapBrowserOptions(driverOptions({ browser: 'safari' })), /Unsupported browser: safari/);
+  });
+});
\ No newline at end of file
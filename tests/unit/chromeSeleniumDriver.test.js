@@ -0,0 +1,129 @@
+/**
+ * ChromeSeleniumDriver - DevTools commands behind browser data, throttling and geolocation
+ *
+ * Uses a WebDriver stand-in that records the CDP commands, so no browser is needed.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const ChromeSeleniumDriver = require('../../src/automator/selenium/drivers/chromeSeleniumDriver');
+const { InvalidRequestError } = require('../../src/common/utils/automationErrors');
+
+function startedDriver(currentUrl = 'https://shop.example.com/cart') {
+  const driver = new ChromeSeleniumDriver();
+  const commands = [];
+  const scripts = [];
+  driver.driver = {
+    async sendAndGetDevToolsCommand(command, params) {
+      commands.push([command, params]);
+      return null;
+    },
+    getCurrentUrl: async () => currentUrl,
+    executeScript: async (script) => scripts.push(script)
+  };
+  driver.isStarted = true;
+  return { driver, commands, scripts };
+}
+
+describe('ChromeSeleniumDriver DevTools commands', () => {
+  test('clears cookies, cache and the storage of the current origin', async () => {
+    const { driver, commands, scripts } = startedDriver();
+
+    const result = await driver.clearBrowserData();
+
+    assert.deepStrictEqual(commands, [
+      ['Network.clearBrowserCookies', {}],
+      ['Network.clearBrowserCache', {}],
+      ['Storage.clearDataForOrigin', { origin: 'https://shop.example.com', storageTypes: ChromeSeleniumDriver.STORAGE_TYPES }]
+    ]);
+    assert.strictEqual(scripts.length, 1);
+    assert.match(scripts[0], /sessionStorage\.clear/);
+    assert.deepStrictEqual(result, { success: true, cleared: ['cookies', 'cache', 'storage'], origins: ['https://shop.example.com'] });
+  });
+
+  test('clears the storage of the given origins only', async () => {
+    const { driver, commands, scripts } = startedDriver();
+
+    const result = await driver.clearBrowserData({ cookies: false, cache: false, origins: ['https://a.example', 'https://b.example'] });
+
+    assert.deepStrictEqual(commands.map(([command, params]) => `${command} ${params.origin}`), [
+      'Storage.clearDataForOrigin https://a.example',
+      'Storage.clearDataForOrigin https://b.example'
+    ]);
+    assert.deepStrictEqual(scripts, []);
+    assert.deepStrictEqual(result.cleared, ['storage']);
+  });
+
+  test('skips storage for pages without an origin', async () => {
+    const { driver, commands, scripts } = startedDriver('about:blank');
+
+    const result = await driver.clearBrowserData({ cookies: false });
+
+    assert.deepStrictEqual(commands, [['Network.clearBrowserCache', {}]]);
+    assert.deepStrictEqual(scripts, []);
+    assert.deepStrictEqual(result.origins, []);
+  });
+
+  test('applies network presets and custom conditions', async () => {
+    const { driver, commands } = startedDriver();
+
+    await driver.setNetworkThrottling('Slow-3G');
+    await driver.setNetworkThrottling({ latency: 300 });
+    await driver.clearNetworkThrottling();
+
+    assert.deepStrictEqual(commands, [
+      ['Network.enable', {}],
+      ['Network.emulateNetworkConditions', { offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 }],
+      ['Network.enable', {}],
+      ['Network.emulateNetworkConditions', { offline: false, latency: 300, downloadThroughput: -1, uploadThroughput: -1 }],
+      ['Network.emulateNetworkConditions', { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 }]
+    ]);
+  });
+
+  test('rejects unknown network presets', async () => {
+    const { driver, commands } = startedDriver();
+
+    await assert.rejects(driver.setNetworkThrottling('5g'), (error) => {
+      assert.ok(error instanceof InvalidRequestError);
+      assert.match(error.message, /available: offline, slow-3g, fast-3g, 4g/);
+      return true;
+    });
+    assert.deepStrictEqual(commands, []);
+  });
+
+  test('grants the permission and overrides the position', async () => {
+    const { driver, commands } = startedDriver();
+
+    await driver.setGeolocation({ latitude: 48.8584, longitude: 2.2945 });
+    await driver.clearGeolocation();
+
+    assert.deepStrictEqual(commands, [
+      ['Browser.grantPermissions', { permissions: ['geolocation'] }],
+      ['Emulation.setGeolocationOverride', { latitude: 48.8584, longitude: 2.2945, accuracy: 100 }],
+      ['Emulation.clearGeolocationOverride', {}]
+    ]);
+  });
+
+  test('rejects positions out of range before sending anything', async () => {
+    const { driver, commands } = startedDriver();
+
+    for (const position of [
+      { latitude: 91, longitude: 0 },
+      { latitude: -90.5, longitude: 0 },
+      { latitude: 0, longitude: 180.1 },
+      { latitude: '48.8', longitude: 2.3 },
+      { latitude: 48.8 },
+      undefined
+    ]) {
+      await assert.rejects(driver.setGeolocation(position), InvalidRequestError, JSON.stringify(position));
+    }
+    assert.deepStrictEqual(commands, []);
+  });
+
+  test('requires a started driver', async () => {
+    const driver = new ChromeSeleniumDriver();
+
+    await assert.rejects(driver.clearBrowserData(), /not started/);
+    await assert.rejects(driver.setGeolocation({ latitude: 0, longitude: 0 }), /not started/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Config overrides - Allowlisted per-request configuration
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+  OVERRIDABLE_CONFIG_KEYS,
+  applyConfigOverrides,
+  createLayeredConfig,
+  deepMerge
+} = require('../../src/lambda/configOverrides');
+
+// Stand-in for ConfigManager: dot-notation lookup in a nested object
+function nestedConfig(values) {
+  return {
+    get: (key, defaultValue) => {
+      const value = key.split('.').reduce((node, segment) => node?.[segment], values);
+      return value === undefined ? defaultValue : value;
+    }
+  };
+}
+
+const BASE = {
+  playwright: { timeout: 30000, navigationTimeout: 30000, windowSize: { width: 1920, height: 1080 }, headless: true },
+  automation: { defaultUrl: 'https://example.com', extract: { heading: true, metadata: true } }
+};
+
+describe('applyConfigOverrides', () => {
+  test('applies allowlisted keys on top of the base configuration', () => {
+    const { config, applied, rejected } = applyConfigOverrides(nestedConfig(BASE), {
+      playwright: { timeout: 10000, windowSize: { width: 800 } }
+    });
+    assert.deepStrictEqual(applied, ['playwright.timeout', 'playwright.windowSize']);
+    assert.deepStrictEqual(rejected, []);
+    assert.strictEqual(config.get('playwright.timeout'), 10000);
+    assert.strictEqual(config.get('playwright.navigationTimeout'), 30000);
+    assert.deepStrictEqual(config.get('playwright.windowSize'), { width: 800, height: 1080 });
+    assert.strictEqual(config.get('playwright.windowSize.height'), 1080);
+  });
+
+  test('merges overrides into whole sections read by their top-level key', () => {
+    const { config } = applyConfigOverrides(nestedConfig(BASE), { playwright: { timeout: 5000 } });
+    assert.deepStrictEqual(config.get('playwright'), { ...BASE.playwright, timeout: 5000 });
+  });
+
+  test('rejects keys outside the allowlist and keeps their base values', () => {
+    const { config, applied, rejected } = applyConfigOverrides(nestedConfig(BASE), {
+      playwright: { headless: false, userAgent: 'Bot/1.0' },
+      automation: { defaultUrl: 'https://attacker.example', extract: { heading: false } },
+      secrets: { key: 'x' }
+    });
+    assert.deepStrictEqual(applied, ['playwright.userAgent', 'automation.extract']);
+    assert.deepStrictEqual(rejected, ['playwright.headless', 'automation.defaultUrl', 'secrets']);
+    assert.strictEqual(config.get('playwright.headless'), true);
+    assert.strictEqual(config.get('automation.defaultUrl'), 'https://example.com');
+    assert.deepStrictEqual(config.get('automation.extract'), { heading: false, metadata: true });
+  });
+
+  test('rejects a scalar given for a parent of allowed keys', () => {
+    const { applied, rejected } = applyConfigOverrides(nestedConfig(BASE), { playwright: 5 });
+    assert.deepStrictEqual([applied, rejected], [[], ['playwright']]);
+  });
+
+  test('ignores a config that is not an object', () => {
+    for (const overrides of ['timeout=1', [1], null]) {
+      const { config, applied, rejected } = applyConfigOverrides(nestedConfig(BASE), overrides);
+      assert.deepStrictEqual([applied, rejected], [[], ['config']]);
+      assert.strictEqual(config.get('playwright.timeout'), 30000);
+    }
+  });
+
+  test('uses the given allowlist', () => {
+    const { applied, rejected } = applyConfigOverrides(nestedConfig(BASE), {
+      playwright: { timeout: 1, headless: false }
+    }, ['playwright.headless']);
+    assert.deepStrictEqual([applied, rejected], [['playwright.headless'], ['playwright.timeout']]);
+  });
+
+  test('allows only the documented keys by default', () => {
+    assert.deepStrictEqual(OVERRIDABLE_CONFIG_KEYS, [
+      'playwright.timeout',
+      'playwright.navigationTimeout',
+      'playwright.windowSize',
+      'playwright.userAgent',
+      'playwright.acceptInsecureCerts',
+      'automation.extract'
+    ]);
+  });
+});
+
+describe('createLayeredConfig', () => {
+  test('prefers direct keys of environment-based configs', () => {
+    const flat = { get: (key, defaultValue) => ({ 'playwright.timeout': 20000 }[key] ?? defaultValue) };
+    const config = createLayeredConfig(flat, {});
+    assert.strictEqual(config.get('playwright.timeout'), 20000);
+    assert.strictEqual(config.get('playwright.navigationTimeout', 15000), 15000);
+  });
+
+  test('lets overrides win over any base value', () => {
+    const config = createLayeredConfig(nestedConfig(BASE), { playwright: { acceptInsecureCerts: true } });
+    assert.strictEqual(config.get('playwright.acceptInsecureCerts'), true);
+    assert.strictEqual(config.get('playwright.unknown', 'fallback'), 'fallback');
+  });
+});
+
+describe('deepMerge', () => {
+  test('merges plain objects and replaces everything else', () => {
+    assert.deepStrictEqual(deepMerge({ a: { b: 1, c: 2 }, d: [1, 2] }, { a: { c: 3 }, d: [3] }), { a: { b: 1, c: 3 }, d: [3] });
+    assert.strictEqual(deepMerge('base', undefined), 'base');
+    assert.strictEqual(deepMerge({ a: 1 }, null), null);
+  });
+
+  test('does not modify its inputs', () => {
+    const base = { a: { b: 1 } };
+    const override = { a: { c: 2 } };
+    deepMerge(base, override);
+    assert.deepStrictEqual([base, override], [{ a: { b: 1 } }, { a: { c: 2 } }]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * Deadline budget - Remaining time, timeouts and racing work against the deadline
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { DeadlineBudget, createDeadlineError } = require('../../src/lambda/deadline');
+
+function lambdaContext(remainingMs) {
+  return { getRemainingTimeInMillis: () => remainingMs };
+}
+
+describe('DeadlineBudget', () => {
+  test('has no deadline without a Lambda context', () => {
+    for (const context of [undefined, {}, { getRemainingTimeInMillis: () => NaN }]) {
+      const budget = new DeadlineBudget(context);
+      assert.strictEqual(budget.hasDeadline(), false);
+      assert.strictEqual(budget.remaining(), Infinity);
+      assert.strictEqual(budget.isExpired(), false);
+      assert.strictEqual(budget.isNearDeadline(), false);
+      assert.strictEqual(budget.timeoutFor(45000), 45000);
+    }
+  });
+
+  test('keeps the safety margin out of the usable time', () => {
+    const budget = new DeadlineBudget(lambdaContext(60000));
+    assert.strictEqual(budget.hasDeadline(), true);
+    const remaining = budget.remaining();
+    assert.ok(remaining <= 57000 && remaining > 56000, String(remaining));
+    assert.strictEqual(new DeadlineBudget(lambdaContext(60000), { safetyMargin: 0 }).remaining() > 59000, true);
+  });
+
+  test('reports near deadline under the optional threshold and expiry at zero', () => {
+    const near = new DeadlineBudget(lambdaContext(10000));
+    assert.deepStrictEqual([near.isNearDeadline(), near.isExpired()], [true, false]);
+    const relaxed = new DeadlineBudget(lambdaContext(10000), { optionalThreshold: 1000 });
+    assert.strictEqual(relaxed.isNearDeadline(), false);
+    const expired = new DeadlineBudget(lambdaContext(2000));
+    assert.deepStrictEqual([expired.isExpired(), expired.isNearDeadline()], [true, true]);
+  });
+
+  test('shrinks timeouts to the budget but never below the minimum', () => {
+    const budget = new DeadlineBudget(lambdaContext(13000), { safetyMargin: 3000 });
+    assert.strictEqual(budget.timeoutFor(5000), 5000);
+    const shrunk = budget.timeoutFor(30000);
+    assert.ok(shrunk <= 10000 && shrunk > 9000, String(shrunk));
+    assert.strictEqual(new DeadlineBudget(lambdaContext(0)).timeoutFor(30000), DeadlineBudget.MIN_OPERATION_TIMEOUT);
+  });
+
+  test('applies budgeted timeouts to a driver only with a deadline', () => {
+    const applied = [];
+    const driver = { setTimeouts: (timeouts) => applied.push(timeouts) };
+    new DeadlineBudget().applyTo(driver, { timeout: 30000, navigationTimeout: 30000 });
+    assert.deepStrictEqual(applied, []);
+
+    new DeadlineBudget(lambdaContext(5000)).applyTo(driver, { timeout: 1500, navigationTimeout: 30000 });
+    assert.strictEqual(applied[0].timeout, 1500);
+    assert.ok(applied[0].navigationTimeout <= 2000 && applied[0].navigationTimeout >= 1000);
+  });
+
+  test('race returns the value when the work finishes in time', async () => {
+    assert.deepStrictEqual(await new DeadlineBudget().race(Promise.resolve('done')), { timedOut: false, value: 'done' });
+    assert.deepStrictEqual(await new DeadlineBudget(lambdaContext(60000)).race(Promise.resolve(42)), { timedOut: false, value: 42 });
+  });
+
+  test('race stops waiting at the deadline and swallows a late rejection', async () => {
+    const budget = new DeadlineBudget(lambdaContext(50), { safetyMargin: 0 });
+    let reject;
+    const work = new Promise((resolve, rejectWork) => { reject = rejectWork; });
+
+    const started = Date.now();
+    assert.deepStrictEqual(await budget.race(work), { timedOut: true });
+    assert.ok(Date.now() - started < 1000);
+
+    // Would fail the test run as an unhandled rejection if it was not swallowed
+    reject(new Error('browser closed'));
+    await new Promise(resolve => setImmediate(resolve));
+  });
+
+  test('race passes rejections through before the deadline', async () => {
+    await assert.rejects(new DeadlineBudget(lambdaContext(60000)).race(Promise.reject(new Error('boom'))), /boom/);
+  });
+});
+
+describe('createDeadlineError', () => {
+  test('creates a retryable DEADLINE_EXCEEDED error', () => {
+    const error = createDeadlineError('Deadline reached after step 2');
+    assert.deepStrictEqual([error.code, error.statusCode, error.retryable, error.message], [
+      'DEADLINE_EXCEEDED', 504, true, 'Deadline reached after step 2'
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Event normalizer - Direct, API Gateway v1/v2 and Function URL events
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeEvent,
+  detectEventSource,
+  parseBody,
+  parseQueryParameters
+} = require('../../src/lambda/eventNormalizer');
+
+function httpV2Event(method, body, extra = {}) {
+  return {
+    version: '2.0',
+    requestContext: { domainName: 'abc123.execute-api.us-east-1.amazonaws.com', http: { method } },
+    body,
+    ...extra
+  };
+}
+
+describe('normalizeEvent', () => {
+  test('uses direct events as the payload', () => {
+    assert.deepStrictEqual(normalizeEvent({ url: 'https://example.com', dryRun: true }), {
+      payload: { url: 'https://example.com', dryRun: true }, source: 'direct', method: null
+    });
+    assert.deepStrictEqual(normalizeEvent(null), { payload: {}, source: 'direct', method: null });
+  });
+
+  test('merges a legacy body underneath top-level keys', () => {
+    const { payload } = normalizeEvent({ url: 'https://top.example', body: '{"url":"https://body.example","extract":{}}' });
+    assert.deepStrictEqual(payload, { url: 'https://top.example', extract: {} });
+  });
+
+  test('rejects events that are not objects', () => {
+    assert.throws(() => normalizeEvent('url=https://example.com'), { code: 'INVALID_REQUEST', statusCode: 400 });
+    assert.throws(() => normalizeEvent([]), /expected a JSON object/);
+  });
+
+  test('reads POST bodies of API Gateway v1 events and merges query parameters underneath', () => {
+    const result = normalizeEvent({
+      httpMethod: 'POST',
+      requestContext: { stage: 'prod' },
+      queryStringParameters: { url: 'https://query.example', dryRun: 'true' },
+      body: JSON.stringify({ url: 'https://body.example' })
+    });
+    assert.deepStrictEqual(result, {
+      payload: { url: 'https://body.example', dryRun: true }, source: 'apigateway-v1', method: 'POST'
+    });
+  });
+
+  test('decodes base64 bodies', () => {
+    const body = Buffer.from(JSON.stringify({ url: 'https://example.com' })).toString('base64');
+    const { payload, source } = normalizeEvent(httpV2Event('post', body, { isBase64Encoded: true }));
+    assert.deepStrictEqual(payload, { url: 'https://example.com' });
+    assert.strictEqual(source, 'apigateway-v2');
+  });
+
+  test('ignores the body of GET requests', () => {
+    const event = httpV2Event('GET', '{"url":"https://body.example"}', { queryStringParameters: { jobId: 'j-1' } });
+    assert.deepStrictEqual(normalizeEvent(event).payload, { jobId: 'j-1' });
+  });
+
+  test('rejects methods other than GET and POST with 405', () => {
+    assert.throws(() => normalizeEvent(httpV2Event('DELETE')), {
+      code: 'METHOD_NOT_ALLOWED', statusCode: 405, message: 'Method DELETE not allowed (use GET or POST)'
+    });
+    assert.throws(() => normalizeEvent({ httpMethod: 'PUT', requestContext: {} }), { statusCode: 405 });
+  });
+
+  test('rejects malformed HTTP bodies with 400', () => {
+    assert.throws(() => normalizeEvent(httpV2Event('POST', '{"url":')), {
+      code: 'INVALID_REQUEST', message: /^Malformed request body/
+    });
+  });
+});
+
+describe('detectEventSource', () => {
+  test('tells Function URLs from HTTP APIs by the domain name', () => {
+    assert.strictEqual(detectEventSource(httpV2Event('GET')), 'apigateway-v2');
+    assert.strictEqual(detectEventSource({
+      requestContext: { domainName: 'xyz.lambda-url.eu-west-1.on.aws', http: { method: 'GET' } }
+    }), 'function-url');
+  });
+
+  test('needs a request context for API Gateway v1', () => {
+    assert.strictEqual(detectEventSource({ httpMethod: 'GET', requestContext: {} }), 'apigateway-v1');
+    assert.strictEqual(detectEventSource({ httpMethod: 'GET' }), 'direct');
+  });
+});
+
+describe('parseBody', () => {
+  test('returns an empty object for empty bodies', () => {
+    for (const body of [undefined, null, '', '   ', Buffer.from(' ').toString('base64')]) {
+      assert.deepStrictEqual(parseBody(body, body === 'IA=='), {});
+    }
+  });
+
+  test('accepts objects and JSON object strings', () => {
+    assert.deepStrictEqual(parseBody({ a: 1 }), { a: 1 });
+    assert.deepStrictEqual(parseBody('{"a":1}'), { a: 1 });
+  });
+
+  test('rejects JSON that is not an object', () => {
+    for (const body of ['[1,2]', '"text"', 'null', '42']) {
+      assert.throws(() => parseBody(body), /expected a JSON object/, body);
+    }
+    assert.throws(() => parseBody('not json'), (error) => error.cause instanceof SyntaxError);
+  });
+});
+
+describe('parseQueryParameters', () => {
+  test('turns true and false into booleans and keeps other values', () => {
+    assert.deepStrictEqual(parseQueryParameters({ async: 'true', dryRun: 'false', count: '3', url: 'https://e.com' }), {
+      async: true, dryRun: false, count: '3', url: 'https://e.com'
+    });
+    assert.deepStrictEqual(parseQueryParameters(null), {});
+  });
+});
\ No newline at end of file
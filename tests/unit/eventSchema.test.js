@@ -0,0 +1,147 @@
+/**
+ * Event schema - Payload validation and field-level errors
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const Ajv = require('ajv');
+const { EVENT_SCHEMA, validateEvent } = require('../../src/lambda/eventSchema');
+
+function errorsOf(payload) {
+  return validateEvent(payload).errors;
+}
+
+describe('validateEvent', () => {
+  test('accepts a complete payload', () => {
+    const result = validateEvent({
+      url: 'https://example.com',
+      extract: {
+        heading: true,
+        selectors: [{ name: 'items', selector: '.item', multiple: true, fields: [{ name: 'title', selector: 'h2' }] }]
+      },
+      steps: [
+        { type: 'fill', selector: '#q', value: 'shoes' },
+        { type: 'click', selector: 'button[type=submit]', waitFor: { loadState: 'networkidle' } },
+        { type: 'assert', target: 'title', contains: 'Results' }
+      ],
+      concurrency: '3',
+      artifacts: [{ type: 'screenshot', fullPage: true }],
+      async: true,
+      callbackUrl: 'https://hooks.example.com/done'
+    });
+    assert.deepStrictEqual(result, { valid: true, errors: [] });
+  });
+
+  test('accepts an empty payload', () => {
+    assert.strictEqual(validateEvent({}).valid, true);
+  });
+
+  test('rejects unknown properties and suggests the intended one', () => {
+    assert.deepStrictEqual(errorsOf({ extract: { selector: [] } }), [
+      { path: 'event.extract.selector', message: 'is not a known property (did you mean "selectors"?)' }
+    ]);
+    assert.deepStrictEqual(errorsOf({ urll: 'https://example.com' }), [
+      { path: 'event.urll', message: 'is not a known property (did you mean "url"?)' }
+    ]);
+    assert.deepStrictEqual(errorsOf({ somethingElse: 1 }), [
+      { path: 'event.somethingElse', message: 'is not a known property' }
+    ]);
+  });
+
+  test('reports wrong types, enums and missing required fields by path', () => {
+    assert.deepStrictEqual(errorsOf({ url: 42 }), [{ path: 'event.url', message: 'must be string' }]);
+    assert.deepStrictEqual(errorsOf({ steps: [{ type: 'hover' }] }), [
+      { path: 'event.steps[0].type', message: 'must be one of: navigate, click, fill, select, wait, popup, switchTab, closeTab, extract, screenshot, assert' }
+    ]);
+    assert.deepStrictEqual(errorsOf({ steps: [{ selector: '#a' }] }), [
+      { path: 'event.steps[0].type', message: 'is required' }
+    ]);
+  });
+
+  test('requires name and selector for top-level fields only', () => {
+    assert.deepStrictEqual(errorsOf({ extract: { selectors: [{ name: 'title' }] } }), [
+      { path: 'event.extract.selectors[0].selector', message: 'is required' }
+    ]);
+    assert.deepStrictEqual(errorsOf({ extract: { selectors: [{ name: 'row', selector: 'tr', fields: [{ name: 'text' }] }] } }), []);
+  });
+
+  test('ignores keywords next to $ref and applies every allOf branch', () => {
+    const schema = {
+      definitions: { name: { type: 'string' } },
+      properties: {
+        ref: { $ref: '#/definitions/name', minLength: 3 },
+        all: { allOf: [{ $ref: '#/definitions/name' }, { minLength: 3 }] }
+      }
+    };
+
+    assert.deepStrictEqual(validateEvent({ ref: 'ab', all: 'ab' }, schema).errors, [
+      { path: 'event.all', message: 'must not be empty' }
+    ]);
+    assert.deepStrictEqual(validateEvent({ all: 42 }, schema).errors, [{ path: 'event.all', message: 'must be string' }]);
+  });
+
+  test('checks URLs, patterns and string lengths', () => {
+    assert.deepStrictEqual(errorsOf({ url: 'example.com' }), [{ path: 'event.url', message: 'must be an absolute URL' }]);
+    assert.deepStrictEqual(errorsOf({ callbackUrl: 'ftp://example.com/hook' }), [
+      { path: 'event.callbackUrl', message: 'must match ^https?://' }
+    ]);
+    assert.deepStrictEqual(errorsOf({ userAgent: '' }), [{ path: 'event.userAgent', message: 'must not be empty' }]);
+    assert.strictEqual(errorsOf({ jobId: '../etc/passwd' })[0].message, 'must match ^[A-Za-z0-9-]{1,64}$');
+  });
+
+  test('checks numeric bounds and minimum item counts', () => {
+    assert.deepStrictEqual(errorsOf({ concurrency: 0 }), [{ path: 'event.concurrency', message: 'must be >= 1' }]);
+    assert.deepStrictEqual(errorsOf({ concurrency: 11 }), [{ path: 'event.concurrency', message: 'must be <= 10' }]);
+    assert.deepStrictEqual(errorsOf({ concurrency: 2.5 }), [{ path: 'event.concurrency', message: 'must be integer or string' }]);
+    assert.deepStrictEqual(errorsOf({ urls: [] }), [{ path: 'event.urls', message: 'must contain at least 1 item(s)' }]);
+  });
+
+  test('validates batch targets given as strings or objects', () => {
+    assert.deepStrictEqual(errorsOf({ targets: ['https://a.example', { url: 'https://b.example', name: 'b' }] }), []);
+    assert.deepStrictEqual(errorsOf({ targets: [{ name: 'no url' }] }), [{ path: 'event.targets[0].url', message: 'is required' }]);
+    assert.deepStrictEqual(errorsOf({ targets: ['not a url'] }), [{ path: 'event.targets[0]', message: 'must be an absolute URL' }]);
+    assert.deepStrictEqual(errorsOf({ targets: [42] }), [{ path: 'event.targets[0]', message: 'must be string or object' }]);
+  });
+
+  test('reports every error of a payload once', () => {
+    const { valid, errors } = validateEvent({ url: 1, dryRun: 'yes', steps: [{ type: 'wait', timeout: -1 }] });
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(errors.map(error => error.path), ['event.url', 'event.dryRun', 'event.steps[0].timeout']);
+  });
+
+  test('validates against another schema', () => {
+    const schema = { type: 'object', required: ['id'], properties: { id: { type: 'string' } } };
+    assert.deepStrictEqual(validateEvent({}, schema).errors, [{ path: 'event.id', message: 'is required' }]);
+    assert.throws(() => validateEvent({}, { $ref: '#/definitions/missing' }), /Unresolvable schema reference/);
+  });
+});
+
+describe('EVENT_SCHEMA', () => {
+  test('is a draft-07 document that survives JSON serialization', () => {
+    assert.strictEqual(EVENT_SCHEMA.$schema, 'http://json-schema.org/draft-07/schema#');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(EVENT_SCHEMA)), EVENT_SCHEMA);
+  });
+
+  test('compiles with a draft-07 validator that rejects ignored keywords', () => {
+    // strictSchema rejects unknown keywords and keywords that draft-07 ignores (e.g. next to $ref)
+    const ajv = new Ajv({ strictSchema: true, strictTypes: false, allErrors: true, validateFormats: false });
+
+    assert.strictEqual(ajv.validateSchema(EVENT_SCHEMA), true, ajv.errorsText(ajv.errors));
+    assert.doesNotThrow(() => ajv.compile(EVENT_SCHEMA));
+  });
+
+  test('agrees with a draft-07 validator on field requirements', () => {
+    const validate = new Ajv({ strictTypes: false, validateFormats: false }).compile(EVENT_SCHEMA);
+    const payloads = [
+      { extract: { selectors: [{ name: 'title' }] } },
+      { extract: { selectors: [{ name: 'title', selector: 'h1' }] } },
+      { extract: { selectors: [{ name: 'row', selector: 'tr', fields: [{ name: 'text' }] }] } },
+      { extract: { selectors: [{ name: 'row', selector: 'tr', fields: [{ selector: 'td' }] }] } }
+    ];
+
+    for (const payload of payloads) {
+      assert.strictEqual(validate(payload), validateEvent(payload).valid, JSON.stringify(payload));
+    }
+    assert.deepStrictEqual(payloads.map(payload => validateEvent(payload).valid), [false, true, true, false]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * extractPageData - Custom selectors of the extract configuration
+ *
+ * Uses a driver stand-in whose page and frame answer from plain strings, so no browser is needed.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { extractPageData } = require('../../index');
+
+// Scope whose selectors match one element each, with the text given in `texts`
+function fakeScope(texts) {
+  return {
+    locator: (selector) => ({
+      count: async () => (selector in texts ? 1 : 0),
+      nth: () => ({ textContent: async () => texts[selector] })
+    })
+  };
+}
+
+function fakeDriver(scope) {
+  return {
+    getTitle: async () => 'Checkout',
+    getCurrentUrl: async () => 'https://shop.example.com/checkout',
+    getScope: () => scope
+  };
+}
+
+describe('extractPageData', () => {
+  test('reads custom selectors in the frame entered with switchToFrame', async () => {
+    const frame = fakeScope({ '#total': ' 42.00 ' });
+
+    const data = await extractPageData(fakeDriver(frame), {
+      heading: false,
+      metadata: false,
+      selectors: [
+        { name: 'total', selector: '#total' },
+        { name: 'coupon', selector: '#coupon', default: 'none' }
+      ]
+    }, 'https://shop.example.com/checkout');
+
+    assert.deepStrictEqual(data, {
+      pageTitle: 'Checkout',
+      currentUrl: 'https://shop.example.com/checkout',
+      customData: { total: '42.00', coupon: 'none' }
+    });
+  });
+});
\ No newline at end of file
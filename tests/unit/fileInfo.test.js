@@ -0,0 +1,63 @@
+/**
+ * File info - MIME types, free download names and file details
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { getMimeType, getAvailablePath, getFileInfo } = require('../../src/common/utils/fileInfo');
+
+describe('getMimeType', () => {
+  test('guesses common document types from the extension', () => {
+    assert.strictEqual(getMimeType('report.pdf'), 'application/pdf');
+    assert.strictEqual(getMimeType('/tmp/EXPORT.CSV'), 'text/csv');
+    assert.strictEqual(getMimeType('sheet.xlsx'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  });
+
+  test('falls back to application/octet-stream', () => {
+    assert.strictEqual(getMimeType('archive.7z'), 'application/octet-stream');
+    assert.strictEqual(getMimeType('README'), 'application/octet-stream');
+  });
+});
+
+describe('files on disk', () => {
+  let directory;
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'file-info-'));
+  });
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('numbers taken download names like browsers do', async () => {
+    assert.strictEqual(await getAvailablePath(directory, 'report.pdf'), path.join(directory, 'report.pdf'));
+    await fs.writeFile(path.join(directory, 'report.pdf'), '');
+    await fs.writeFile(path.join(directory, 'report (1).pdf'), '');
+    assert.strictEqual(await getAvailablePath(directory, 'report.pdf'), path.join(directory, 'report (2).pdf'));
+  });
+
+  test('strips directories from suggested names', async () => {
+    assert.strictEqual(await getAvailablePath(directory, '../../etc/passwd'), path.join(directory, 'passwd'));
+    assert.strictEqual(await getAvailablePath(directory, ''), path.join(directory, 'download'));
+  });
+
+  test('describes a file with size, MIME type and checksum', async () => {
+    const filePath = path.join(directory, 'data.json');
+    const content = JSON.stringify({ rows: [1, 2, 3] });
+    await fs.writeFile(filePath, content);
+
+    assert.deepStrictEqual(await getFileInfo(filePath), {
+      path: filePath,
+      size: Buffer.byteLength(content),
+      mimeType: 'application/json',
+      sha256: crypto.createHash('sha256').update(content).digest('hex')
+    });
+  });
+
+  test('fails for missing files', async () => {
+    await assert.rejects(getFileInfo(path.join(directory, 'missing.pdf')), { code: 'ENOENT' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,275 @@
+/**
+ * PlaywrightDriver - Driver logic around Playwright objects
+ *
+ * Uses stand-ins for Page, Request, Response and the remote browser
+ * connection, so no browser is needed.
+ */
+
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const { chromium, firefox } = require('playwright');
+const PlaywrightDriver = require('../../src/automator/playwright/drivers/playwrightDriver');
+const { HttpErrorStatusError } = require('../../src/common/utils/automationErrors');
+
+// `hops` lists the documents from the first request to the final one: [{url, status, timing}]
+function fakeRequest(hops) {
+  let request = null;
+  for (const hop of hops) {
+    const redirectedFrom = request;
+    const current = {
+      url: () => hop.url,
+      redirectedFrom: () => redirectedFrom,
+      timing: () => hop.timing || null,
+      response: async () => (hop.status === undefined ? null : fakeResponse(hop, current))
+    };
+    request = current;
+  }
+  return request;
+}
+
+function fakeResponse(hop, request) {
+  return {
+    ok: () => hop.status >= 200 && hop.status < 300,
+    status: () => hop.status,
+    statusText: () => hop.statusText || '',
+    headers: () => hop.headers || {},
+    request: () => request
+  };
+}
+
+function startedDriver(response, options = {}) {
+  const driver = new PlaywrightDriver(options);
+  let url = 'about:blank';
+  driver.page = {
+    async goto(target) {
+      url = response ? response.request().url() : target;
+      return response;
+    },
+    url: () => url,
+    title: async () => 'Title'
+  };
+  driver.isStarted = true;
+  return driver;
+}
+
+describe('PlaywrightDriver navigation', () => {
+  test('lists the redirect chain oldest first, without the final document', async () => {
+    const request = fakeRequest([
+      { url: 'http://example.com/', status: 301 },
+      { url: 'https://example.com/', status: 302 },
+      { url: 'https://example.com/home', status: 200 }
+    ]);
+    const driver = startedDriver(await request.response());
+
+    const result = await driver.navigateTo('http://example.com/');
+
+    assert.deepStrictEqual(result.redirectChain, [
+      { url: 'http://example.com/', status: 301 },
+      { url: 'https://example.com/', status: 302 }
+    ]);
+    assert.strictEqual(result.url, 'https://example.com/home');
+    assert.strictEqual(result.status, 200);
+  });
+
+  test('reports a null status for redirects without a response', async () => {
+    const request = fakeRequest([
+      { url: 'http://example.com/' },
+      { url: 'https://example.com/', status: 200 }
+    ]);
+
+    assert.deepStrictEqual(await new PlaywrightDriver()._getRedirectChain(request), [
+      { url: 'http://example.com/', status: null }
+    ]);
+  });
+
+  test('measures the timing phases and leaves unmeasured ones null', () => {
+    const request = fakeRequest([{
+      url: 'https://example.com/',
+      timing: {
+        domainLookupStart: -1, domainLookupEnd: -1,
+        connectStart: 2, secureConnectionStart: 5.4, connectEnd: 12,
+        requestStart: 12.2, responseStart: 40.6, responseEnd: 55
+      }
+    }]);
+
+    assert.deepStrictEqual(new PlaywrightDriver()._getNavigationTiming(request, 60), {
+      total: 60, dns: null, connect: 10, tls: 7, ttfb: 28, download: 14
+    });
+  });
+
+  test('has no response, redirects or timing phases for same-document navigations', async () => {
+    const driver = startedDriver(null);
+
+    const result = await driver.navigateTo('https://example.com/#section');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.status, null);
+    assert.strictEqual(result.headers, null);
+    assert.deepStrictEqual(result.redirectChain, []);
+    assert.strictEqual(typeof result.timing.total, 'number');
+    assert.deepStrictEqual({ ...result.timing, total: 0 }, {
+      total: 0, dns: null, connect: null, tls: null, ttfb: null, download: null
+    });
+  });
+
+  test('returns 4xx/5xx pages unless failOnHttpError is set', async () => {
+    const request = fakeRequest([{ url: 'https://example.com/missing', status: 404, statusText: 'Not Found' }]);
+    const response = await request.response();
+
+    const result = await startedDriver(response).navigateTo('https://example.com/missing');
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.status, 404);
+
+    await assert.rejects(startedDriver(response, { failOnHttpError: true }).navigateTo('https://example.com/missing'), (error) => {
+      assert.ok(error instanceof HttpErrorStatusError);
+      assert.strictEqual(error.status, 404);
+      assert.strictEqual(error.retryable, false);
+      assert.match(error.message, /HTTP 404 Not Found/);
+      return true;
+    });
+  });
+
+  test('lets the navigation option override the driver option', async () => {
+    const request = fakeRequest([{ url: 'https://example.com/', status: 503 }]);
+    const response = await request.response();
+
+    await assert.rejects(startedDriver(response).navigateTo('https://example.com/', { failOnHttpError: true }), HttpErrorStatusError);
+    const result = await startedDriver(response, { failOnHttpError: true }).navigateTo('https://example.com/', { failOnHttpError: false });
+    assert.strictEqual(result.status, 503);
+  });
+
+  test('does not throw for successful pages when failOnHttpError is set', async () => {
+    const request = fakeRequest([{ url: 'https://example.com/', status: 200 }]);
+    const driver = startedDriver(await request.response(), { failOnHttpError: true });
+
+    assert.strictEqual((await driver.navigateTo('https://example.com/')).success, true);
+  });
+});
+
+// Browser with a context/page stand-in, recording close() calls
+function fakeBrowser(calls) {
+  const context = {
+    setDefaultTimeout() {},
+    setDefaultNavigationTimeout() {},
+    on() {},
+    newPage: async () => ({ close: async () => calls.push('page.close') }),
+    close: async () => calls.push('context.close')
+  };
+  return {
+    version: () => '120.0',
+    newContext: async () => context,
+    close: async () => calls.push('browser.close')
+  };
+}
+
+// connect()/connectOverCDP() stand-ins: `down` lists endpoints that refuse the connection
+function fakeConnect(engine, calls, down = []) {
+  for (const method of ['connect', 'connectOverCDP']) {
+    mock.method(engine, method, async (endpoint, options) => {
+      calls.push(`${method} ${endpoint}`);
+      if (down.includes(endpoint)) {
+        throw new Error(`connect ECONNREFUSED ${endpoint}\nCall log: ...`);
+      }
+      return { ...fakeBrowser(calls), endpoint, options };
+    });
+  }
+}
+
+describe('PlaywrightDriver remote browsers', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    mock.method(Math, 'random', () => 0);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('connects to a Playwright server with wsEndpoint', async () => {
+    fakeConnect(chromium, calls);
+    const driver = new PlaywrightDriver({ wsEndpoint: 'ws://pool:3000/', slowMo: 5, connectOptions: { timeout: 1000 } });
+
+    const browser = await driver._connectBrowser(chromium);
+
+    assert.deepStrictEqual(calls, ['connect ws://pool:3000/']);
+    assert.deepStrictEqual(browser.options, { slowMo: 5, timeout: 1000 });
+    assert.deepStrictEqual(driver.connection, { mode: 'connect', endpoint: 'ws://pool:3000/' });
+  });
+
+  test('connects over CDP with cdpEndpoint', async () => {
+    fakeConnect(chromium, calls);
+    const driver = new PlaywrightDriver({ cdpEndpoint: 'http://chrome:9222' });
+
+    await driver._connectBrowser(chromium);
+
+    assert.deepStrictEqual(calls, ['connectOverCDP http://chrome:9222']);
+    assert.deepStrictEqual(driver.connection, { mode: 'cdp', endpoint: 'http://chrome:9222' });
+  });
+
+  test('rejects conflicting endpoints and CDP for other engines', async () => {
+    fakeConnect(chromium, calls);
+
+    await assert.rejects(new PlaywrightDriver({ wsEndpoint: 'ws://a', cdpEndpoint: 'http://b' })._connectBrowser(chromium), /either wsEndpoint or cdpEndpoint/);
+    await assert.rejects(new PlaywrightDriver({ browser: 'firefox', cdpEndpoint: 'http://b' })._connectBrowser(firefox), /cdpEndpoint requires chromium/);
+    assert.deepStrictEqual(calls, []);
+  });
+
+  test('falls back to the next endpoint of the list', async () => {
+    fakeConnect(chromium, calls, ['ws://a:3000']);
+    const driver = new PlaywrightDriver({ wsEndpoint: 'ws://a:3000, ws://b:3000' });
+
+    const browser = await driver._connectBrowser(chromium);
+
+    assert.deepStrictEqual(calls, ['connect ws://a:3000', 'connect ws://b:3000']);
+    assert.strictEqual(browser.endpoint, 'ws://b:3000');
+  });
+
+  test('starts from a random endpoint to spread drivers over the pool', async () => {
+    Math.random.mock.mockImplementation(() => 0.7);
+    fakeConnect(chromium, calls);
+
+    await new PlaywrightDriver({ wsEndpoint: ['ws://a', 'ws://b', 'ws://c'] })._connectBrowser(chromium);
+
+    assert.deepStrictEqual(calls, ['connect ws://c']);
+  });
+
+  test('reports every endpoint when none is reachable', async () => {
+    fakeConnect(chromium, calls, ['ws://a', 'ws://b']);
+
+    await assert.rejects(new PlaywrightDriver({ wsEndpoint: 'ws://a,ws://b' })._connectBrowser(chromium), {
+      message: 'No remote browser reachable (ws://a: connect ECONNREFUSED ws://a; ws://b: connect ECONNREFUSED ws://b)'
+    });
+  });
+
+  test('sessions leave the shared browser open, the driver that connected disconnects', async () => {
+    fakeConnect(chromium, calls);
+    const driver = new PlaywrightDriver({ wsEndpoint: 'ws://pool:3000', downloadsPath: os.tmpdir() });
+    await driver.start();
+    const session = await driver.createSession();
+    calls.length = 0;
+
+    await session.quit();
+    assert.deepStrictEqual(calls, ['page.close', 'context.close']);
+    assert.strictEqual(session.browser, null);
+
+    await driver.quit();
+    assert.deepStrictEqual(calls, ['page.close', 'context.close', 'page.close', 'context.close', 'browser.close']);
+    assert.strictEqual(driver.connection, null);
+  });
+});
+
+describe('PlaywrightDriver scope', () => {
+  test('resolves selectors in the entered frame until it is detached', () => {
+    const driver = startedDriver(null);
+    let detached = false;
+    driver.frame = { isDetached: () => detached };
+
+    assert.strictEqual(driver.getScope(), driver.frame);
+    detached = true;
+    assert.strictEqual(driver.getScope(), driver.page);
+    assert.strictEqual(driver.frame, null);
+  });
+});
\ No newline at end of file
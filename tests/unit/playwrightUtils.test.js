@@ -0,0 +1,99 @@
+/**
+ * PlaywrightUtils.locate - Frame chains vs. Playwright's own `>>` chaining
+ *
+ * Uses stand-ins for Page, Locator and FrameLocator, so no browser is needed.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const PlaywrightUtils = require('../../src/automator/playwright/helpers/playwrightUtils');
+
+// `tags` maps "<frame path>|<selector>" to the tag name of the first match
+function fakeScope(tags, calls, framePath = 'page') {
+  return {
+    framePath,
+    locator: (selector) => fakeLocator(tags, calls, framePath, selector)
+  };
+}
+
+function fakeLocator(tags, calls, framePath, selector) {
+  const tagName = tags[`${framePath}|${selector}`];
+  return {
+    framePath,
+    selector,
+    first() {
+      return this;
+    },
+    async waitFor(options) {
+      calls.push(`waitFor ${selector} ${options.timeout}`);
+    },
+    async evaluateAll(fn) {
+      return fn(tagName ? [{ tagName }] : []);
+    },
+    contentFrame: () => fakeScope(tags, calls, `${framePath} > ${selector}`)
+  };
+}
+
+async function locate(selector, tags = {}, timeout = null) {
+  const calls = [];
+  const locator = await PlaywrightUtils.locate(fakeScope(tags, calls), selector, timeout);
+  return { framePath: locator.framePath, selector: locator.selector, calls };
+}
+
+describe('PlaywrightUtils.locate', () => {
+  test('passes plain selectors through', async () => {
+    assert.deepStrictEqual(await locate('#heading'), { framePath: 'page', selector: '#heading', calls: [] });
+    assert.deepStrictEqual(await locate('//h1'), { framePath: 'page', selector: '//h1', calls: [] });
+  });
+
+  test('keeps nth= and text= chains as Playwright chaining', async () => {
+    const tags = { 'page|button': 'BUTTON', 'page|.list': 'UL' };
+    assert.strictEqual((await locate('button >> nth=0', tags)).selector, 'button >> nth=0');
+    assert.strictEqual((await locate('.list >> text=Item', tags)).selector, '.list >> text=Item');
+    assert.strictEqual((await locate('.list >> text=Item', tags)).framePath, 'page');
+  });
+
+  test('keeps chains whose left side does not match yet', async () => {
+    assert.deepStrictEqual(await locate('.missing >> nth=1'), { framePath: 'page', selector: '.missing >> nth=1', calls: [] });
+  });
+
+  test('enters iframes and frames', async () => {
+    const tags = { 'page|iframe#pay': 'IFRAME', 'page|#legacy': 'FRAME' };
+    assert.deepStrictEqual(await locate('iframe#pay >> input[name=card]', tags), {
+      framePath: 'page > iframe#pay', selector: 'input[name=card]', calls: []
+    });
+    assert.strictEqual((await locate('#legacy >> p', tags)).framePath, 'page > #legacy');
+  });
+
+  test('enters nested frames and chains inside them', async () => {
+    const tags = {
+      'page|iframe.outer': 'IFRAME',
+      'page > iframe.outer|iframe.inner': 'IFRAME',
+      'page > iframe.outer > iframe.inner|.row': 'DIV'
+    };
+    assert.deepStrictEqual(await locate('iframe.outer >> iframe.inner >> .row >> nth=1', tags), {
+      framePath: 'page > iframe.outer > iframe.inner', selector: '.row >> nth=1', calls: []
+    });
+  });
+
+  test('checks the whole chain so far for a frame', async () => {
+    const tags = { 'page|.wrapper': 'DIV', 'page|.wrapper >> iframe': 'IFRAME' };
+    assert.deepStrictEqual(await locate('.wrapper >> iframe >> #total', tags), {
+      framePath: 'page > .wrapper >> iframe', selector: '#total', calls: []
+    });
+  });
+
+  test('chains shadow parts', async () => {
+    const tags = { 'page|iframe#pay': 'IFRAME' };
+    assert.strictEqual((await locate('checkout-form >>> button.submit')).selector, 'checkout-form >> button.submit');
+    assert.deepStrictEqual(await locate('iframe#pay >> card-field >>> input', tags), {
+      framePath: 'page > iframe#pay', selector: 'card-field >> input', calls: []
+    });
+  });
+
+  test('waits for each frame segment when given a timeout', async () => {
+    const tags = { 'page|iframe#pay': 'IFRAME' };
+    assert.deepStrictEqual((await locate('iframe#pay >> input', tags, 500)).calls, ['waitFor iframe#pay 500']);
+    assert.deepStrictEqual((await locate('#plain', tags, 500)).calls, []);
+  });
+});
\ No newline at end of file
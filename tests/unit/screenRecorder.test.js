@@ -0,0 +1,132 @@
+/**
+ * Screen recorder - Frame capture and animated PNG output without ffmpeg
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const ScreenRecorder = require('../../src/automator/selenium/helpers/screenRecorder');
+
+// Base64 PNG of a single-color image, like WebDriver's takeScreenshot() returns
+function screenshot(width, height, gray) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.writeUInt8(8, 8);            // Bit depth
+  header.writeUInt8(0, 9);            // Grayscale
+  const rows = Buffer.concat(Array.from({ length: height }, () => Buffer.from([0, ...Array(width).fill(gray)])));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    ScreenRecorder._createChunk('IHDR', header),
+    ScreenRecorder._createChunk('IDAT', zlib.deflateSync(rows)),
+    ScreenRecorder._createChunk('IEND', Buffer.alloc(0))
+  ]).toString('base64');
+}
+
+function fakeDriver(sizes) {
+  let count = 0;
+  return {
+    async takeScreenshot() {
+      const size = sizes[count++ % sizes.length];
+      if (!size) {
+        throw new Error('no such window');
+      }
+      return screenshot(size[0], size[1], count * 10);
+    }
+  };
+}
+
+async function record(recorder, milliseconds) {
+  await recorder.start();
+  await new Promise(resolve => setTimeout(resolve, milliseconds));
+  return recorder.stop();
+}
+
+function chunkTypes(buffer) {
+  return ScreenRecorder._readPngChunks(buffer).map(chunk => chunk.type);
+}
+
+describe('ScreenRecorder', () => {
+  let directory;
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'screen-recorder-'));
+  });
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('writes an animated PNG with one frame per screenshot', async () => {
+    const recorder = new ScreenRecorder(fakeDriver([[4, 3]]), path.join(directory, 'session.png'), { frameRate: 20 });
+    const outputPath = await record(recorder, 250);
+
+    assert.strictEqual(outputPath, path.join(directory, 'session.png'));
+    const frames = recorder.frames.length;
+    assert.ok(frames >= 2, `${frames} frames`);
+
+    const chunks = ScreenRecorder._readPngChunks(await fs.readFile(outputPath));
+    const types = chunks.map(chunk => chunk.type);
+    assert.deepStrictEqual(types.slice(0, 4), ['IHDR', 'acTL', 'fcTL', 'IDAT']);
+    assert.strictEqual(types.at(-1), 'IEND');
+    assert.strictEqual(types.filter(type => type === 'fcTL').length, frames);
+    assert.strictEqual(types.filter(type => type === 'fdAT').length, frames - 1);
+    assert.strictEqual(chunks.find(chunk => chunk.type === 'acTL').data.readUInt32BE(0), frames);
+
+    // Frame control and frame data chunks share one sequence
+    const sequence = chunks.filter(chunk => chunk.type === 'fcTL' || chunk.type === 'fdAT').map(chunk => chunk.data.readUInt32BE(0));
+    assert.deepStrictEqual(sequence, sequence.map((_, index) => index));
+
+    // Frame buffers are removed
+    assert.deepStrictEqual(await fs.readdir(directory), ['session.png']);
+  });
+
+  test('falls back to an animated PNG when ffmpeg is missing', async () => {
+    const recorder = new ScreenRecorder(fakeDriver([[2, 2]]), path.join(directory, 'session.mp4'), {
+      frameRate: 20, ffmpegPath: path.join(directory, 'no-ffmpeg')
+    });
+    const outputPath = await record(recorder, 120);
+    assert.strictEqual(outputPath, path.join(directory, 'session.png'));
+    assert.strictEqual(chunkTypes(await fs.readFile(outputPath))[1], 'acTL');
+  });
+
+  test('skips failed screenshots and drops frames of another size', async () => {
+    const recorder = new ScreenRecorder(fakeDriver([[4, 3], null, [8, 6]]), path.join(directory, 'resized.png'), { frameRate: 20 });
+    const outputPath = await record(recorder, 300);
+
+    const captured = recorder.frames.length;
+    const expected = Math.ceil(captured / 2);
+    const types = chunkTypes(await fs.readFile(outputPath));
+    assert.strictEqual(types.filter(type => type === 'fcTL').length, expected);
+  });
+
+  test('rejects unsupported formats and cleans up', async () => {
+    const recorder = new ScreenRecorder(fakeDriver([[2, 2]]), path.join(directory, 'session.avi'), { frameRate: 20 });
+    await assert.rejects(record(recorder, 80), /Unsupported video format: \.avi/);
+    assert.deepStrictEqual(await fs.readdir(directory), []);
+  });
+
+  test('fails when no frame could be captured', async () => {
+    const recorder = new ScreenRecorder(fakeDriver([null]), path.join(directory, 'empty.png'), { frameRate: 20 });
+    await assert.rejects(record(recorder, 80), /No frames were captured/);
+  });
+
+  test('refuses to start twice or stop without a recording', async () => {
+    const recorder = new ScreenRecorder(fakeDriver([[2, 2]]), path.join(directory, 'twice.png'), { frameRate: 20 });
+    await assert.rejects(recorder.stop(), /No recording in progress/);
+    await recorder.start();
+    await assert.rejects(recorder.start(), /Recording already in progress/);
+    await recorder.stop();
+  });
+
+  test('gives every frame the time until the next one', () => {
+    const recorder = new ScreenRecorder(null, path.join(directory, 'timing.png'));
+    recorder.frames = [{ time: 1000 }, { time: 1400 }, { time: 1400 }];
+    assert.deepStrictEqual(recorder._getFrameDurations(2000), [400, 1, 600]);
+  });
+
+  test('rejects screenshots that are not PNG images', () => {
+    assert.throws(() => ScreenRecorder._readPngChunks(Buffer.from('GIF89a....')), /not a PNG image/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * Selector chain - Splitting frame (>>) and shadow root (>>>) chains
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { isSelectorChain, parseSelectorChain } = require('../../src/common/utils/selectorChain');
+
+describe('parseSelectorChain', () => {
+  test('keeps plain selectors whole', () => {
+    assert.deepStrictEqual(parseSelectorChain('#main .item > a'), [['#main .item > a']]);
+    assert.deepStrictEqual(parseSelectorChain('//div[@id="x"]'), [['//div[@id="x"]']]);
+  });
+
+  test('splits frame segments and shadow parts', () => {
+    assert.deepStrictEqual(parseSelectorChain('iframe#pay >> input[name=card]'), [['iframe#pay'], ['input[name=card]']]);
+    assert.deepStrictEqual(parseSelectorChain('iframe.outer >> iframe.inner >> #total'), [['iframe.outer'], ['iframe.inner'], ['#total']]);
+    assert.deepStrictEqual(parseSelectorChain('checkout-form >>> button.submit'), [['checkout-form', 'button.submit']]);
+    assert.deepStrictEqual(parseSelectorChain('iframe#pay >> card-field >>> input'), [['iframe#pay'], ['card-field', 'input']]);
+  });
+
+  test('ignores separators inside quotes, brackets and parentheses', () => {
+    assert.deepStrictEqual(parseSelectorChain('a[title="x >> y"]'), [['a[title="x >> y"]']]);
+    assert.deepStrictEqual(parseSelectorChain("a[data-path='a >>> b'] >> p"), [["a[data-path='a >>> b']"], ['p']]);
+    assert.deepStrictEqual(parseSelectorChain(':is(.a >> .b)'), [[':is(.a >> .b)']]);
+    assert.deepStrictEqual(parseSelectorChain('a[title="say \\" >> "] >> p'), [['a[title="say \\" >> "]'], ['p']]);
+  });
+
+  test('needs whitespace around separators', () => {
+    assert.deepStrictEqual(parseSelectorChain('div>>span'), [['div>>span']]);
+    assert.deepStrictEqual(parseSelectorChain('  iframe   >>   p  '), [['iframe'], ['p']]);
+  });
+
+  test('does not split on a leading separator', () => {
+    assert.deepStrictEqual(parseSelectorChain(' >> p'), [['>> p']]);
+  });
+});
+
+describe('isSelectorChain', () => {
+  test('detects frame and shadow chains', () => {
+    assert.strictEqual(isSelectorChain('iframe >> p'), true);
+    assert.strictEqual(isSelectorChain('host-el >>> p'), true);
+    assert.strictEqual(isSelectorChain('div > p'), false);
+    assert.strictEqual(isSelectorChain('a[title="x >> y"]'), false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * Session state - Normalization, encryption and state files
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  isEncryptedSessionState,
+  encryptSessionState,
+  decryptSessionState,
+  normalizeSessionState,
+  protectSessionState,
+  writeSessionState,
+  readSessionState
+} = require('../../src/common/utils/sessionState');
+
+const STATE = {
+  savedAt: '2025-01-01T00:00:00.000Z',
+  cookies: [{ name: 'sid', value: 'abc', domain: 'app.example.com' }],
+  origins: [{ origin: 'https://app.example.com/login', localStorage: [{ name: 'token', value: 't-1' }] }]
+};
+
+describe('normalizeSessionState', () => {
+  test('fills in cookie and storage defaults', () => {
+    assert.deepStrictEqual(normalizeSessionState(STATE), {
+      format: 'web-automation-session',
+      version: 1,
+      savedAt: '2025-01-01T00:00:00.000Z',
+      cookies: [{ name: 'sid', value: 'abc', domain: 'app.example.com', path: '/', expires: -1, httpOnly: false, secure: false, sameSite: 'Lax' }],
+      origins: [{ origin: 'https://app.example.com', localStorage: [{ name: 'token', value: 't-1' }], sessionStorage: [] }]
+    });
+  });
+
+  test('loads Playwright storageState files and drops expired cookies', () => {
+    const now = Date.now() / 1000;
+    const state = normalizeSessionState({
+      cookies: [
+        { name: 'old', value: '1', domain: '.example.com', expires: now - 60 },
+        { name: 'new', value: '2', domain: '.example.com', expires: now + 3600, sameSite: 'Strict', httpOnly: true }
+      ],
+      origins: []
+    });
+    assert.deepStrictEqual(state.cookies.map(cookie => [cookie.name, cookie.sameSite, cookie.httpOnly]), [['new', 'Strict', true]]);
+    assert.strictEqual(state.savedAt, null);
+  });
+
+  test('rejects malformed states', () => {
+    assert.throws(() => normalizeSessionState([]), { code: 'INVALID_REQUEST', message: 'Session state must be an object' });
+    assert.throws(() => normalizeSessionState({ version: 2 }), /Unsupported session state version: 2/);
+    assert.throws(() => normalizeSessionState({ cookies: {} }), /cookies must be an array/);
+    assert.throws(() => normalizeSessionState({ origins: 'x' }), /origins must be an array/);
+    assert.throws(() => normalizeSessionState({ cookies: [{ name: 'a', value: 'b' }] }), /cookie 0 needs a name, value and domain/);
+    assert.throws(() => normalizeSessionState({ origins: [{ origin: 'app.example.com' }] }), /origin 0 is not a valid origin/);
+  });
+});
+
+describe('encryption', () => {
+  let savedKey;
+  beforeEach(() => {
+    savedKey = process.env.SESSION_STATE_KEY;
+    delete process.env.SESSION_STATE_KEY;
+  });
+  afterEach(() => {
+    if (savedKey === undefined) {
+      delete process.env.SESSION_STATE_KEY;
+    } else {
+      process.env.SESSION_STATE_KEY = savedKey;
+    }
+  });
+
+  test('round-trips a state without exposing its content', () => {
+    const encrypted = encryptSessionState(STATE, 'correct horse');
+    assert.strictEqual(isEncryptedSessionState(encrypted), true);
+    assert.strictEqual(isEncryptedSessionState(STATE), false);
+    assert.strictEqual(JSON.stringify(encrypted).includes('abc'), false);
+    assert.deepStrictEqual(decryptSessionState(encrypted, 'correct horse'), STATE);
+  });
+
+  test('uses a new salt and iv for every encryption', () => {
+    const first = encryptSessionState(STATE, 'key');
+    const second = encryptSessionState(STATE, 'key');
+    assert.notStrictEqual(first.encryption.salt, second.encryption.salt);
+    assert.notStrictEqual(first.data, second.data);
+  });
+
+  test('rejects a wrong key', () => {
+    const encrypted = encryptSessionState(STATE, 'correct horse');
+    assert.throws(() => decryptSessionState(encrypted, 'battery staple'), {
+      code: 'INVALID_REQUEST', message: 'Could not decrypt session state (wrong key or modified data)'
+    });
+    assert.throws(() => normalizeSessionState(encrypted, { encryptionKey: 'battery staple' }), /wrong key or modified data/);
+  });
+
+  test('rejects modified data and unknown algorithms', () => {
+    const encrypted = encryptSessionState(STATE, 'key');
+    const data = Buffer.from(encrypted.data, 'base64');
+    data[0] ^= 1;
+    assert.throws(() => decryptSessionState({ ...encrypted, data: data.toString('base64') }, 'key'), /modified data/);
+    assert.throws(() => decryptSessionState({ ...encrypted, encryption: { ...encrypted.encryption, algorithm: 'aes-128-cbc' } }, 'key'),
+      /Unsupported session state encryption: aes-128-cbc/);
+  });
+
+  test('needs a key for encrypted states and falls back to SESSION_STATE_KEY', () => {
+    const encrypted = encryptSessionState(STATE, 'env key');
+    assert.throws(() => normalizeSessionState(encrypted), /pass encryptionKey or set SESSION_STATE_KEY/);
+    process.env.SESSION_STATE_KEY = 'env key';
+    assert.strictEqual(normalizeSessionState(encrypted).cookies[0].value, 'abc');
+  });
+
+  test('protects states only when a key is available', () => {
+    assert.strictEqual(protectSessionState(STATE), STATE);
+    assert.strictEqual(isEncryptedSessionState(protectSessionState(STATE, { encryptionKey: 'k' })), true);
+    process.env.SESSION_STATE_KEY = 'env key';
+    assert.strictEqual(isEncryptedSessionState(protectSessionState(STATE)), true);
+    assert.strictEqual(protectSessionState(STATE, { encryptionKey: null }), STATE);
+  });
+});
+
+describe('state files', () => {
+  let directory;
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'session-state-'));
+  });
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('writes owner-only files and reads them back', async () => {
+    const filePath = path.join(directory, 'nested', 'state.json');
+    assert.deepStrictEqual(await writeSessionState(filePath, STATE, { encryptionKey: 'k' }), { path: filePath, encrypted: true });
+    assert.strictEqual((await fs.stat(filePath)).mode & 0o777, 0o600);
+    assert.strictEqual((await readSessionState(filePath, { encryptionKey: 'k' })).origins[0].origin, 'https://app.example.com');
+  });
+
+  test('rejects files that are not JSON', async () => {
+    const filePath = path.join(directory, 'broken.json');
+    await fs.writeFile(filePath, '{ not json');
+    await assert.rejects(readSessionState(filePath), { code: 'INVALID_REQUEST', message: /is not valid JSON/ });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * Step runner - Workflow steps against a recording stand-in driver
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { runSteps, executeStep, runAssertion } = require('../../src/lambda/stepRunner');
+
+// Records driver calls; `overrides` replaces single methods
+function fakeDriver(overrides = {}) {
+  const calls = [];
+  const record = (name, result) => async (...args) => {
+    calls.push([name, ...args]);
+    return typeof result === 'function' ? result(...args) : result;
+  };
+  return {
+    calls,
+    navigateTo: record('navigateTo', (url) => ({ url, title: 'Page', status: 200 })),
+    click: record('click'),
+    sendKeys: record('sendKeys'),
+    selectOption: record('selectOption', (selector, value) => ({ selected: [].concat(value) })),
+    waitForElement: record('waitForElement'),
+    waitForVisible: record('waitForVisible'),
+    wait: record('wait'),
+    waitForPopup: record('waitForPopup', { url: 'https://example.com/popup', title: 'Popup' }),
+    getTabs: record('getTabs', [{}, {}]),
+    switchToTab: record('switchToTab', { index: 1, url: 'https://example.com/b', title: 'B' }),
+    closeTab: record('closeTab', [{ url: 'https://example.com/a', active: true }]),
+    takeScreenshot: record('takeScreenshot', (filename) => `/tmp/screenshots/${filename}`),
+    findElements: record('findElements', []),
+    getText: record('getText', '  Welcome back  '),
+    getCurrentUrl: record('getCurrentUrl', 'https://example.com/account'),
+    getTitle: record('getTitle', 'Account'),
+    ...overrides
+  };
+}
+
+describe('runSteps', () => {
+  test('runs steps in order and reports each result', async () => {
+    const driver = fakeDriver();
+    const result = await runSteps(driver, [
+      { type: 'navigate', url: 'https://example.com/login' },
+      { type: 'fill', selector: '#user', value: 'alice', name: 'username' },
+      { type: 'click', selector: '#submit', timeout: 500 }
+    ]);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.truncated, false);
+    assert.deepStrictEqual(result.steps.map(step => [step.name, step.status]), [
+      ['navigate-1', 'success'], ['username', 'success'], ['click-3', 'success']
+    ]);
+    assert.deepStrictEqual(driver.calls.map(call => call[0]), ['navigateTo', 'sendKeys', 'click']);
+    assert.deepStrictEqual(driver.calls[2], ['click', '#submit', 500]);
+    assert.ok(result.steps.every(step => typeof step.startedAt === 'string'));
+  });
+
+  test('never echoes fill values', async () => {
+    const result = await runSteps(fakeDriver(), [{ type: 'fill', selector: '#password', value: 'secret' }]);
+    assert.deepStrictEqual(result.steps[0].result, { selector: '#password' });
+  });
+
+  test('stops at the first failure and skips the remaining steps', async () => {
+    const driver = fakeDriver({ click: async () => { throw new Error('Timeout 500ms exceeded'); } });
+    const result = await runSteps(driver, [
+      { type: 'click', selector: '#missing' },
+      { type: 'navigate', url: 'https://example.com' }
+    ]);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.failedStep.index, 0);
+    assert.strictEqual(result.failedError.code, 'AUTOMATION_ERROR');
+    assert.strictEqual(result.failedError.retryable, true);
+    assert.deepStrictEqual(result.steps.map(step => step.status), ['failed', 'skipped']);
+    assert.strictEqual(result.steps[1].startedAt, null);
+    assert.strictEqual(driver.calls.length, 0);
+  });
+
+  test('keeps going after failures with continueOnError', async () => {
+    const failing = [{ type: 'click' }, { type: 'wait', duration: 10 }];
+    const runnerLevel = await runSteps(fakeDriver(), failing, { continueOnError: true });
+    assert.deepStrictEqual(runnerLevel.steps.map(step => step.status), ['failed', 'success']);
+    assert.strictEqual(runnerLevel.success, true);
+    assert.strictEqual(runnerLevel.steps[0].error.code, 'INVALID_REQUEST');
+
+    const stepLevel = await runSteps(fakeDriver(), [{ type: 'click', continueOnError: true }, { type: 'wait', duration: 10 }]);
+    assert.deepStrictEqual(stepLevel.steps.map(step => step.status), ['failed', 'success']);
+  });
+
+  test('stops starting steps once the deadline is reached', async () => {
+    let remaining = 1;
+    const deadline = { isExpired: () => remaining-- <= 0 };
+    const result = await runSteps(fakeDriver(), [{ type: 'wait', duration: 1 }, { type: 'wait', duration: 2 }, { type: 'wait', duration: 3 }], { deadline });
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.truncated, true);
+    assert.strictEqual(result.failedStep, null);
+    assert.deepStrictEqual(result.steps.map(step => step.status), ['success', 'skipped', 'skipped']);
+  });
+
+  test('calls beforeStep for executed steps only', async () => {
+    const seen = [];
+    await runSteps(fakeDriver(), [{ type: 'click' }, { type: 'wait', duration: 1 }], { beforeStep: (step) => seen.push(step.type) });
+    assert.deepStrictEqual(seen, ['click']);
+  });
+});
+
+describe('executeStep', () => {
+  test('rejects unknown step types and missing fields', async () => {
+    await assert.rejects(executeStep(fakeDriver(), { type: 'hover' }, 0, {}), {
+      code: 'INVALID_REQUEST', message: /^Unknown step type: hover/
+    });
+    await assert.rejects(executeStep(fakeDriver(), { type: 'fill', selector: '#a', value: '' }, 0, {}), {
+      message: 'Step "fill" requires "value"'
+    });
+    await assert.rejects(executeStep(fakeDriver(), { type: 'wait' }, 0, {}), /requires either "selector" or "duration"/);
+  });
+
+  test('waits for visible elements unless attached is requested', async () => {
+    const driver = fakeDriver();
+    assert.deepStrictEqual(await executeStep(driver, { type: 'wait', selector: '#a' }, 0, {}), { selector: '#a', state: 'visible' });
+    await executeStep(driver, { type: 'wait', selector: '#b', state: 'attached', timeout: 100 }, 0, {});
+    assert.deepStrictEqual(driver.calls, [['waitForVisible', '#a', undefined], ['waitForElement', '#b', 100]]);
+  });
+
+  test('handles tabs and popups', async () => {
+    const driver = fakeDriver();
+    assert.deepStrictEqual(await executeStep(driver, { type: 'popup', selector: 'a[target=_blank]' }, 0, {}), {
+      url: 'https://example.com/popup', title: 'Popup', tabs: 2
+    });
+    assert.deepStrictEqual(await executeStep(driver, { type: 'switchTab', tab: 'b' }, 0, {}), {
+      index: 1, url: 'https://example.com/b', title: 'B'
+    });
+    assert.deepStrictEqual(await executeStep(driver, { type: 'closeTab' }, 0, {}), { tabs: 1, url: 'https://example.com/a' });
+    assert.deepStrictEqual(driver.calls.at(-1), ['closeTab', null]);
+  });
+
+  test('selects options and names screenshots after the step', async () => {
+    const driver = fakeDriver();
+    assert.deepStrictEqual(await executeStep(driver, { type: 'select', selector: '#size', value: ['m', 'l'] }, 0, {}), {
+      selector: '#size', selected: ['m', 'l']
+    });
+    assert.deepStrictEqual(await executeStep(driver, { type: 'screenshot' }, 3, {}), { path: '/tmp/screenshots/step-4.png' });
+    assert.deepStrictEqual(driver.calls.at(-1), ['takeScreenshot', 'step-4.png', true]);
+  });
+
+  test('extracts through the runner callback', async () => {
+    const extractData = async (config) => ({ extracted: config });
+    assert.deepStrictEqual(await executeStep(fakeDriver(), { type: 'extract', extract: { heading: true } }, 0, { extractData }), {
+      extracted: { heading: true }
+    });
+    await assert.rejects(executeStep(fakeDriver(), { type: 'extract' }, 0, {}), /not supported by this runner/);
+  });
+});
+
+describe('runAssertion', () => {
+  test('compares trimmed element text', async () => {
+    assert.deepStrictEqual(await runAssertion(fakeDriver(), { selector: 'h1', equals: 'Welcome back' }), {
+      passed: true, actual: 'Welcome back'
+    });
+    await assert.rejects(runAssertion(fakeDriver(), { selector: 'h1', contains: 'Goodbye' }), {
+      code: 'ASSERTION_FAILED', statusCode: 422,
+      message: 'Assertion failed: expected h1 to contain "Goodbye", got "Welcome back"'
+    });
+  });
+
+  test('checks the page url and title', async () => {
+    assert.strictEqual((await runAssertion(fakeDriver(), { target: 'url', matches: '/account$' })).passed, true);
+    await assert.rejects(runAssertion(fakeDriver(), { target: 'title', equals: 'Login' }), /expected title to equal "Login", got "Account"/);
+  });
+
+  test('checks that elements are absent with exists: false', async () => {
+    assert.deepStrictEqual(await runAssertion(fakeDriver(), { selector: '.error', exists: false }), { passed: true, actual: 0 });
+    const driver = fakeDriver({ findElements: async () => [{}, {}] });
+    await assert.rejects(runAssertion(driver, { selector: '.error', exists: false }), /expected no element for \.error, found 2/);
+  });
+
+  test('requires a selector or a page target', async () => {
+    await assert.rejects(runAssertion(fakeDriver(), { equals: 'x' }), { code: 'INVALID_REQUEST' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * Upload files - Paths, Buffers and in-memory files for file inputs
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { isUploadPayload, normalizeUploadFiles } = require('../../src/common/utils/uploadFiles');
+
+describe('normalizeUploadFiles', () => {
+  let directory;
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-files-'));
+    await fs.writeFile(path.join(directory, 'invoice.pdf'), '%PDF-1.4');
+  });
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('resolves existing paths', async () => {
+    const filePath = path.join(directory, 'invoice.pdf');
+    assert.deepStrictEqual(await normalizeUploadFiles(filePath), [{ path: filePath, name: 'invoice.pdf' }]);
+    const relative = path.relative(process.cwd(), filePath);
+    assert.deepStrictEqual(await normalizeUploadFiles([relative]), [{ path: filePath, name: 'invoice.pdf' }]);
+  });
+
+  test('names Buffers and guesses the MIME type of named files', async () => {
+    const buffer = Buffer.from('hello');
+    assert.deepStrictEqual(await normalizeUploadFiles([buffer, { name: 'notes.txt', buffer: 'hi' }, { name: 'a.bin', buffer, mimeType: 'x/y' }]), [
+      { name: 'upload-1', mimeType: 'application/octet-stream', buffer },
+      { name: 'notes.txt', mimeType: 'text/plain', buffer: Buffer.from('hi') },
+      { name: 'a.bin', mimeType: 'x/y', buffer }
+    ]);
+  });
+
+  test('clears the input for an empty array', async () => {
+    assert.deepStrictEqual(await normalizeUploadFiles([]), []);
+  });
+
+  test('rejects missing files, directories and names with a path', async () => {
+    await assert.rejects(normalizeUploadFiles(path.join(directory, 'missing.pdf')), { code: 'INVALID_REQUEST', message: /Upload file not found/ });
+    await assert.rejects(normalizeUploadFiles(directory), /Upload file not found/);
+    await assert.rejects(normalizeUploadFiles({ name: '../secret.txt', buffer: 'x' }), /must not contain a directory/);
+    await assert.rejects(normalizeUploadFiles([42]), /Upload file 1 must be a path, a Buffer or \{name, buffer\}/);
+  });
+});
+
+describe('isUploadPayload', () => {
+  test('detects in-memory files alone or in arrays', () => {
+    assert.strictEqual(isUploadPayload(Buffer.from('x')), true);
+    assert.strictEqual(isUploadPayload([{ name: 'a.txt', buffer: 'x' }, Buffer.from('y')]), true);
+  });
+
+  test('leaves paths and other form values alone', () => {
+    for (const value of ['./invoice.pdf', ['a', 'b'], [], { name: 'a.txt' }, null, 3]) {
+      assert.strictEqual(isUploadPayload(value), false, JSON.stringify(value));
+    }
+  });
+});
\ No newline at end of file
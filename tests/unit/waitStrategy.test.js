@@ -0,0 +1,40 @@
+/**
+ * Wait strategy - Merging and checking navigateTo wait conditions
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { resolveWaitStrategy } = require('../../src/common/utils/waitStrategy');
+
+describe('resolveWaitStrategy', () => {
+  test('waits for domcontentloaded by default', () => {
+    assert.deepStrictEqual(resolveWaitStrategy(), {
+      loadState: 'domcontentloaded', selector: null, state: 'visible', predicate: null, domStable: null, timeout: 30000
+    });
+    assert.strictEqual(resolveWaitStrategy(undefined, undefined, 12000).timeout, 12000);
+  });
+
+  test('lets per-call conditions win over configured ones', () => {
+    const strategy = resolveWaitStrategy(
+      { selector: '#results li', timeout: 5000 },
+      { loadState: 'networkidle', selector: 'main', predicate: 'window.__APP_READY__', timeout: 20000 }
+    );
+    assert.deepStrictEqual(strategy, {
+      loadState: 'networkidle', selector: '#results li', state: 'visible', predicate: 'window.__APP_READY__', domStable: null, timeout: 5000
+    });
+  });
+
+  test('turns domStable into a quiet period', () => {
+    assert.strictEqual(resolveWaitStrategy({ domStable: true }).domStable, 500);
+    assert.strictEqual(resolveWaitStrategy({ domStable: 1200 }).domStable, 1200);
+    assert.strictEqual(resolveWaitStrategy({ domStable: false }, { domStable: true }).domStable, null);
+    assert.strictEqual(resolveWaitStrategy({ domStable: 0 }).domStable, null);
+  });
+
+  test('rejects unknown load and selector states', () => {
+    assert.throws(() => resolveWaitStrategy({ loadState: 'idle' }), {
+      code: 'INVALID_REQUEST', message: 'Unknown load state: idle (supported: domcontentloaded, load, networkidle)'
+    });
+    assert.throws(() => resolveWaitStrategy({ selector: '#a', state: 'hidden' }), /Unknown selector state: hidden/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Warm browser manager - Browser reuse, recycling and crash recovery
+ *
+ * PlaywrightDriver start/createSession/quit are replaced by stand-ins, so no browser is needed.
+ */
+
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const os = require('os');
+const PlaywrightDriver = require('../../src/automator/playwright/drivers/playwrightDriver');
+const WarmBrowserManager = require('../../src/lambda/warmBrowser');
+
+const OPTIONS = { browser: 'chromium', headless: true };
+
+// Records launches and quits; `failSessions` makes the next createSession() calls throw
+function fakeBrowsers() {
+  const state = { launched: [], quit: [], failSessions: 0 };
+
+  mock.method(PlaywrightDriver.prototype, 'start', async function () {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.isConnected = () => browser.connected;
+    this.browser = browser;
+    this.page = {};
+    this.isStarted = true;
+    state.launched.push(this);
+  });
+  mock.method(PlaywrightDriver.prototype, 'createSession', async function (options) {
+    if (state.failSessions > 0) {
+      state.failSessions--;
+      throw new Error('Target page, context or browser has been closed');
+    }
+    return { browser: this.browser, options };
+  });
+  mock.method(PlaywrightDriver.prototype, 'quit', async function () {
+    this.isStarted = false;
+    state.quit.push(this);
+  });
+
+  return state;
+}
+
+describe('WarmBrowserManager', () => {
+  let browsers;
+
+  beforeEach(() => {
+    browsers = fakeBrowsers();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('reuses the browser across invocations with a new session each time', async () => {
+    const manager = new WarmBrowserManager();
+
+    const driver = await manager.prepare(OPTIONS);
+    const first = await manager.createSession();
+    assert.strictEqual(manager.getStats().reused, false);
+
+    assert.strictEqual(await manager.prepare(OPTIONS), driver);
+    const second = await manager.createSession({ userAgent: 'test' });
+
+    assert.strictEqual(browsers.launched.length, 1);
+    assert.notStrictEqual(first, second);
+    assert.strictEqual(second.browser, driver.browser);
+    assert.deepStrictEqual(second.options, { userAgent: 'test' });
+    assert.deepStrictEqual({ ...manager.getStats(), launchedAt: null }, {
+      mode: 'warm', reused: true, invocation: 2, launchedAt: null, recycles: 0
+    });
+  });
+
+  test('requires prepare() before sessions', async () => {
+    await assert.rejects(new WarmBrowserManager().createSession(), /not prepared/);
+  });
+
+  test('recycles the browser after maxInvocations requests', async () => {
+    const manager = new WarmBrowserManager({ maxInvocations: 2 });
+
+    await manager.prepare(OPTIONS);
+    await manager.prepare(OPTIONS);
+    await manager.prepare(OPTIONS);
+
+    assert.strictEqual(browsers.launched.length, 2);
+    assert.deepStrictEqual(browsers.quit, [browsers.launched[0]]);
+    assert.strictEqual(manager.getStats().invocation, 1);
+    assert.strictEqual(manager.getStats().recycles, 1);
+  });
+
+  test('recycles the browser above the memory threshold', async () => {
+    const manager = new WarmBrowserManager({ maxMemoryMb: 1000 });
+    mock.method(os, 'totalmem', () => 4000 * 1024 * 1024);
+    const freemem = mock.method(os, 'freemem', () => 3500 * 1024 * 1024);
+
+    await manager.prepare(OPTIONS);
+    await manager.prepare(OPTIONS);
+    assert.strictEqual(browsers.launched.length, 1);
+
+    freemem.mock.mockImplementation(() => 2500 * 1024 * 1024);
+    await manager.prepare(OPTIONS);
+    assert.strictEqual(browsers.launched.length, 2);
+  });
+
+  test('derives the memory threshold from the Lambda memory size', () => {
+    const previous = process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE;
+    process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE = '2048';
+    try {
+      assert.strictEqual(new WarmBrowserManager().options.maxMemoryMb, 1638);
+      delete process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE;
+      assert.strictEqual(new WarmBrowserManager().options.maxMemoryMb, null);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE;
+      } else {
+        process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE = previous;
+      }
+    }
+  });
+
+  test('relaunches when browser launch options change', async () => {
+    const manager = new WarmBrowserManager();
+
+    await manager.prepare(OPTIONS);
+    await manager.prepare({ ...OPTIONS, userAgent: 'context-level' });
+    assert.strictEqual(browsers.launched.length, 1);
+
+    await manager.prepare({ ...OPTIONS, browser: 'firefox' });
+    assert.strictEqual(browsers.launched.length, 2);
+  });
+
+  test('fails the health check when the browser disconnects', async () => {
+    const manager = new WarmBrowserManager();
+    const driver = await manager.prepare(OPTIONS);
+    assert.strictEqual(manager.isHealthy(), true);
+
+    driver.browser.connected = false;
+    assert.strictEqual(manager.isHealthy(), false);
+    driver.browser.connected = true;
+    assert.strictEqual(manager.isHealthy(), true);
+
+    driver.isStarted = false;
+    assert.strictEqual(manager.isHealthy(), false);
+  });
+
+  test('relaunches after a crash without quitting the dead browser', async () => {
+    const manager = new WarmBrowserManager();
+    const crashed = await manager.prepare(OPTIONS);
+
+    crashed.browser.connected = false;
+    crashed.browser.emit('disconnected');
+    assert.strictEqual(manager.isHealthy(), false);
+
+    const driver = await manager.prepare(OPTIONS);
+    assert.notStrictEqual(driver, crashed);
+    assert.deepStrictEqual(browsers.quit, []);
+    assert.strictEqual(manager.isHealthy(), true);
+    assert.strictEqual(manager.getStats().reused, false);
+  });
+
+  test('ignores disconnects of browsers that were already recycled', async () => {
+    const manager = new WarmBrowserManager({ maxInvocations: 1 });
+    const old = await manager.prepare(OPTIONS);
+    await manager.prepare(OPTIONS);
+
+    old.browser.emit('disconnected');
+    assert.strictEqual(manager.isHealthy(), true);
+  });
+
+  test('relaunches the browser once when a session cannot be created', async () => {
+    const manager = new WarmBrowserManager();
+    await manager.prepare(OPTIONS);
+    browsers.failSessions = 1;
+
+    const session = await manager.createSession();
+
+    assert.strictEqual(browsers.launched.length, 2);
+    assert.strictEqual(session.browser, browsers.launched[1].browser);
+    assert.strictEqual(manager.getStats().reused, false);
+    assert.strictEqual(manager.getStats().recycles, 1);
+  });
+
+  test('gives up when the relaunched browser cannot create a session either', async () => {
+    const manager = new WarmBrowserManager();
+    await manager.prepare(OPTIONS);
+    browsers.failSessions = 2;
+
+    await assert.rejects(manager.createSession(), /has been closed/);
+    assert.strictEqual(browsers.launched.length, 2);
+  });
+
+  test('shuts down the browser and relaunches on the next prepare()', async () => {
+    const manager = new WarmBrowserManager();
+    await manager.prepare(OPTIONS);
+
+    await manager.shutdown();
+    await manager.shutdown();
+    assert.strictEqual(browsers.quit.length, 1);
+    assert.strictEqual(manager.isHealthy(), false);
+
+    await manager.prepare(OPTIONS);
+    assert.strictEqual(browsers.launched.length, 2);
+  });
+});
\ No newline at end of file